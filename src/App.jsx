@@ -1,54 +1,290 @@
-import React, { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import EmailIntentVisualizer from './EmailIntentVisualizer';
-import { FeedbackApiService } from './mockFeedbackApi';
+import ReviewQueue from './ReviewQueue';
+import FeedbackOutbox from './FeedbackOutbox';
+import { createFeedbackClient } from './feedbackClient';
+import { createFeedbackOutbox } from './feedbackOutbox';
+import { getModelLabel, isSameEmail } from './modelComparison';
+import { buildGoldResponse, exportDataset, downloadFile } from './datasetExport';
+import { importAnnotations, parseLabelMap } from './annotationImport';
+import {
+  parseQueueFile,
+  createReviewQueue,
+  openQueueItem,
+  setItemStatus,
+  addItemCorrections,
+  getReviewedItems,
+  saveQueueProgress,
+  saveQueueResponses,
+  loadSavedQueue,
+  restoreQueueProgress
+} from './reviewQueue';
 import './App.css';
 
 // Import example JSON files
 import example1 from './example1.json';
 import example2 from './example2.json';
 import example3 from './example3.json';
+import example4 from './example4.json';
+import { mockApiResponse, additionalMockResponse, mockApiResponseV2 } from './mockApiResponse';
+
+// Examples collection, reviewed until a queue file is loaded
+const EXAMPLES = [example1, example2, example3, example4, mockApiResponse, additionalMockResponse];
+const EXAMPLES_QUEUE_NAME = 'Example emails';
+
+// Shown when a loaded batch does not fit in local storage
+const UNSAVED_BATCH_NOTE = ' The batch is too large to keep in the browser; open the file again to resume.';
+
+// Responses of other model versions, offered for comparison with the email they parsed
+const OTHER_VERSIONS = [mockApiResponseV2];
+
+// Feedback goes to the API at VITE_FEEDBACK_API_URL, or to the mock API when it is not set
+const feedbackClient = createFeedbackClient({
+  baseUrl: import.meta.env?.VITE_FEEDBACK_API_URL,
+  getAuthHeaders: () => {
+    const token = import.meta.env?.VITE_FEEDBACK_API_TOKEN;
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+});
+
+// Imported annotation labels are mapped onto span labels with VITE_IMPORT_LABEL_MAP, a JSON
+// object such as {"Ccy": "artefact_detail.currency"}, besides the labels understood as they are
+const IMPORT_LABEL_MAP = import.meta.env?.VITE_IMPORT_LABEL_MAP;
+
+// Submitted feedback waits here until the API accepts it
+const feedbackOutbox = createFeedbackOutbox({ client: feedbackClient });
+
+// Resume the saved session: its emails if they were kept, otherwise the examples
+// with any saved progress that applies to them
+const getInitialQueue = () => {
+  const saved = loadSavedQueue();
+  const queue = saved?.responses
+    ? createReviewQueue(saved.responses, saved.progress.name)
+    : createReviewQueue(EXAMPLES, EXAMPLES_QUEUE_NAME);
+  const restored = restoreQueueProgress(queue, saved?.progress);
+  return openQueueItem(restored, restored.position);
+};
 
 function App() {
-  const [apiResponse, setApiResponse] = useState(example1);
-  const [currentExampleIndex, setCurrentExampleIndex] = useState(0);
+  const [queue, setQueue] = useState(getInitialQueue);
+  const [queueFilter, setQueueFilter] = useState({ status: 'all', intent: 'all' });
   const [loading, setLoading] = useState(false);
   const [notification, setNotification] = useState(null);
   const [theme, setTheme] = useState('light');
   const [readOnly, setReadOnly] = useState(false);
+  const [outboxEntries, setOutboxEntries] = useState(feedbackOutbox.getEntries);
+  const [online, setOnline] = useState(() => globalThis.navigator?.onLine !== false);
+  const [otherVersions, setOtherVersions] = useState(OTHER_VERSIONS);
+  const [compareResponse, setCompareResponse] = useState(null);
+  const [queueReport, setQueueReport] = useState(null);
+  
+  const apiResponse = queue.items[queue.position]?.response;
   
-  // Examples collection
-  const examples = [example1, example2, example3];
-
-  // Cycle through example responses
-  const cycleExample = () => {
-    const nextIndex = (currentExampleIndex + 1) % examples.length;
-    setCurrentExampleIndex(nextIndex);
-    setApiResponse(examples[nextIndex]);
+  // Other responses for the email being reviewed, from the queue or loaded for comparison
+  const comparableResponses = useMemo(() => (
+    [...new Set([...queue.items.map(item => item.response), ...otherVersions])]
+      .filter(response => response !== apiResponse && isSameEmail(response, apiResponse))
+  ), [queue.items, otherVersions, apiResponse]);
+
+  // Keep the queue's position and statuses so that the session can be resumed
+  useEffect(() => {
+    saveQueueProgress(queue);
+  }, [queue]);
+
+  // Follow the outbox and retry its feedback in the background
+  useEffect(() => {
+    const unsubscribe = feedbackOutbox.subscribe(setOutboxEntries);
+    const stop = feedbackOutbox.start();
+    return () => {
+      unsubscribe();
+      stop();
+    };
+  }, []);
+
+  // Every email starts without a comparison
+  useEffect(() => {
+    setCompareResponse(null);
+  }, [apiResponse]);
+
+  // Track the connection, which the outbox waits for
+  useEffect(() => {
+    const updateOnline = () => setOnline(navigator.onLine !== false);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  // Show a notification; success messages clear after 3 seconds
+  const notify = (type, message) => {
+    setNotification({ type, message });
+    if (type === 'success') setTimeout(() => setNotification(null), 3000);
+  };
+
+  // Open another email of the queue
+  const navigateQueue = (index) => {
+    setQueue(current => openQueueItem(current, index));
   };
 
-  // Handle feedback submission
-  const handleFeedbackSubmit = async (feedbackData) => {
+  // Set the review status of the email being reviewed
+  const changeReviewStatus = (status) => {
+    setQueue(current => setItemStatus(current, current.position, status));
+  };
+
+  // Start reviewing a batch of API responses, resuming it if it was saved before
+  const startQueue = (responses, name) => {
+    const loaded = restoreQueueProgress(createReviewQueue(responses, name), loadSavedQueue()?.progress);
+    const saved = saveQueueResponses(loaded);
+    setQueue(openQueueItem(loaded, loaded.position));
+    setQueueFilter({ status: 'all', intent: 'all' });
+    setQueueReport(null);
+    return saved;
+  };
+
+  // Load a batch of API responses picked by the user
+  const handleQueueFileLoad = async (file) => {
+    try {
+      const { responses, errors } = parseQueueFile(await file.text());
+      if (responses.length === 0) {
+        notify('error', `No emails could be read from ${file.name}${errors[0] ? `: ${errors[0].error}` : ''}`);
+        return;
+      }
+      
+      const saved = startQueue(responses, file.name);
+      const skipped = errors.length > 0
+        ? ` ${errors.length} record${errors.length === 1 ? ' was' : 's were'} skipped (first at line ${errors[0].line}).`
+        : '';
+      const unsaved = saved ? '' : UNSAVED_BATCH_NOTE;
+      notify(skipped || unsaved ? 'error' : 'success', `Loaded ${responses.length} emails from ${file.name}.${skipped}${unsaved}`);
+    } catch (error) {
+      notify('error', `Error reading ${file.name}: ${error.message}`);
+    }
+  };
+
+  // List every annotation an import could not map in the queue panel
+  const showImportReport = (file, errors) => {
+    if (errors.length === 0) return;
+    setQueueReport({
+      title: `${errors.length} annotation${errors.length === 1 ? '' : 's'} in ${file.name} could not be imported`,
+      items: errors.map(({ line, error }) => `Line ${line}: ${error}`),
+      filename: `${file.name.replace(/\.[^.]+$/, '')}-import-report.txt`
+    });
+  };
+
+  // Import labelled emails from a Label Studio export or the legacy span format and review them
+  const handleAnnotationImport = async (file) => {
+    try {
+      const { responses, errors } = importAnnotations(await file.text(), { labelMap: parseLabelMap(IMPORT_LABEL_MAP) });
+      if (responses.length === 0) {
+        showImportReport(file, errors);
+        notify('error', `No labelled emails could be imported from ${file.name}${errors[0] ? `: ${errors[0].error}` : ''}`);
+        return;
+      }
+      
+      const saved = startQueue(responses, file.name);
+      showImportReport(file, errors);
+      const unmapped = errors.length > 0
+        ? ` ${errors.length} annotation${errors.length === 1 ? '' : 's'} could not be mapped; see the report above the queue for the full list.`
+        : '';
+      const unsaved = saved ? '' : UNSAVED_BATCH_NOTE;
+      notify(unmapped || unsaved ? 'error' : 'success', `Imported ${responses.length} email${responses.length === 1 ? '' : 's'} from ${file.name}.${unmapped}${unsaved}`);
+    } catch (error) {
+      notify('error', `Error reading ${file.name}: ${error.message}`);
+    }
+  };
+
+  // Handle feedback submission. Rejects unless every payload was sent or kept in the outbox
+  // to be retried, so that the visualizer keeps the corrections and shows the error.
+  const handleFeedbackSubmit = async (feedbackItems, corrections = []) => {
+    const position = queue.position;
     setLoading(true);
     
     try {
-      const response = await FeedbackApiService.submitFeedback(feedbackData);
-      setNotification({
-        type: 'success',
-        message: 'Feedback submitted successfully!'
-      });
+      const { delivered, queued, outboxIds } = await feedbackOutbox.submit(feedbackItems);
+      
+      if (delivered + queued < feedbackItems.length) {
+        // The corrections stay pending in the visualizer, so this submission's entries leave
+        // the outbox rather than being sent again alongside the next one
+        const entries = feedbackOutbox.getEntries().filter(entry => outboxIds.includes(entry.outbox_id));
+        const refused = entries.find(entry => entry.status === 'failed');
+        entries.forEach(entry => feedbackOutbox.discard(entry.outbox_id));
+        const unsent = feedbackItems.length - delivered - queued;
+        throw new Error(`${unsent} of ${feedbackItems.length} feedback item${feedbackItems.length === 1 ? ' was' : 's were'} refused${
+          refused?.last_error ? ` (${refused.last_error})` : ''
+        }`);
+      }
+      
+      // Keep the corrections with the email, for the dataset export. Feedback waiting in the
+      // outbox will be sent, so the email counts as corrected either way.
+      setQueue(current => setItemStatus(addItemCorrections(current, position, corrections), position, 'corrected'));
       
-      // Clear notification after 3 seconds
-      setTimeout(() => setNotification(null), 3000);
+      if (queued === 0) {
+        notify('success', 'Feedback submitted successfully!');
+      } else {
+        notify('error', `${queued} of ${feedbackItems.length} feedback item${feedbackItems.length === 1 ? '' : 's'} could not be sent yet. They are kept in the outbox and will be retried.`);
+      }
     } catch (error) {
-      setNotification({
-        type: 'error',
-        message: 'Error submitting feedback. Please try again.'
-      });
+      notify('error', `Error submitting feedback: ${error.message}`);
+      throw error;
     } finally {
       setLoading(false);
     }
   };
 
+  // Load responses of other model versions and compare the first one for this email
+  const handleVersionFileLoad = async (event) => {
+    const [file] = event.target.files || [];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+      const { responses } = parseQueueFile(await file.text());
+      const match = responses.find(response => isSameEmail(response, apiResponse));
+      setOtherVersions(current => [...current, ...responses]);
+      
+      if (match) {
+        setCompareResponse(match);
+      } else {
+        notify('error', `${file.name} has no response for this email`);
+      }
+    } catch (error) {
+      notify('error', `Error reading ${file.name}: ${error.message}`);
+    }
+  };
+
+  // Download the reviewed emails, with their corrections applied, as a training dataset
+  const handleExport = (format) => {
+    const reviewed = getReviewedItems(queue.items);
+    const { content, filename, mimeType, skipped } = exportDataset(
+      reviewed.map(item => buildGoldResponse(item.response, item.corrections)),
+      format
+    );
+    downloadFile(content, filename, mimeType);
+    
+    const exported = `Exported ${reviewed.length} email${reviewed.length === 1 ? '' : 's'} to ${filename}`;
+    if (skipped.length > 0) {
+      setQueueReport({
+        title: `${skipped.length} evidence span${skipped.length === 1 ? ' was' : 's were'} left out of ${filename}`,
+        items: skipped.map(({ request_id, prediction_id, span, reason }) => (
+          `${request_id}, prediction ${prediction_id}: ${span.type} span${span.text ? ` "${span.text}"` : ''} ${reason}`
+        )),
+        filename: `${filename.replace(/\..*$/, '')}-skipped.txt`
+      });
+      notify('error', `${exported}; ${skipped.length} evidence span${skipped.length === 1 ? ' was' : 's were'} left out. See the report above the queue for the full list.`);
+    } else {
+      setQueueReport(null);
+      notify('success', exported);
+    }
+  };
+
+  // Send an outbox entry again
+  const retryOutboxEntry = async (outboxId) => {
+    const { delivered } = await feedbackOutbox.retry(outboxId);
+    if (delivered > 0) notify('success', 'Feedback submitted successfully!');
+  };
+
   // Toggle theme between light and dark
   const toggleTheme = () => {
     setTheme(prev => prev === 'light' ? 'dark' : 'light');
@@ -64,9 +300,6 @@ function App() {
       <header className="app-header">
         <h1>Email Intent Visualizer</h1>
         <div className="app-controls">
-          <button onClick={cycleExample} className="control-button">
-            Next Example ({currentExampleIndex + 1}/{examples.length})
-          </button>
           <button onClick={toggleTheme} className="control-button">
             {theme === 'light' ? '🌙 Dark Mode' : '☀️ Light Mode'}
           </button>
@@ -83,9 +316,57 @@ function App() {
       )}
       
       <main className="app-main">
+        <ReviewQueue
+          queue={queue}
+          filter={queueFilter}
+          onFilterChange={setQueueFilter}
+          onNavigate={navigateQueue}
+          onStatusChange={changeReviewStatus}
+          onLoadFile={handleQueueFileLoad}
+          onImportFile={handleAnnotationImport}
+          onExport={handleExport}
+          report={queueReport}
+          onDismissReport={() => setQueueReport(null)}
+          theme={theme}
+        />
+        
+        <div className={`version-compare ${theme}`}>
+          <label>
+            Compare with:
+            <select
+              value={compareResponse ? comparableResponses.indexOf(compareResponse) : -1}
+              onChange={(event) => setCompareResponse(comparableResponses[Number(event.target.value)] || null)}
+            >
+              <option value={-1}>No comparison</option>
+              {comparableResponses.map((response, index) => (
+                <option key={index} value={index}>{getModelLabel(response)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="version-load-btn">
+            Load version…
+            <input type="file" accept=".jsonl,.json,application/json" onChange={handleVersionFileLoad} />
+          </label>
+          {compareResponse && (
+            <span className="version-compare-note">
+              Comparing {getModelLabel(compareResponse)} (A) with {getModelLabel(apiResponse)} (B); editing is paused
+            </span>
+          )}
+        </div>
+        
+        <FeedbackOutbox
+          entries={outboxEntries}
+          onRetry={retryOutboxEntry}
+          onDiscard={feedbackOutbox.discard}
+          online={online}
+          theme={theme}
+        />
+        
         <EmailIntentVisualizer 
           apiResponse={apiResponse} 
           onFeedbackSubmit={handleFeedbackSubmit}
+          getFeedbackHistory={feedbackClient.getFeedbackHistory}
+          compareResponse={compareResponse}
           readOnly={readOnly}
           theme={theme}
         />
@@ -101,16 +382,20 @@ function App() {
       <div className="app-instructions">
         <h2>How to Use</h2>
         <ol>
+          <li>Click “Load queue…” to review a batch of API responses (a JSONL file or a JSON array), or review the example emails; move through the queue with Previous, Next or the email list</li>
           <li>Click on a prediction card on the right to select it</li>
           <li>The evidence spans related to the prediction will be highlighted in the email</li>
-          <li>Click on a highlighted span to select it</li>
-          <li>Click "Edit Span" to modify the span</li>
-          <li>Select text in the email to adjust the span location</li>
-          <li>Modify the span type and field as needed</li>
-          <li>Click "Apply" to confirm your changes</li>
-          <li>Click "Submit Feedback" when you're done making corrections</li>
+          <li>Click “Edit Evidence” (or a field row on the card), then click a highlighted span to select it</li>
+          <li>Drag the handles at either end of the span to resize it, or click “Delete Span” to remove it</li>
+          <li>Click “Select New Text”, select text in the email and click “Apply” to move the span</li>
+          <li>To add evidence, choose a span type and field, click “Add Span”, select text and click “Apply”</li>
+          <li>To compare model versions, pick another version of the email under “Compare with” (or load one with “Load version…”); click a row to show only its evidence</li>
+          <li>Press Ctrl+Z (or click “Undo”) to take back an edit and Ctrl+Shift+Z (or “Redo”) to apply it again</li>
+          <li>Click “Submit Feedback” when you’re done making corrections, which marks the email corrected, or “Accept as-is” if the predictions are right</li>
+          <li>Click “Import annotations…” to review historic labelled emails from a Label Studio JSON export or the legacy span format</li>
+          <li>Pick a format under “Export…” to download the reviewed emails, with their corrections applied, as JSONL, spaCy or CoNLL training data</li>
         </ol>
-        <p><strong>Note:</strong> In a real implementation, the feedback would be sent to an actual API endpoint.</p>
+        <p><strong>Note:</strong> Feedback is sent to the mock API unless <code>VITE_FEEDBACK_API_URL</code> names a real endpoint. Feedback that cannot be sent waits in the outbox above the email and is retried automatically.</p>
       </div>
     </div>
   );
@@ -1,6 +1,174 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { wrapTextRange, unwrapElements, getTextOffset, getCaretPosition, trimTextRange, locateTextRange } from './textRange';
+import { buildTextSegments, getPrimarySegmentSpan, sliceSegments } from './textSegments';
+import { getXPathForNode } from './xpathUtils';
+import { ANCHOR_STRATEGIES, anchorHtmlSpan, anchorTextSpan } from './spanAnchoring';
+import { validateEvidenceSpans } from './spanValidation';
+import {
+  assignSpanIds,
+  applyCorrections,
+  createSpanCorrection,
+  createSpanId,
+  createLabelCorrection,
+  createPredictionId,
+  createAddPredictionCorrection,
+  createRejectionCorrection,
+  describeCorrection
+} from './corrections';
+import { buildFeedbackPayloads } from './feedbackBuilder';
+import { validateFeedbackData } from './mockFeedbackApi';
+import { DEFAULT_LABEL_TAXONOMY, getLabelOptions } from './labelTaxonomy';
+import { DEFAULT_SANITIZE_POLICY, sanitizeEmailHtml } from './sanitizeEmail';
+import { buildEmailFrameDocument, getFrameContentHeight } from './emailFrame';
+import {
+  ADDRESS_FIELDS,
+  MESSAGE_ID_FIELDS,
+  isBodySpan,
+  isHeaderSpan,
+  getAddresses,
+  formatHeaderDate,
+  getMessageId,
+  getHeaderValue,
+  anchorHeaderSpan
+} from './emailHeader';
+import { isAttachmentSpan, getAttachments, getAttachmentLayout, formatFileSize } from './attachments';
+import { saveCorrectionDraft, loadCorrectionDraft } from './correctionDrafts';
+import { readFeedbackHistory, groupFeedbackByPrediction, diffFeedbackItem, formatDiffValue } from './feedbackHistory';
+import {
+  COMPARISON_STATUSES,
+  COMPARISON_STATUS_LABELS,
+  getModelLabel,
+  isSameEmail,
+  comparePredictions,
+  summarizeComparison,
+  getComparisonSpans
+} from './modelComparison';
+import { isThreadSpan, isHtmlBody, getThreadMessages, getMessageSender, findQuotedTextRanges, findQuotedElements } from './emailThread';
+import {
+  DEFAULT_CONFIDENCE_THRESHOLD,
+  getFieldConfidence,
+  getSpanConfidence,
+  getPredictionConfidence,
+  isLowConfidence,
+  formatConfidence,
+  getConfidenceOpacity,
+  sortByConfidence
+} from './confidence';
+import evidenceOverlayStyles from './evidenceOverlay.css?inline';
+import './evidenceOverlay.css';
 import './EmailIntentVisualizer.css';
 
+// Evidence span types that can be added from the edit panel
+const SPAN_TYPES = [
+  { value: 'intent', label: 'Intent' },
+  { value: 'action', label: 'Action' },
+  { value: 'artefact_type', label: 'Artefact Type' },
+  { value: 'artefact_detail', label: 'Artefact Detail' },
+  { value: 'related_artefact', label: 'Related Artefact' },
+  { value: 'time_of_action', label: 'Time of Action' },
+  { value: 'sender', label: 'Sender' }
+];
+
+// Span types that cite one named field of the artefact or the related artefact
+const KEYED_SPAN_TYPES = new Set(['artefact_detail', 'related_artefact']);
+
+// Labels corrected as free text rather than chosen from the taxonomy
+const FREE_TEXT_LABELS = new Set(['artefact_detail', 'related_artefact', 'sender']);
+
+// Editors for adding a keyed field, by the label field they add to
+const NEW_FIELD_EDITORS = {
+  artefact_detail: { editor: 'new_detail', label: '+ Add detail field' },
+  related_artefact: { editor: 'new_related', label: '+ Add related field' }
+};
+
+/**
+ * Works out which prediction field a span is evidence for. Responses may cite related
+ * artefact keys (e.g. new_value_date) with artefact_detail spans.
+ * @param {Object} prediction - The prediction the span belongs to
+ * @param {Object} span - The evidence span
+ * @returns {Object} - { type, field } of the prediction field
+ */
+const getEvidenceField = (prediction, span) => {
+  const details = prediction.artefact?.details || {};
+  const related = prediction.related_artefact || {};
+  if (span.type === 'artefact_detail' && !(span.field in details) && span.field in related) {
+    return { type: 'related_artefact', field: span.field };
+  }
+  
+  return { type: span.type, field: KEYED_SPAN_TYPES.has(span.type) ? span.field || null : null };
+};
+
+/**
+ * Checks whether a span is evidence for a prediction field
+ * @param {Object} prediction - The prediction the span belongs to
+ * @param {Object} span - The evidence span
+ * @param {string} type - The field type, e.g. 'intent' or 'related_artefact'
+ * @param {string} field - The field key, for keyed types
+ * @returns {boolean} - True if the span supports that field
+ */
+const isEvidenceFor = (prediction, span, type, field = null) => {
+  const evidence = getEvidenceField(prediction, span);
+  return evidence.type === type && (!KEYED_SPAN_TYPES.has(type) || evidence.field === field);
+};
+
+// Number of colours predictions cycle through in overview mode (see evidenceOverlay.css)
+const PREDICTION_COLOR_COUNT = 6;
+
+// Location properties that are replaced when a span is re-selected
+const SPAN_LOCATION_KEYS = ['source', 'header_field', 'attachment_id', 'xpath', 'relative_start', 'relative_end', 'start', 'end', 'text'];
+
+/**
+ * Identifies where a span says it is, so that anchoring it can be reused while that stays the same
+ * @param {Object} span - The evidence span
+ * @returns {string} - Key made of the span's location properties
+ */
+const getSpanLocationKey = (span) => JSON.stringify(SPAN_LOCATION_KEYS.map(key => span[key] ?? null));
+
+// Address fields with more entries than this are collapsed until expanded
+const ADDRESS_COLLAPSE_LIMIT = 3;
+
+// How each anchoring strategy is described to the annotator
+const ANCHOR_STRATEGY_LABELS = {
+  [ANCHOR_STRATEGIES.XPATH]: 'XPath',
+  [ANCHOR_STRATEGIES.XPATH_VARIATION]: 'XPath (adjusted for browser markup)',
+  [ANCHOR_STRATEGIES.OFFSETS]: 'Offsets',
+  [ANCHOR_STRATEGIES.TEXT_QUOTE]: 'Text search',
+  [ANCHOR_STRATEGIES.FUZZY]: 'Approximate text match',
+  [ANCHOR_STRATEGIES.UNANCHORED]: 'Not found in email'
+};
+
+// Strategies that placed a span somewhere other than its stated location
+const REANCHORED_STRATEGIES = new Set([ANCHOR_STRATEGIES.TEXT_QUOTE, ANCHOR_STRATEGIES.FUZZY]);
+
+/**
+ * Checks whether keyboard input goes to a text field, whose own undo must keep working
+ * @param {Element} element - The event target
+ * @returns {boolean} - True for inputs, text areas, selects and editable content
+ */
+const isTextEntry = (element) => Boolean(element?.closest?.('input, textarea, select, [contenteditable="true"]'));
+
+// What the reading pane shows: the email body, an attachment ('attachment:<id>')
+// or an earlier message of the thread ('message:<id>')
+const BODY_PANE = 'body';
+
+/**
+ * Works out what the reading pane must show for a span to be visible
+ * @param {Object} span - The evidence span
+ * @returns {string|undefined} - The pane, or undefined for header spans, which are always visible,
+ *   and spans of unknown sources
+ */
+const getSpanPane = (span) => {
+  if (isHeaderSpan(span)) return undefined;
+  if (isAttachmentSpan(span)) return `attachment:${span.attachment_id}`;
+  if (isThreadSpan(span)) return `message:${span.message_id}`;
+  return isBodySpan(span) ? BODY_PANE : undefined;
+};
+
+// Elements inserted into the email body by the visualizer rather than the sender
+const isVisualizerElement = (element) => (
+  element?.classList?.contains('evidence-overlay') || element?.classList?.contains('resize-handle')
+);
+
 /**
  * EmailIntentVisualizer Component
  * 
@@ -10,74 +178,365 @@ import './EmailIntentVisualizer.css';
  * 
  * @param {Object} props - Component props
  * @param {Object} props.apiResponse - Structured API response with email data and predictions
- * @param {Function} props.onFeedbackSubmit - Handler for feedback submission
+ * @param {Function} props.onFeedbackSubmit - Handler receiving the array of validated feedback payloads, and the
+ *   corrections they were built from (e.g. to merge into a gold response with buildGoldResponse). If it returns a
+ *   promise, the corrections are cleared once it resolves and kept, with an error shown, if it rejects
  * @param {boolean} props.readOnly - Whether the component is in read-only mode
  * @param {string} props.theme - UI theme ('light' or 'dark')
+ * @param {Object} props.labelTaxonomy - Allowed intents, actions, artefact types and detail fields for relabelling
+ * @param {Object} props.sanitizePolicy - Policy for sanitizing HTML bodies (e.g. { allowRemoteImages, allowedImageHosts })
+ * @param {number} props.confidenceThreshold - Confidence below which predictions, fields and spans are flagged for review
+ * @param {boolean} props.persistCorrections - Whether pending corrections are kept in local storage, per request_id, until submitted
+ * @param {Function} props.getFeedbackHistory - Optional loader receiving the request_id and resolving with the feedback
+ *   already given on the email (e.g. a feedback client's getFeedbackHistory); without it no history is shown
+ * @param {Object} props.compareResponse - Optional response of another model version for the same email. When given,
+ *   the component compares it (version A) with apiResponse (version B) instead of editing: predictions are lined up
+ *   with their differences listed, and both versions' evidence is drawn on the body.
  */
-const EmailIntentVisualizer = ({ apiResponse, onFeedbackSubmit, readOnly = false, theme = 'light' }) => {
-  const [selectedPrediction, setSelectedPrediction] = useState(null);
+const EmailIntentVisualizer = ({
+  apiResponse,
+  onFeedbackSubmit,
+  readOnly: readOnlyProp = false,
+  theme = 'light',
+  labelTaxonomy = DEFAULT_LABEL_TAXONOMY,
+  sanitizePolicy = DEFAULT_SANITIZE_POLICY,
+  confidenceThreshold = DEFAULT_CONFIDENCE_THRESHOLD,
+  persistCorrections = true,
+  getFeedbackHistory,
+  compareResponse = null
+}) => {
+  // Comparing model versions is read-only: corrections apply to a single response
+  const isComparing = Boolean(compareResponse);
+  const readOnly = readOnlyProp || isComparing;
+
+  const [selectedPredictionId, setSelectedPredictionId] = useState(null);
   const [editMode, setEditMode] = useState(false);
   const [editingField, setEditingField] = useState(null);
-  const [activeSpan, setActiveSpan] = useState(null);
+  const [activeSpanId, setActiveSpanId] = useState(null);
   const [selectionMode, setSelectionMode] = useState(false);
-  const [feedbackData, setFeedbackData] = useState({});
-  const [isHtmlContent, setIsHtmlContent] = useState(false);
+  const [selectionTarget, setSelectionTarget] = useState('replace');
+  const [selectionCandidate, setSelectionCandidate] = useState(null);
+  const [selectionError, setSelectionError] = useState(null);
+  const [feedbackErrors, setFeedbackErrors] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
   const [editPanelVisible, setEditPanelVisible] = useState(false);
+  const [corrections, setCorrections] = useState([]);
+  const [undoneCorrections, setUndoneCorrections] = useState([]);
+  const [spanDraft, setSpanDraft] = useState({ type: 'intent', field: '' });
+  const [resizeDraft, setResizeDraft] = useState(null);
+  const [labelEditor, setLabelEditor] = useState(null);
+  const [labelDraft, setLabelDraft] = useState('');
+  const [newDetailDraft, setNewDetailDraft] = useState({ key: '', value: '' });
+  const [newPredictionDraft, setNewPredictionDraft] = useState(null);
+  const [remoteImagesAllowed, setRemoteImagesAllowed] = useState(false);
+  const [frameLoadCount, setFrameLoadCount] = useState(0);
+  const [frameHeight, setFrameHeight] = useState(null);
+  const [htmlAnchorStrategies, setHtmlAnchorStrategies] = useState({});
+  const [diagnosticsOpen, setDiagnosticsOpen] = useState(false);
+  const [overviewMode, setOverviewMode] = useState(false);
+  const [hiddenSpanTypes, setHiddenSpanTypes] = useState([]);
+  const [hiddenPredictionIds, setHiddenPredictionIds] = useState([]);
+  const [hiddenDetailFields, setHiddenDetailFields] = useState([]);
+  const [linkedField, setLinkedField] = useState(null);
+  const [sortOrder, setSortOrder] = useState('model');
+  const [expandedAddressFields, setExpandedAddressFields] = useState([]);
+  const [readingPane, setReadingPane] = useState(BODY_PANE);
+  const [expandedQuotes, setExpandedQuotes] = useState([]);
+  const [htmlQuoteCount, setHtmlQuoteCount] = useState(0);
+  const [htmlSpanQuotes, setHtmlSpanQuotes] = useState({});
+  const [draftState, setDraftState] = useState({ requestId: null, restored: null });
+  const [feedbackHistory, setFeedbackHistory] = useState({ requestId: null, status: 'idle', items: [], error: null });
+  const [historyReloadCount, setHistoryReloadCount] = useState(0);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [historyPredictionId, setHistoryPredictionId] = useState(null);
+  const [selectedComparisonKey, setSelectedComparisonKey] = useState(null);
   
   const emailBodyRef = useRef(null);
+  const emailFrameRef = useRef(null);
+  const resizeRef = useRef(null);
+  const predictionCardsRef = useRef(null);
+  // Anchors found in the frame document, by span location, reused until the frame reloads
+  const htmlAnchorCacheRef = useRef({ body: null, anchors: new Map(), spanIds: '' });
 
   // Reset state when API response changes
   useEffect(() => {
-    setSelectedPrediction(null);
+    setSelectedPredictionId(null);
     setEditMode(false);
-    setActiveSpan(null);
+    setEditingField(null);
+    setActiveSpanId(null);
+    setSelectionMode(false);
+    setSelectionCandidate(null);
+    setSelectionError(null);
+    setEditPanelVisible(false);
+    setCorrections([]);
+    setUndoneCorrections([]);
+    setFeedbackErrors([]);
+    setSubmitError(null);
+    setResizeDraft(null);
+    setLabelEditor(null);
+    setNewPredictionDraft(null);
+    setRemoteImagesAllowed(false);
+    setHiddenPredictionIds([]);
+    setHiddenDetailFields([]);
+    setLinkedField(null);
+    setExpandedAddressFields([]);
+    setReadingPane(BODY_PANE);
+    setHtmlAnchorStrategies({});
+    setHtmlSpanQuotes({});
+    setHistoryOpen(false);
+    setHistoryPredictionId(null);
   }, [apiResponse]);
 
-  /**
-   * Normalizes an XPath expression for better compatibility with the DOM
-   * @param {string} xpath - The original XPath string
-   * @returns {Object} - Normalized XPath object with variations
-   */
-  const normalizeXPath = useCallback((xpath) => {
-    if (!xpath) return '';
+  // Look for corrections to this email saved in an earlier session, which wait for the
+  // annotator to resume or discard them
+  useEffect(() => {
+    setDraftState({
+      requestId: apiResponse?.request_id || null,
+      restored: persistCorrections ? loadCorrectionDraft(apiResponse) : null
+    });
+  }, [apiResponse, persistCorrections]);
+
+  // Save pending corrections as they change, keeping restored ones until they are resumed
+  // or discarded. Waits until the draft of a newly loaded email has been looked up, so that
+  // the previous email's corrections are never saved under its request_id.
+  useEffect(() => {
+    const requestId = apiResponse?.request_id;
+    if (!persistCorrections || !requestId || draftState.requestId !== requestId) return;
     
-    // Create alternative XPath formats to try
-    let xpathVariations = [];
+    saveCorrectionDraft(requestId, [...(draftState.restored?.corrections || []), ...corrections]);
+  }, [apiResponse, corrections, draftState, persistCorrections]);
+
+  // Start a new comparison with every row shown
+  useEffect(() => {
+    setSelectedComparisonKey(null);
+  }, [apiResponse, compareResponse]);
+
+  // Load the feedback already given on this email, so that its corrected predictions are
+  // not corrected again. Responses for an email that is no longer shown are ignored.
+  useEffect(() => {
+    const requestId = apiResponse?.request_id;
+    if (!getFeedbackHistory || !requestId) {
+      setFeedbackHistory({ requestId: null, status: 'idle', items: [], error: null });
+      return;
+    }
+    
+    let cancelled = false;
+    // A refresh keeps showing the items already loaded until the new ones arrive
+    setFeedbackHistory(current => (current.requestId === requestId
+      ? { ...current, status: 'loading', error: null }
+      : { requestId, status: 'loading', items: [], error: null }));
+    Promise.resolve()
+      .then(() => getFeedbackHistory(requestId))
+      .then(response => {
+        if (!cancelled) setFeedbackHistory({ requestId, status: 'loaded', items: readFeedbackHistory(response), error: null });
+      })
+      .catch(error => {
+        if (!cancelled) setFeedbackHistory({ requestId, status: 'error', items: [], error: error?.message || String(error) });
+      });
+    
+    return () => { cancelled = true; };
+  }, [apiResponse, getFeedbackHistory, historyReloadCount]);
+
+  // Apply restored corrections before any made since the email was loaded
+  const resumeDraft = useCallback(() => {
+    const restored = draftState.restored?.corrections || [];
+    setCorrections(current => [...restored, ...current]);
+    setUndoneCorrections([]);
+    setDraftState(current => ({ ...current, restored: null }));
+  }, [draftState]);
+
+  // Drop restored corrections; the saved draft is rewritten with the current ones
+  const discardDraft = useCallback(() => {
+    setDraftState(current => ({ ...current, restored: null }));
+  }, []);
+
+  // Quoted sections are collapsed again whenever the reading pane changes
+  useEffect(() => {
+    setExpandedQuotes([]);
+  }, [apiResponse, readingPane]);
+
+  // Predictions as the model returned them, and with all pending corrections applied
+  const originalPredictions = useMemo(() => (
+    assignSpanIds(apiResponse?.intent_parser_result?.predictions || [])
+  ), [apiResponse]);
+
+  const predictions = useMemo(() => (
+    applyCorrections(originalPredictions, corrections)
+  ), [originalPredictions, corrections]);
+
+  const selectedPrediction = useMemo(() => (
+    predictions.find(prediction => prediction.prediction_id === selectedPredictionId) || null
+  ), [predictions, selectedPredictionId]);
+
+  // Attachments and earlier thread messages, one of which may be shown in the reading pane instead of the body
+  const attachments = useMemo(() => getAttachments(apiResponse), [apiResponse]);
+  const threadMessages = useMemo(() => getThreadMessages(apiResponse), [apiResponse]);
+  
+  const openAttachment = useMemo(() => (
+    attachments.find(attachment => readingPane === `attachment:${attachment.attachment_id}`) || null
+  ), [attachments, readingPane]);
+  
+  const openMessage = useMemo(() => (
+    threadMessages.find(message => readingPane === `message:${message.message_id}`) || null
+  ), [threadMessages, readingPane]);
+  
+  const attachmentLayout = useMemo(() => (
+    openAttachment ? getAttachmentLayout(openAttachment) : null
+  ), [openAttachment]);
+  
+  // The body shown in the reading pane: the email's own or an earlier message's.
+  // Whether it is HTML decides how it renders; attachments are laid out as text.
+  const paneBody = openMessage ? openMessage.body : apiResponse?.email?.body;
+  const isHtmlEmail = isHtmlBody(apiResponse?.email?.body);
+  const isHtmlContent = !openAttachment && isHtmlBody(paneBody);
+  
+  // Source properties given to spans selected in the reading pane
+  const paneSpanSource = useMemo(() => {
+    if (openAttachment) return { source: 'attachment', attachment_id: openAttachment.attachment_id };
+    if (openMessage) return { source: 'email_thread', message_id: openMessage.message_id };
+    return { source: 'email_body' };
+  }, [openAttachment, openMessage]);
+
+  // Feedback payloads describing the net effect of the pending corrections
+  const feedbackData = useMemo(() => buildFeedbackPayloads(apiResponse, corrections), [apiResponse, corrections]);
+
+  // Feedback already given on this email, per prediction
+  const historyItems = useMemo(() => (
+    feedbackHistory.requestId === apiResponse?.request_id ? feedbackHistory.items : []
+  ), [feedbackHistory, apiResponse]);
+  const historyByPrediction = useMemo(() => groupFeedbackByPrediction(historyItems), [historyItems]);
+
+  // Predictions of the compared version (A) lined up with this response's (B)
+  const comparisonRows = useMemo(() => (
+    compareResponse ? comparePredictions(compareResponse, apiResponse) : []
+  ), [compareResponse, apiResponse]);
+
+  const activeSpan = useMemo(() => (
+    selectedPrediction?.evidence_spans?.find(span => span.span_id === activeSpanId) || null
+  ), [selectedPrediction, activeSpanId]);
+
+  // Overview mode draws every prediction's evidence, except while a single prediction is being edited
+  const isOverview = overviewMode && !editMode;
+
+  // Whether the model scored any prediction, and how many fall below the review threshold
+  const hasConfidence = useMemo(() => (
+    originalPredictions.some(prediction => getPredictionConfidence(prediction) !== null)
+  ), [originalPredictions]);
+
+  const lowConfidenceCount = useMemo(() => (
+    predictions.filter(prediction => (
+      !prediction.rejected && isLowConfidence(getPredictionConfidence(prediction), confidenceThreshold)
+    )).length
+  ), [predictions, confidenceThreshold]);
+
+  // Both versions' evidence while comparing, of the selected row or of every row
+  const comparisonSpans = useMemo(() => (
+    isComparing
+      ? getComparisonSpans(selectedComparisonKey ? comparisonRows.filter(row => row.key === selectedComparisonKey) : comparisonRows)
+      : []
+  ), [isComparing, comparisonRows, selectedComparisonKey]);
+  
+  // Evidence of every shown prediction in overview mode. Display copies carry their
+  // prediction so overlays can be coloured by it.
+  const overviewSpans = useMemo(() => {
+    if (!isOverview) return [];
     
-    // If the XPath starts with /html/body, adjust it for our wrapper
-    if (xpath.startsWith('/html/body')) {
-      // Original without /html/body
-      xpathVariations.push(xpath.replace('/html/body', ''));
+    return predictions.flatMap((prediction, predictionIndex) => {
+      if (prediction.rejected || hiddenPredictionIds.includes(prediction.prediction_id)) return [];
       
-      // Special case for table cells
-      if (xpath.includes('table')) {
-        // Different variations for tables will be tried in getElementByXPath
-      }
-    }
+      return (prediction.evidence_spans || [])
+        .filter(span => !hiddenSpanTypes.includes(span.type))
+        .filter(span => span.type !== 'artefact_detail' || !hiddenDetailFields.includes(span.field))
+        .map(span => ({
+          ...span,
+          prediction_id: prediction.prediction_id,
+          color_index: predictionIndex % PREDICTION_COLOR_COUNT
+        }));
+    });
+  }, [isOverview, predictions, hiddenPredictionIds, hiddenSpanTypes, hiddenDetailFields]);
+  
+  // Evidence of the selected prediction, previewing any resize that is in progress
+  const focusSpans = useMemo(() => {
+    // Hovering a field row of another card previews that prediction's evidence
+    const previewPrediction = !editMode && linkedField?.source === 'card'
+      ? predictions.find(prediction => prediction.prediction_id === linkedField.predictionId)
+      : null;
     
-    // Add variations without html prefix
-    if (xpath.startsWith('/html')) {
-      xpathVariations.push(xpath.replace('/html', ''));
-    }
+    const spans = (previewPrediction || selectedPrediction)?.evidence_spans || [];
+    if (!resizeDraft) return spans;
     
-    // Simplify path
-    let simplePath = xpath;
-    if (simplePath.startsWith('/html/body')) {
-      simplePath = simplePath.replace('/html/body', ''); 
-    }
-    if (simplePath === '') simplePath = '.';
+    return spans.map(span => (span.span_id === resizeDraft.span.span_id ? resizeDraft.span : span));
+  }, [editMode, linkedField, predictions, selectedPrediction, resizeDraft]);
+  
+  // Spans drawn in the email body. Each mode's spans are memoized on their own inputs, so
+  // that state the mode does not use (e.g. hovering in overview) leaves them unchanged.
+  let displayedSpans = focusSpans;
+  if (isComparing) displayedSpans = comparisonSpans;
+  else if (isOverview) displayedSpans = overviewSpans;
+
+  // Displayed spans citing what the reading pane shows. Header spans are drawn in the header block instead.
+  const bodySpans = useMemo(() => (
+    displayedSpans.filter(span => getSpanPane(span) === readingPane)
+  ), [displayedSpans, readingPane]);
+
+  // Spans of the field row linked from a card hover, which are pulsed in the email body
+  const pulsingSpanIds = useMemo(() => {
+    if (linkedField?.source !== 'card') return [];
     
-    // Final normalized path
-    return { 
-      original: xpath,
-      simplified: simplePath,
-      variations: xpathVariations
-    };
+    const prediction = predictions.find(item => item.prediction_id === linkedField.predictionId);
+    return (prediction?.evidence_spans || [])
+      .filter(span => isEvidenceFor(prediction, span, linkedField.type, linkedField.field))
+      .map(span => span.span_id);
+  }, [predictions, linkedField]);
+
+  // Check the response's spans against the email text, to surface parser offset bugs
+  const spanDiagnostics = useMemo(() => validateEvidenceSpans(apiResponse), [apiResponse]);
+
+  // Sanitize HTML bodies before they reach the DOM
+  const sanitizedBody = useMemo(() => {
+    if (!isHtmlContent) return null;
+    
+    return sanitizeEmailHtml(paneBody?.content, {
+      ...sanitizePolicy,
+      allowRemoteImages: sanitizePolicy.allowRemoteImages || remoteImagesAllowed
+    }, { wholeDocument: true });
+  }, [paneBody, isHtmlContent, sanitizePolicy, remoteImagesAllowed]);
+
+  // HTML bodies render in a sandboxed frame so that email styles and markup stay isolated
+  const frameDocument = useMemo(() => (
+    sanitizedBody ? buildEmailFrameDocument(sanitizedBody.html, evidenceOverlayStyles) : ''
+  ), [sanitizedBody]);
+
+  // Record a pending correction
+  const recordCorrection = useCallback((correction) => {
+    setCorrections(prev => [...prev, correction]);
+    setUndoneCorrections([]);
+    setFeedbackErrors([]);
   }, []);
 
+  // Undo the latest correction, removing it from the pending feedback. Corrections are
+  // the edit history: every edit to this email is one correction, replayed in order.
+  const undoCorrection = useCallback(() => {
+    if (corrections.length === 0) return;
+    
+    setCorrections(corrections.slice(0, -1));
+    setUndoneCorrections(undone => [...undone, corrections[corrections.length - 1]]);
+    setFeedbackErrors([]);
+  }, [corrections]);
+
+  // Redo the latest undone correction
+  const redoCorrection = useCallback(() => {
+    if (undoneCorrections.length === 0) return;
+    
+    setCorrections(current => [...current, undoneCorrections[undoneCorrections.length - 1]]);
+    setUndoneCorrections(undoneCorrections.slice(0, -1));
+    setFeedbackErrors([]);
+  }, [undoneCorrections]);
+
   /**
-   * Creates an overlay element for a DOM node
-   * @param {Node} node - The DOM node to create overlay for
+   * Creates an inline overlay element that wraps part of a DOM node's text
+   * @param {Node} node - The DOM node being highlighted
    * @param {Object} span - The evidence span data
    * @param {string} spanId - Unique ID for this span
    * @returns {HTMLElement|null} - The created overlay element or null if failed
@@ -86,575 +545,2178 @@ const EmailIntentVisualizer = ({ apiResponse, onFeedbackSubmit, readOnly = false
     try {
       if (!node) return null;
       
-      // Create the overlay element
-      const overlay = document.createElement('span');
+      // Create the overlay element in the node's own document
+      const overlay = (node.ownerDocument || document).createElement('span');
       overlay.className = `evidence-overlay overlay-${span.type || 'default'}`;
+      if (span.color_index !== undefined) {
+        overlay.classList.add(`overview-prediction-${span.color_index}`);
+        overlay.dataset.predictionId = span.prediction_id;
+      }
+      if (span.compare_version) overlay.classList.add(`compare-${span.compare_version}`);
       
       // Set span data attributes
       overlay.dataset.spanId = spanId;
       overlay.dataset.spanType = span.type || '';
       overlay.dataset.fieldName = span.field || '';
       overlay.dataset.clickable = (!readOnly).toString();
+      overlay.dataset.relativeStart = span.relative_start;
+      overlay.dataset.relativeEnd = span.relative_end;
       
-      // Position the overlay
-      const nodeRect = node.getBoundingClientRect();
-      overlay.style.position = 'absolute';
-      overlay.style.left = '0';
-      overlay.style.top = '0';
-      overlay.style.width = '100%';
-      overlay.style.height = '100%';
+      // Fade highlights the model is unsure of, and flag those below the threshold
+      const confidence = getSpanConfidence(span);
+      if (confidence !== null) {
+        overlay.style.opacity = getConfidenceOpacity(confidence);
+        overlay.dataset.confidence = confidence;
+      }
+      if (isLowConfidence(confidence, confidenceThreshold)) overlay.classList.add('low-confidence');
       
       return overlay;
     } catch (error) {
       console.error('Error creating overlay for node:', error);
       return null;
     }
-  }, [readOnly]);
+  }, [readOnly, confidenceThreshold]);
 
   /**
-   * Creates an overlay for a text selection span
-   * @param {Object} span - The evidence span data
-   * @param {string} spanId - Unique ID for this span
-   * @returns {HTMLElement|null} - The created text overlay element or null if failed
+   * Creates a drag handle for resizing the active evidence span
+   * @param {Document} doc - The document the handle will be inserted into
+   * @param {string} handleType - Which end of the span the handle moves ('start' or 'end')
+   * @returns {HTMLElement} - The created handle element
    */
-  const createTextOverlay = useCallback((span, spanId) => {
+  const createResizeHandle = useCallback((doc, handleType) => {
+    const handle = doc.createElement('span');
+    handle.className = `resize-handle ${handleType}`;
+    handle.title = handleType === 'start' ? 'Drag to adjust start position' : 'Drag to adjust end position';
+    handle.dataset.handleType = handleType;
+    handle.contentEditable = 'false';
+    
+    return handle;
+  }, []);
+
+  /**
+   * Applies highlights to the email body for evidence spans
+   * @param {HTMLElement} emailBodyElement - The email body element
+   * @param {Array} evidenceSpans - Array of evidence spans to highlight
+   * @param {Object} options - Highlight options
+   * @param {string} options.activeSpanId - span_id of the span being edited
+   * @param {boolean} options.showHandles - Whether to add resize handles to the active span
+   */
+  const applyHighlights = useCallback((emailBodyElement, evidenceSpans, { activeSpanId: activeId = null, showHandles = false } = {}) => {
+    if (!emailBodyElement || !evidenceSpans || !Array.isArray(evidenceSpans)) return;
+    
     try {
-      if (!span || span.start === undefined || span.end === undefined) {
-        return null;
-      }
+      // Anchor every span before wrapping anything, so that inserted overlays
+      // cannot shift the positions later XPaths refer to
+      const targets = evidenceSpans.map(span => ({
+        span,
+        anchor: anchorHtmlSpan(span, emailBodyElement, isVisualizerElement)
+      }));
       
-      // Create the text overlay element
-      const overlay = document.createElement('span');
-      overlay.className = `text-evidence-overlay overlay-${span.type || 'default'}`;
-      
-      // Set span data attributes
-      overlay.dataset.spanId = spanId;
-      overlay.dataset.spanType = span.type || '';
-      overlay.dataset.fieldName = span.field || '';
-      overlay.dataset.start = span.start;
-      overlay.dataset.end = span.end;
-      overlay.dataset.clickable = (!readOnly).toString();
+      // Process each evidence span
+      targets.forEach(({ span, anchor }, index) => {
+        const spanId = span.span_id || `span-${index}`;
+        const { node, strategy } = anchor;
+        if (!node) return;
+        
+        try {
+          // Wrap exactly the cited characters, one overlay per text node touched
+          const overlays = wrapTextRange(node, anchor.start, anchor.end, () => {
+            const overlay = createOverlayForNode(node, span, spanId);
+            if (overlay) {
+              overlay.dataset.anchorStrategy = strategy;
+              if (REANCHORED_STRATEGIES.has(strategy)) overlay.classList.add('evidence-overlay-reanchored');
+            }
+            return overlay;
+          });
+          if (overlays.length === 0) return;
+          
+          const first = overlays[0];
+          const last = overlays[overlays.length - 1];
+          first.classList.add('evidence-overlay-start');
+          last.classList.add('evidence-overlay-end');
+          
+          if (spanId === activeId) {
+            overlays.forEach(overlay => overlay.classList.add('active'));
+            
+            if (showHandles) {
+              first.insertBefore(createResizeHandle(node.ownerDocument, 'start'), first.firstChild);
+              last.appendChild(createResizeHandle(node.ownerDocument, 'end'));
+            }
+          }
+        } catch (error) {
+          console.error('Error applying highlight to node:', error);
+        }
+      });
       
-      // Set content
-      overlay.textContent = span.text || '';
+      // Note: Event delegation is now handled by a separate useEffect
       
-      return overlay;
     } catch (error) {
-      console.error('Error creating text overlay:', error);
-      return null;
+      console.error('Error applying highlights:', error);
+    }
+  }, [createOverlayForNode, createResizeHandle]);
+
+  // Function to clear all evidence highlights from the email body
+  const clearHighlights = useCallback(() => {
+    if (!emailBodyRef.current) return;
+    
+    // Remove the overlays and handles while keeping the text (and any inline markup) they wrapped
+    emailBodyRef.current.querySelectorAll('.resize-handle').forEach(handle => handle.remove());
+    unwrapElements(emailBodyRef.current, '.evidence-overlay');
+  }, []);
+
+  // Mark the quoted reply history of an HTML body so that it can be collapsed. Runs
+  // before the highlight effect, which records the quoted section each span falls in.
+  useEffect(() => {
+    if (!isHtmlContent || !emailBodyRef.current) return;
+    
+    const groups = findQuotedElements(emailBodyRef.current);
+    groups.forEach((group, index) => {
+      group.forEach((element, position) => {
+        element.dataset.quoteIndex = index;
+        element.classList.add(position === 0 ? 'quoted-history' : 'quoted-history-continued');
+      });
+    });
+    setHtmlQuoteCount(groups.length);
+  }, [isHtmlContent, frameLoadCount]);
+
+  // Collapse the marked HTML quotes that have not been expanded
+  useEffect(() => {
+    if (!isHtmlContent || !emailBodyRef.current) return;
+    
+    emailBodyRef.current.querySelectorAll('[data-quote-index]').forEach(element => {
+      element.classList.toggle('collapsed', !expandedQuotes.includes(Number(element.dataset.quoteIndex)));
+    });
+  }, [expandedQuotes, isHtmlContent, htmlQuoteCount, frameLoadCount]);
+
+  // Apply highlights when the selected prediction or its spans change
+  useEffect(() => {
+    if (!emailBodyRef.current || !isHtmlContent) return;
+    
+    // First clear any existing highlights
+    clearHighlights();
+    
+    // Anchor the spans of every prediction citing this pane while it is clean, so that
+    // cards can flag evidence that cannot be found and tell which spans are quoted. Fuzzy
+    // anchoring is costly, so each location is anchored once per frame document.
+    if (htmlAnchorCacheRef.current.body !== emailBodyRef.current) {
+      htmlAnchorCacheRef.current = { body: emailBodyRef.current, anchors: new Map(), spanIds: '' };
+    }
+    const cache = htmlAnchorCacheRef.current;
+    const strategies = {};
+    const quotes = {};
+    let anchored = false;
+    predictions.forEach(prediction => {
+      (prediction.evidence_spans || []).filter(span => getSpanPane(span) === readingPane).forEach(span => {
+        const key = getSpanLocationKey(span);
+        if (!cache.anchors.has(key)) {
+          const { node, start, end, strategy } = anchorHtmlSpan(span, emailBodyRef.current, isVisualizerElement);
+          const quote = node && locateTextRange(node, start, end, isVisualizerElement)?.node.closest('[data-quote-index]');
+          cache.anchors.set(key, { strategy, quoteIndex: quote ? Number(quote.dataset.quoteIndex) : null });
+          anchored = true;
+        }
+        
+        const { strategy, quoteIndex } = cache.anchors.get(key);
+        strategies[span.span_id] = strategy;
+        if (quoteIndex !== null) quotes[span.span_id] = quoteIndex;
+      });
+    });
+    
+    // Only a new anchor or a different set of spans changes what the cards show
+    const spanIds = Object.keys(strategies).join(' ');
+    if (anchored || spanIds !== cache.spanIds) {
+      cache.spanIds = spanIds;
+      setHtmlAnchorStrategies(current => ({ ...current, ...strategies }));
+      setHtmlSpanQuotes(current => ({ ...current, [readingPane]: quotes }));
+    }
+    
+    // Apply highlights for each span in the selected prediction
+    if (bodySpans.length > 0) {
+      applyHighlights(emailBodyRef.current, bodySpans, {
+        activeSpanId,
+        showHandles: editMode && !readOnly
+      });
+    }
+  }, [predictions, bodySpans, readingPane, activeSpanId, editMode, readOnly, isHtmlContent, frameLoadCount, applyHighlights, clearHighlights]);
+
+  // Pulse the spans of a hovered field row and bring the first of them into view.
+  // Runs after the highlight effect so that freshly drawn overlays are marked too.
+  useEffect(() => {
+    const emailBody = emailBodyRef.current;
+    if (!emailBody) return;
+    
+    // Plain-text overlays get their class from React, HTML overlays are marked here
+    if (isHtmlContent) {
+      emailBody.querySelectorAll('.evidence-overlay').forEach(overlay => {
+        overlay.classList.toggle('linked', pulsingSpanIds.includes(overlay.dataset.spanId));
+      });
     }
-  }, [readOnly]);
+    
+    const first = emailBody.querySelector('.evidence-overlay.linked');
+    first?.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+  }, [pulsingSpanIds, bodySpans, activeSpanId, editMode, readOnly, isHtmlContent, readingPane, frameLoadCount]);
+
+  // Scroll the prediction field linked from the email body into view
+  useEffect(() => {
+    if (!linkedField || linkedField.source === 'card' || !predictionCardsRef.current) return;
+    
+    const target = predictionCardsRef.current.querySelector('.linked-field')
+      || predictionCardsRef.current.querySelector('.prediction-card.linked');
+    target?.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+  }, [linkedField]);
+
+  // Handle selection mode changes
+  useEffect(() => {
+    if (!emailBodyRef.current) return;
+    
+    if (selectionMode) {
+      emailBodyRef.current.classList.add('selection-mode');
+    } else {
+      emailBodyRef.current.classList.remove('selection-mode');
+    }
+  }, [selectionMode, frameLoadCount]);
+
+  // The frame body is not rendered by React, so mirror edit mode onto it directly
+  useEffect(() => {
+    if (!isHtmlContent || !emailBodyRef.current) return;
+    
+    emailBodyRef.current.classList.toggle('edit-mode', editMode);
+  }, [editMode, isHtmlContent, frameLoadCount]);
+
+  // Point the email body ref at the frame's body once its document has loaded
+  const handleFrameLoad = useCallback(() => {
+    emailBodyRef.current = emailFrameRef.current?.contentDocument?.body || null;
+    setFrameLoadCount(count => count + 1);
+  }, []);
+
+  // Size the frame to its content, following later changes such as images loading
+  useEffect(() => {
+    const doc = emailFrameRef.current?.contentDocument;
+    if (!isHtmlContent || !doc?.body) return;
+    
+    const updateHeight = () => setFrameHeight(getFrameContentHeight(doc));
+    updateHeight();
+    
+    const FrameResizeObserver = doc.defaultView?.ResizeObserver;
+    if (!FrameResizeObserver) return;
+    
+    const observer = new FrameResizeObserver(updateHeight);
+    observer.observe(doc.body);
+    return () => observer.disconnect();
+  }, [isHtmlContent, frameLoadCount]);
 
   /**
-   * Evaluates an XPath expression and returns matching nodes
-   * @param {Object} xpathObj - Normalized XPath object with variations
-   * @param {Node} contextNode - The context node to evaluate against
-   * @returns {Array} - Array of matching DOM nodes
+   * Describes the prediction field an overlay is evidence for
+   * @param {Element} overlay - An evidence overlay in the email body
+   * @param {string} source - What created the link: 'body' (hover) or 'click'
+   * @returns {Object|null} - { source, predictionId, type, field } or null if the span is unknown
    */
-  const getElementByXPath = useCallback((xpathObj, contextNode) => {
-    if (!xpathObj || !contextNode) return [];
+  const getOverlayLink = useCallback((overlay, source) => {
+    const spanId = overlay.dataset.spanId;
+    const prediction = predictions.find(item => item.evidence_spans?.some(span => span.span_id === spanId));
+    const span = prediction?.evidence_spans.find(item => item.span_id === spanId);
+    if (!span) return null;
+    
+    return { source, predictionId: prediction.prediction_id, ...getEvidenceField(prediction, span) };
+  }, [predictions]);
+
+  // Link a prediction field, keeping the current state when nothing changed so hovering stays cheap
+  const linkField = useCallback((link) => {
+    setLinkedField(current => (
+      current && link && current.source === link.source && current.predictionId === link.predictionId
+        && current.type === link.type && current.field === link.field ? current : link
+    ));
+  }, []);
+
+  // Clear a field link, but only one created by the given source
+  const unlinkField = useCallback((source) => {
+    setLinkedField(current => (current?.source === source ? null : current));
+  }, []);
+
+  // Handle click on evidence overlays
+  const handleOverlayClick = useCallback((event) => {
+    // Check if the clicked element is an overlay
+    const overlay = event.target.closest('.evidence-overlay');
+    if (!overlay) return;
     
-    const { original, simplified, variations } = xpathObj;
-    let result = [];
+    // Prevent event bubbling
+    event.stopPropagation();
     
-    try {
-      // Try the original XPath
-      const nodes = document.evaluate(
-        original,
-        contextNode,
-        null,
-        XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
-        null
-      );
+    // When comparing versions, show the row the evidence belongs to
+    if (isComparing) {
+      const row = comparisonRows.find(item => getComparisonSpans([item]).some(span => span.span_id === overlay.dataset.spanId));
+      if (row) setSelectedComparisonKey(row.key);
+      return;
+    }
+    
+    // If we're in edit mode, handle the overlay click for editing
+    if (editMode && !readOnly && !selectionMode) {
+      // Set the active span for editing
+      setActiveSpanId(overlay.dataset.spanId);
+      setSpanDraft({ type: overlay.dataset.spanType || 'intent', field: overlay.dataset.fieldName || '' });
       
-      for (let i = 0; i < nodes.snapshotLength; i++) {
-        result.push(nodes.snapshotItem(i));
-      }
+      // Show edit panel
+      setEditPanelVisible(true);
+    }
+    
+    // Select the prediction the evidence belongs to and keep its field emphasised
+    const link = getOverlayLink(overlay, 'click');
+    if (link) {
+      if (!editMode) setSelectedPredictionId(link.predictionId);
+      linkField(link);
+    }
+  }, [isComparing, comparisonRows, editMode, readOnly, selectionMode, getOverlayLink, linkField]);
+
+  // Emphasise the prediction field of the evidence under the pointer
+  const handleOverlayHover = useCallback((event) => {
+    if (event.type === 'mouseout') {
+      if (!event.relatedTarget?.closest?.('.evidence-overlay')) unlinkField('body');
+      return;
+    }
+    
+    const overlay = event.target.closest?.('.evidence-overlay');
+    const link = overlay && getOverlayLink(overlay, 'body');
+    if (link) linkField(link);
+  }, [getOverlayLink, linkField, unlinkField]);
+
+  /**
+   * Anchors a span in the rendered email body: the element its offsets are relative
+   * to (the anchored XPath target for HTML spans, the whole body for plain-text spans)
+   * and the anchored offsets within it
+   * @param {Object} span - The evidence span
+   * @returns {Object|null} - { root, start, end } or null if the span cannot be found
+   */
+  const locateSpan = useCallback((span) => {
+    const emailBody = emailBodyRef.current;
+    if (!emailBody || !span) return null;
+    
+    if (isHtmlContent) {
+      const { node, start, end } = anchorHtmlSpan(span, emailBody, isVisualizerElement);
+      return node ? { root: node, start, end } : null;
+    }
+    
+    const { start, end } = anchorTextSpan(span, emailBody.textContent);
+    return start !== null ? { root: emailBody, start, end } : null;
+  }, [isHtmlContent]);
+
+  /**
+   * Returns a copy of a span that covers a new character range of its root
+   * @param {Object} span - The span being changed
+   * @param {Element} root - The element the offsets are relative to
+   * @param {number} start - New start offset
+   * @param {number} end - New end offset
+   * @returns {Object} - The updated span
+   */
+  const moveSpan = useCallback((span, root, start, end) => {
+    const text = root.textContent.slice(start, end);
+    
+    // The model's confidence does not apply to a span the annotator has placed
+    const moved = { ...span, text };
+    delete moved.confidence;
+    
+    if (isHtmlContent) {
+      // A re-anchored span is rewritten against the element it was actually found in
+      const xpath = getXPathForNode(root, emailBodyRef.current, isVisualizerElement) || span.xpath;
+      return { ...moved, xpath, relative_start: start, relative_end: end };
+    }
+    return { ...moved, start, end };
+  }, [isHtmlContent]);
+
+  // Start dragging a resize handle of the active span
+  const handleResizeStart = useCallback((event) => {
+    const handle = event.target.closest('.resize-handle');
+    if (!handle || !activeSpan || !selectedPrediction || readOnly) return;
+    
+    const location = locateSpan(activeSpan);
+    if (!location) return;
+    
+    event.preventDefault();
+    event.stopPropagation();
+    
+    // Drag from where the span was anchored, which may differ from its stated offsets
+    const anchored = moveSpan(activeSpan, location.root, location.start, location.end);
+    resizeRef.current = {
+      handleType: handle.dataset.handleType,
+      predictionId: selectedPrediction.prediction_id,
+      original: activeSpan,
+      anchored,
+      draft: anchored,
+      root: location.root
+    };
+    setResizeDraft({ span: anchored });
+  }, [activeSpan, selectedPrediction, readOnly, locateSpan, moveSpan]);
+
+  // Expand a collapsed quote when it is clicked
+  const handleQuoteClick = useCallback((event) => {
+    const quote = event.target.closest?.('.quoted-history.collapsed');
+    if (!quote) return;
+    
+    event.stopPropagation();
+    const index = Number(quote.dataset.quoteIndex);
+    setExpandedQuotes(current => (current.includes(index) ? current : [...current, index]));
+  }, []);
+
+  // Add/remove event listeners for overlays and handles when the email body changes
+  useEffect(() => {
+    const emailBody = emailBodyRef.current;
+    if (emailBody) {
+      emailBody.addEventListener('click', handleQuoteClick, true);
+      emailBody.addEventListener('click', handleOverlayClick);
+      emailBody.addEventListener('mousedown', handleResizeStart);
+      emailBody.addEventListener('mouseover', handleOverlayHover);
+      emailBody.addEventListener('mouseout', handleOverlayHover);
+      return () => {
+        emailBody.removeEventListener('click', handleQuoteClick, true);
+        emailBody.removeEventListener('click', handleOverlayClick);
+        emailBody.removeEventListener('mousedown', handleResizeStart);
+        emailBody.removeEventListener('mouseover', handleOverlayHover);
+        emailBody.removeEventListener('mouseout', handleOverlayHover);
+      };
+    }
+  }, [handleQuoteClick, handleOverlayClick, handleResizeStart, handleOverlayHover, isHtmlContent, readingPane, frameLoadCount]);
+
+  // Track the pointer while a resize handle is being dragged
+  const isResizing = resizeDraft !== null;
+  useEffect(() => {
+    if (!isResizing || !emailBodyRef.current) return;
+    
+    const doc = emailBodyRef.current.ownerDocument;
+    
+    const handleMouseMove = (event) => {
+      const drag = resizeRef.current;
+      if (!drag) return;
       
-      if (result.length > 0) return result;
+      const position = getCaretPosition(doc, event.clientX, event.clientY);
+      if (!position) return;
       
-      // Try the simplified XPath
-      const simpleNodes = document.evaluate(
-        simplified,
-        contextNode,
-        null,
-        XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
-        null
-      );
+      const offset = getTextOffset(drag.root, position.node, position.offset);
+      if (offset === null) return;
+      
+      const current = drag.draft;
+      const currentStart = current.xpath ? current.relative_start : current.start;
+      const currentEnd = current.xpath ? current.relative_end : current.end;
       
-      for (let i = 0; i < simpleNodes.snapshotLength; i++) {
-        result.push(simpleNodes.snapshotItem(i));
+      // Never let the handles cross: a span always keeps at least one character
+      const start = drag.handleType === 'start' ? Math.min(offset, currentEnd - 1) : currentStart;
+      const end = drag.handleType === 'end' ? Math.max(offset, currentStart + 1) : currentEnd;
+      if (start === currentStart && end === currentEnd) return;
+      
+      drag.draft = moveSpan(current, drag.root, start, end);
+      setResizeDraft({ span: drag.draft });
+    };
+    
+    const handleMouseUp = () => {
+      const drag = resizeRef.current;
+      resizeRef.current = null;
+      setResizeDraft(null);
+      
+      if (drag && drag.draft !== drag.anchored) {
+        recordCorrection(createSpanCorrection({
+          predictionId: drag.predictionId,
+          original: drag.original,
+          corrected: drag.draft
+        }));
       }
+    };
+    
+    doc.addEventListener('mousemove', handleMouseMove);
+    doc.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      doc.removeEventListener('mousemove', handleMouseMove);
+      doc.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [isResizing, moveSpan, recordCorrection]);
+
+  /**
+   * Converts the current DOM selection inside the email body into span location data
+   * @returns {Object} - { span } with xpath/relative offsets (HTML) or start/end (text), or { error }
+   */
+  const getSelectionSpan = useCallback(() => {
+    const emailBody = emailBodyRef.current;
+    if (!emailBody) return { error: 'No email content to select from' };
+    
+    const selection = emailBody.ownerDocument.defaultView.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+      return { error: 'Select some text in the email first' };
+    }
+    
+    const range = selection.getRangeAt(0);
+    if (!emailBody.contains(range.commonAncestorContainer)) {
+      return { error: `The selection must be inside the ${openAttachment ? 'attachment' : 'email'}` };
+    }
+    
+    // HTML spans are anchored to the closest element holding the whole selection,
+    // plain-text spans to the whole body
+    let anchor = emailBody;
+    if (isHtmlContent) {
+      anchor = range.commonAncestorContainer;
+      if (anchor.nodeType !== Node.ELEMENT_NODE) anchor = anchor.parentElement;
+      while (anchor !== emailBody && isVisualizerElement(anchor)) anchor = anchor.parentElement;
+    }
+    
+    const anchorText = anchor.textContent;
+    const { start, end } = trimTextRange(
+      anchorText,
+      getTextOffset(anchor, range.startContainer, range.startOffset),
+      getTextOffset(anchor, range.endContainer, range.endOffset)
+    );
+    if (end <= start) return { error: 'The selection contains no text' };
+    
+    if (isHtmlContent) {
+      return {
+        span: {
+          ...paneSpanSource,
+          xpath: getXPathForNode(anchor, emailBody, isVisualizerElement),
+          relative_start: start,
+          relative_end: end,
+          text: anchorText.slice(start, end)
+        }
+      };
+    }
+    
+    return { span: { ...paneSpanSource, start, end, text: anchorText.slice(start, end) } };
+  }, [isHtmlContent, openAttachment, paneSpanSource]);
+
+  // Capture the selection whenever the user finishes selecting text in selection mode
+  useEffect(() => {
+    const emailBody = emailBodyRef.current;
+    if (!selectionMode || !emailBody) return;
+    
+    const handleSelectionEnd = () => {
+      const { span, error } = getSelectionSpan();
+      setSelectionCandidate(span || null);
+      setSelectionError(error || null);
+    };
+    
+    emailBody.addEventListener('mouseup', handleSelectionEnd);
+    emailBody.addEventListener('keyup', handleSelectionEnd);
+    return () => {
+      emailBody.removeEventListener('mouseup', handleSelectionEnd);
+      emailBody.removeEventListener('keyup', handleSelectionEnd);
+    };
+  }, [selectionMode, getSelectionSpan, frameLoadCount]);
+
+  // Show the span a diagnostics issue refers to
+  const handleDiagnosticClick = useCallback((issue) => {
+    // Show the body, attachment or thread message the span cites; header spans are always visible
+    const span = predictions
+      .find(prediction => prediction.prediction_id === issue.prediction_id)?.evidence_spans
+      .find(item => item.span_id === issue.span_id);
+    const pane = span ? getSpanPane(span) : undefined;
+    if (pane !== undefined) setReadingPane(pane);
+    setSelectedPredictionId(issue.prediction_id);
+    setEditingField(null);
+    setActiveSpanId(issue.span_id);
+    setSelectionMode(false);
+  }, [predictions]);
+
+  // Switch the reading pane to the body, attachment or thread message holding the
+  // given spans, unless it already shows one of them
+  const showSpansInPane = useCallback((spans) => {
+    const panes = spans.map(getSpanPane).filter(pane => pane !== undefined);
+    if (panes.length > 0 && !panes.includes(readingPane)) {
+      setReadingPane(panes[0]);
+    }
+  }, [readingPane]);
+
+  // Handle prediction card click
+  const handlePredictionClick = useCallback((prediction) => {
+    showSpansInPane(prediction.evidence_spans || []);
+    setSelectedPredictionId(prediction.prediction_id);
+    setEditMode(false);
+    setEditingField(null);
+    setActiveSpanId(null);
+    setSelectionMode(false);
+    setEditPanelVisible(false);
+  }, [showSpansInPane]);
+
+  // Handle prediction field click (for editing specific fields)
+  const handlePredictionFieldClick = useCallback((prediction, fieldType, fieldName = '') => {
+    if (readOnly || prediction.rejected) return;
+    
+    // Enter edit mode for this specific field
+    setSelectedPredictionId(prediction.prediction_id);
+    setEditMode(true);
+    setEditPanelVisible(true);
+    setEditingField({ type: fieldType, name: fieldName });
+    setSpanDraft({ type: fieldType, field: fieldName });
+    
+    // Filter to find matching spans for this field
+    const matchingSpans = prediction.evidence_spans?.filter(span => isEvidenceFor(prediction, span, fieldType, fieldName)) || [];
+    
+    // Set first matching span as active
+    setActiveSpanId(matchingSpans.length > 0 ? matchingSpans[0].span_id : null);
+    showSpansInPane(matchingSpans.slice(0, 1));
+  }, [readOnly, showSpansInPane]);
+
+  // Handle entering selection mode, either to re-select the active span or to add a new one
+  const enterSelectionMode = useCallback((target = 'replace') => {
+    setSelectionTarget(target);
+    setSelectionCandidate(null);
+    setSelectionError(null);
+    setSelectionMode(true);
+  }, []);
+
+  // Handle exiting selection mode
+  const exitSelectionMode = useCallback(() => {
+    setSelectionMode(false);
+    setSelectionCandidate(null);
+    setSelectionError(null);
+    emailBodyRef.current?.ownerDocument.defaultView.getSelection()?.removeAllRanges();
+  }, []);
+
+  // Turn the captured selection into a span correction
+  const applySelection = useCallback(() => {
+    if (!selectionCandidate || !selectedPrediction) return;
+    
+    const predictionId = selectedPrediction.prediction_id;
+    
+    if (selectionTarget === 'replace' && activeSpan) {
+      // Keep the span's labels but move it to the selected text
+      const corrected = { ...activeSpan };
+      SPAN_LOCATION_KEYS.forEach(key => delete corrected[key]);
+      delete corrected.confidence;
+      Object.assign(corrected, selectionCandidate);
       
-      if (result.length > 0) return result;
+      recordCorrection(createSpanCorrection({ predictionId, original: activeSpan, corrected }));
+    } else {
+      const corrected = {
+        span_id: createSpanId(predictionId),
+        type: spanDraft.type,
+        ...(KEYED_SPAN_TYPES.has(spanDraft.type) ? { field: spanDraft.field } : {}),
+        ...selectionCandidate
+      };
       
-      // Try variations
-      for (const variation of variations) {
-        const varNodes = document.evaluate(
-          variation,
-          contextNode,
-          null,
-          XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
-          null
-        );
+      recordCorrection(createSpanCorrection({ predictionId, corrected }));
+      setActiveSpanId(corrected.span_id);
+    }
+    
+    exitSelectionMode();
+  }, [selectionCandidate, selectedPrediction, selectionTarget, activeSpan, spanDraft, recordCorrection, exitSelectionMode]);
+
+  // Delete the active span
+  const deleteActiveSpan = useCallback(() => {
+    if (!activeSpan || !selectedPrediction) return;
+    
+    recordCorrection(createSpanCorrection({
+      predictionId: selectedPrediction.prediction_id,
+      original: activeSpan
+    }));
+    setActiveSpanId(null);
+  }, [activeSpan, selectedPrediction, recordCorrection]);
+
+  // Leave edit mode entirely
+  const closeEditPanel = useCallback(() => {
+    exitSelectionMode();
+    setEditMode(false);
+    setEditPanelVisible(false);
+    setEditingField(null);
+    setActiveSpanId(null);
+  }, [exitSelectionMode]);
+
+  // Handle submit feedback action
+  const handleSubmitFeedback = useCallback(() => {
+    if (!onFeedbackSubmit || feedbackData.length === 0 || submitting) return;
+    
+    // Validate every payload and keep them all back if any is invalid
+    const errors = feedbackData
+      .map(payload => ({ payload, result: validateFeedbackData(payload) }))
+      .filter(({ result }) => !result.valid)
+      .map(({ payload, result }) => ({
+        prediction_id: payload.prediction_id,
+        feedback_type: payload.feedback_type,
+        error: result.error
+      }));
+    
+    setFeedbackErrors(errors);
+    if (errors.length > 0) return;
+    
+    // Keep the corrections until the submission is through, so that none are lost if it
+    // fails; corrections made while it is in flight stay pending. Once through, reload the
+    // history so that it lists this feedback too.
+    const submitted = corrections;
+    setSubmitting(true);
+    setSubmitError(null);
+    Promise.resolve()
+      .then(() => onFeedbackSubmit(feedbackData, submitted))
+      .then(() => {
+        setCorrections(current => current.filter(correction => !submitted.includes(correction)));
+        setUndoneCorrections([]);
+        setHistoryReloadCount(count => count + 1);
+      })
+      .catch(error => setSubmitError(`Feedback could not be submitted: ${error?.message || error}. Your corrections are kept; submit again to retry.`))
+      .finally(() => setSubmitting(false));
+  }, [feedbackData, corrections, onFeedbackSubmit, submitting]);
+
+  // Undo with Ctrl+Z and redo with Ctrl+Shift+Z (Cmd on macOS), also while the HTML
+  // email frame has focus
+  useEffect(() => {
+    if (readOnly) return;
+    
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || event.key.toLowerCase() !== 'z') return;
+      if (isTextEntry(event.target)) return;
+      
+      event.preventDefault();
+      if (event.shiftKey) redoCorrection();
+      else undoCorrection();
+    };
+    
+    const documents = [document, isHtmlContent ? emailFrameRef.current?.contentDocument : null].filter(Boolean);
+    documents.forEach(doc => doc.addEventListener('keydown', handleKeyDown));
+    return () => documents.forEach(doc => doc.removeEventListener('keydown', handleKeyDown));
+  }, [readOnly, undoCorrection, redoCorrection, isHtmlContent, frameLoadCount]);
+
+  // Split plain-text content into segments at the selected prediction's anchored span offsets
+  const textSegments = useMemo(() => {
+    if (isHtmlContent || bodySpans.length === 0) return [];
+    
+    const content = attachmentLayout ? attachmentLayout.text : paneBody?.content;
+    const anchoredSpans = bodySpans.map(span => {
+      const { strategy, start, end } = anchorTextSpan(span, content);
+      return strategy === ANCHOR_STRATEGIES.UNANCHORED ? null : { ...span, start, end, anchor_strategy: strategy };
+    });
+    
+    return buildTextSegments(content, anchoredSpans);
+  }, [paneBody, isHtmlContent, bodySpans, attachmentLayout]);
+
+  // Quoted reply history in a plain-text email or thread message shown in the reading pane
+  const paneQuotedRanges = useMemo(() => (
+    isHtmlContent || openAttachment ? [] : findQuotedTextRanges(paneBody?.content)
+  ), [isHtmlContent, openAttachment, paneBody]);
+
+  // Plain-text email and thread message contents, keyed by reading pane
+  const paneTexts = useMemo(() => {
+    const texts = {};
+    if (!isHtmlEmail) texts[BODY_PANE] = apiResponse?.email?.body?.content;
+    threadMessages.filter(message => !isHtmlBody(message.body)).forEach(message => {
+      texts[`message:${message.message_id}`] = message.body.content;
+    });
+    return texts;
+  }, [apiResponse, isHtmlEmail, threadMessages]);
+
+  // The quoted section each span falls in, keyed by reading pane and then span_id. Spans
+  // in HTML panes are recorded by the highlight effect once their pane has been shown.
+  const spanQuotes = useMemo(() => {
+    const quotes = { ...htmlSpanQuotes };
+    const ranges = Object.fromEntries(Object.entries(paneTexts).map(([pane, text]) => [pane, findQuotedTextRanges(text)]));
+    
+    predictions.forEach(prediction => {
+      (prediction.evidence_spans || []).forEach(span => {
+        const pane = getSpanPane(span);
+        if (!ranges[pane]?.length) return;
         
-        for (let i = 0; i < varNodes.snapshotLength; i++) {
-          result.push(varNodes.snapshotItem(i));
+        const { start } = anchorTextSpan(span, paneTexts[pane]);
+        const index = ranges[pane].findIndex(range => start !== null && start >= range.start && start < range.end);
+        if (index >= 0) quotes[pane] = { ...quotes[pane], [span.span_id]: index };
+      });
+    });
+    return quotes;
+  }, [paneTexts, predictions, htmlSpanQuotes]);
+
+  // Expand the quoted sections holding the selected prediction's spans in the reading pane
+  useEffect(() => {
+    const quotes = spanQuotes[readingPane] || {};
+    const indices = (selectedPrediction?.evidence_spans || [])
+      .map(span => quotes[span.span_id])
+      .filter(index => index !== undefined);
+    if (indices.length === 0) return;
+    
+    setExpandedQuotes(current => (
+      indices.every(index => current.includes(index)) ? current : [...new Set([...current, ...indices])]
+    ));
+  }, [selectedPrediction, readingPane, spanQuotes]);
+
+  // Segments of each header value cited by a displayed span, keyed by header path
+  const headerSegments = useMemo(() => {
+    const header = apiResponse?.email?.header;
+    const spansByPath = {};
+    displayedSpans.filter(isHeaderSpan).forEach(span => {
+      const { strategy, path, start, end } = anchorHeaderSpan(span, header);
+      if (strategy === ANCHOR_STRATEGIES.UNANCHORED) return;
+      
+      spansByPath[path] = [...(spansByPath[path] || []), { ...span, start, end, anchor_strategy: strategy }];
+    });
+    
+    return Object.fromEntries(Object.entries(spansByPath).map(([path, spans]) => (
+      [path, buildTextSegments(getHeaderValue(header, path), spans)]
+    )));
+  }, [apiResponse, displayedSpans]);
+
+  // How each span of every prediction was anchored, keyed by span_id
+  const anchorStrategies = useMemo(() => {
+    const strategies = { ...htmlAnchorStrategies };
+    const attachmentTexts = Object.fromEntries(attachments.map(attachment => (
+      [attachment.attachment_id, getAttachmentLayout(attachment).text]
+    )));
+    
+    predictions.forEach(prediction => {
+      (prediction.evidence_spans || []).forEach(span => {
+        if (isHeaderSpan(span)) {
+          strategies[span.span_id] = anchorHeaderSpan(span, apiResponse?.email?.header).strategy;
+        } else if (isAttachmentSpan(span)) {
+          strategies[span.span_id] = anchorTextSpan(span, attachmentTexts[span.attachment_id]).strategy;
+        } else if (paneTexts[getSpanPane(span)] !== undefined) {
+          strategies[span.span_id] = anchorTextSpan(span, paneTexts[getSpanPane(span)]).strategy;
         }
-        
-        if (result.length > 0) break;
-      }
-    } catch (error) {
-      console.error('XPath evaluation error:', error);
+      });
+    });
+    return strategies;
+  }, [apiResponse, attachments, paneTexts, predictions, htmlAnchorStrategies]);
+
+  /**
+   * Renders one plain-text segment, wrapping it in an overlay when spans cover it
+   * @param {Object} segment - Segment produced by buildTextSegments
+   * @param {boolean} resizable - Whether the active span can be resized here
+   * @returns {React.ReactNode} - The rendered segment
+   */
+  const renderTextSegment = useCallback((segment, resizable = true) => {
+    const primary = getPrimarySegmentSpan(segment);
+    if (!primary) {
+      return <React.Fragment key={segment.start}>{segment.text}</React.Fragment>;
+    }
+    
+    const { span } = primary;
+    const active = segment.spans.find(entry => entry.span.span_id === activeSpanId);
+    const showHandles = active && editMode && !readOnly && resizable;
+    const classNames = [
+      'evidence-overlay',
+      `overlay-${span.type || 'default'}`,
+      segment.start === primary.start ? 'evidence-overlay-start' : '',
+      segment.end === primary.end ? 'evidence-overlay-end' : '',
+      segment.spans.length > 1 ? 'evidence-overlay-overlap' : '',
+      REANCHORED_STRATEGIES.has(span.anchor_strategy) ? 'evidence-overlay-reanchored' : '',
+      segment.spans.some(entry => pulsingSpanIds.includes(entry.span.span_id)) ? 'linked' : '',
+      span.color_index !== undefined ? `overview-prediction-${span.color_index}` : '',
+      segment.spans.some(entry => entry.span.compare_version === 'a') ? 'compare-a' : '',
+      segment.spans.some(entry => entry.span.compare_version === 'b') ? 'compare-b' : '',
+      isLowConfidence(getSpanConfidence(span), confidenceThreshold) ? 'low-confidence' : '',
+      active ? 'active' : ''
+    ].filter(Boolean).join(' ');
+    const confidence = getSpanConfidence(span);
+    
+    return (
+      <span
+        key={segment.start}
+        className={classNames}
+        data-span-id={active ? active.span.span_id : span.span_id}
+        data-span-ids={segment.spans.map(entry => entry.span.span_id).join(' ')}
+        data-span-type={span.type || ''}
+        data-field-name={span.field || ''}
+        data-start={primary.start}
+        data-end={primary.end}
+        data-anchor-strategy={span.anchor_strategy}
+        data-prediction-id={span.prediction_id}
+        data-confidence={confidence ?? undefined}
+        data-clickable={(!readOnly).toString()}
+        style={confidence !== null ? { opacity: getConfidenceOpacity(confidence) } : undefined}
+        title={segment.spans.map(entry => entry.span.field ? `${entry.span.type}: ${entry.span.field}` : entry.span.type).join(', ')}
+      >
+        {showHandles && segment.start === active.start && (
+          <span className="resize-handle start" data-handle-type="start" title="Drag to adjust start position" />
+        )}
+        {segment.text}
+        {showHandles && segment.end === active.end && (
+          <span className="resize-handle end" data-handle-type="end" title="Drag to adjust end position" />
+        )}
+      </span>
+    );
+  }, [activeSpanId, editMode, readOnly, pulsingSpanIds, confidenceThreshold]);
+
+  /**
+   * Renders a header value, highlighting the evidence spans that cite it
+   * @param {string} path - The value's header path, e.g. 'subject' or 'to.0.email'
+   * @param {string} value - The value to show
+   * @returns {React.ReactNode} - The rendered value
+   */
+  const renderHeaderText = useCallback((path, value) => {
+    const segments = headerSegments[path];
+    if (!segments) return value;
+    
+    return segments.map(segment => renderTextSegment(segment, false));
+  }, [headerSegments, renderTextSegment]);
+
+  /**
+   * Renders one address field of the header, collapsing long recipient lists
+   * @param {Object} field - Entry of ADDRESS_FIELDS
+   * @returns {React.ReactNode} - The rendered row, or null if the field is empty
+   */
+  const renderAddressField = useCallback(({ key, label }) => {
+    const addresses = getAddresses(apiResponse?.email?.header, key);
+    if (addresses.length === 0) return null;
+    
+    const expanded = expandedAddressFields.includes(key);
+    const shown = expanded ? addresses : addresses.slice(0, ADDRESS_COLLAPSE_LIMIT);
+    const hiddenCount = addresses.length - shown.length;
+    
+    return (
+      <p key={key} className={`header-field header-${key}`}>
+        <strong>{label}:</strong>{' '}
+        {shown.map((address, index) => (
+          <React.Fragment key={address.path}>
+            {index > 0 && ', '}
+            <span className="header-address">
+              {address.name && renderHeaderText(address.namePath, address.name)}
+              {address.name && address.email && ' '}
+              {address.email && (
+                address.name
+                  ? <>&lt;{renderHeaderText(address.emailPath, address.email)}&gt;</>
+                  : renderHeaderText(address.emailPath, address.email)
+              )}
+            </span>
+          </React.Fragment>
+        ))}
+        {addresses.length > ADDRESS_COLLAPSE_LIMIT && (
+          <button
+            className="header-expand-btn"
+            onClick={() => setExpandedAddressFields(fields => (
+              expanded ? fields.filter(field => field !== key) : [...fields, key]
+            ))}
+          >
+            {expanded ? 'Show fewer' : `+${hiddenCount} more`}
+          </button>
+        )}
+      </p>
+    );
+  }, [apiResponse, expandedAddressFields, renderHeaderText]);
+
+  // Render the email header: subject, every address field, date and message identifiers
+  const renderEmailHeader = useCallback(() => {
+    const header = apiResponse?.email?.header || {};
+    const date = formatHeaderDate(header.received || header.date || header.sent);
+    const messageIds = MESSAGE_ID_FIELDS
+      .map(field => ({ ...field, value: getMessageId(header, field.key) }))
+      .filter(field => field.value);
+    
+    return (
+      <div className="email-header" onClick={handleOverlayClick} onMouseOver={handleOverlayHover} onMouseOut={handleOverlayHover}>
+        <h3>{header.subject ? renderHeaderText('subject', header.subject) : 'No Subject'}</h3>
+        <div className="email-metadata">
+          {ADDRESS_FIELDS.map(renderAddressField)}
+          {date && <p className="header-field"><strong>Date:</strong> {date}</p>}
+          {messageIds.length > 0 && (
+            <details className="message-ids">
+              <summary>Message details</summary>
+              {messageIds.map(({ key, label, value }) => (
+                <p key={key} className="header-field">
+                  <strong>{label}:</strong> <code>{renderHeaderText(key, value)}</code>
+                </p>
+              ))}
+            </details>
+          )}
+        </div>
+      </div>
+    );
+  }, [apiResponse, handleOverlayClick, handleOverlayHover, renderHeaderText, renderAddressField]);
+
+  // Render the email's attachments, with the number of displayed spans citing each
+  const renderAttachmentList = useCallback(() => {
+    if (attachments.length === 0) return null;
+    
+    return (
+      <div className="attachments">
+        <p><strong>Attachments ({attachments.length}):</strong></p>
+        <ul className="attachment-list">
+          {attachments.map(attachment => {
+            const spanCount = displayedSpans.filter(span => (
+              isAttachmentSpan(span) && span.attachment_id === attachment.attachment_id
+            )).length;
+            const size = formatFileSize(attachment.size);
+            const isOpen = openAttachment?.attachment_id === attachment.attachment_id;
+            
+            return (
+              <li key={attachment.attachment_id} className={`attachment-item${isOpen ? ' open' : ''}`}>
+                <button
+                  className="attachment-open-btn"
+                  title={isOpen ? 'Back to the email body' : 'Open in the reading pane'}
+                  onClick={() => setReadingPane(isOpen ? BODY_PANE : `attachment:${attachment.attachment_id}`)}
+                >
+                  📎 {attachment.filename}
+                </button>
+                {attachment.content_type && <span className="attachment-meta">{attachment.content_type}</span>}
+                {size && <span className="attachment-meta">{size}</span>}
+                {spanCount > 0 && (
+                  <span className="attachment-span-count">
+                    {spanCount} evidence span{spanCount === 1 ? '' : 's'}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    );
+  }, [attachments, displayedSpans, openAttachment]);
+
+  // Render the earlier messages of the thread, with the number of displayed spans citing each
+  const renderThreadList = useCallback(() => {
+    if (threadMessages.length === 0) return null;
+    
+    return (
+      <div className="thread-messages">
+        <p><strong>Earlier in this thread ({threadMessages.length}):</strong></p>
+        <ul className="thread-message-list">
+          {threadMessages.map(message => {
+            const pane = `message:${message.message_id}`;
+            const spanCount = displayedSpans.filter(span => getSpanPane(span) === pane).length;
+            const date = formatHeaderDate(message.header.received || message.header.date || message.header.sent);
+            const isOpen = readingPane === pane;
+            
+            return (
+              <li key={message.message_id} className={`thread-message-item${isOpen ? ' open' : ''}`}>
+                <button
+                  className="thread-message-open-btn"
+                  title={isOpen ? 'Back to the email body' : 'Open in the reading pane'}
+                  onClick={() => setReadingPane(isOpen ? BODY_PANE : pane)}
+                >
+                  ✉ {getMessageSender(message)}
+                </button>
+                {message.header.subject && <span className="thread-message-meta">{message.header.subject}</span>}
+                {date && <span className="thread-message-meta">{date}</span>}
+                {spanCount > 0 && (
+                  <span className="thread-message-span-count">
+                    {spanCount} evidence span{spanCount === 1 ? '' : 's'}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    );
+  }, [threadMessages, displayedSpans, readingPane]);
+
+  /**
+   * Renders the bar above the reading pane while it shows something other than the email body
+   * @param {string} label - What the pane shows
+   * @returns {React.ReactNode} - The rendered bar
+   */
+  const renderPaneBar = useCallback((label) => (
+    <div className="reading-pane-bar">
+      <span>{label}</span>
+      <button onClick={() => setReadingPane(BODY_PANE)} className="reading-pane-close-btn">
+        Back to email
+      </button>
+    </div>
+  ), []);
+
+  // Render plain text, wrapping its quoted reply history in collapsible sections
+  const renderPlainText = useCallback((text) => {
+    const segments = textSegments.length > 0 ? textSegments : buildTextSegments(text);
+    const renderRange = (start, end) => sliceSegments(segments, start, end).map(segment => renderTextSegment(segment));
+    
+    let position = 0;
+    const parts = paneQuotedRanges.flatMap((range, index) => {
+      const before = renderRange(position, range.start);
+      position = range.end;
+      return [
+        ...before,
+        <span
+          key={`quote-${index}`}
+          className={`quoted-history${expandedQuotes.includes(index) ? '' : ' collapsed'}`}
+          data-quote-index={index}
+        >
+          {renderRange(range.start, range.end)}
+        </span>
+      ];
+    });
+    
+    return [...parts, ...renderRange(position, text.length)];
+  }, [textSegments, paneQuotedRanges, expandedQuotes, renderTextSegment]);
+
+  // Render the open attachment's extracted text and tables in the reading pane
+  const renderAttachmentContent = useCallback(() => {
+    const { text, blocks } = attachmentLayout;
+    const segments = textSegments.length > 0 ? textSegments : buildTextSegments(text);
+    const renderRange = (start, end) => sliceSegments(segments, start, end).map(segment => renderTextSegment(segment));
+    
+    // Only the attachment's own text goes inside the body element, so that offsets
+    // into it match the layout text; labels are drawn from data attributes
+    return (
+      <>
+        {renderPaneBar(`📎 ${openAttachment.filename}`)}
+        {blocks.length === 0 && (
+          <p className="attachment-empty">No text or tables were extracted from this attachment</p>
+        )}
+        <div className={`email-body attachment-body${editMode ? ' edit-mode' : ''}`} ref={emailBodyRef}>
+          {blocks.map(block => (block.type === 'text' ? (
+            <div key={block.start} className="attachment-text">{renderRange(block.start, block.end)}</div>
+          ) : (
+            <div key={block.start} className="attachment-table-block" data-table-name={block.name}>
+              <table className="attachment-table">
+                <tbody>
+                  {block.rows.map((row, rowIndex) => (
+                    <tr key={rowIndex}>
+                      {row.map((cell, cellIndex) => (
+                        <td key={cellIndex}>
+                          {renderRange(cell.start, cell.end)}
+                          {cell.separatorEnd > cell.end && (
+                            <span className="attachment-separator">{text.slice(cell.end, cell.separatorEnd)}</span>
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )))}
+        </div>
+      </>
+    );
+  }, [attachmentLayout, openAttachment, editMode, textSegments, renderTextSegment, renderPaneBar]);
+
+  // Render the email content based on the API response
+  const renderEmailContent = useCallback(() => {
+    if (openAttachment) return renderAttachmentContent();
+    
+    const paneBar = openMessage && renderPaneBar([
+      `✉ ${getMessageSender(openMessage)}`,
+      formatHeaderDate(openMessage.header.received || openMessage.header.date || openMessage.header.sent)
+    ].filter(Boolean).join(' · '));
+    
+    if (!paneBody) {
+      return <>{paneBar}<div className="email-body">No content available</div></>;
+    }
+
+    const content = paneBody.content || '';
+    
+    // Render sanitized HTML content or plain text
+    if (isHtmlContent) {
+      return (
+        <>
+          {paneBar}
+          {sanitizedBody?.blockedImages > 0 && (
+            <div className="remote-content-notice">
+              {sanitizedBody.blockedImages} remote image{sanitizedBody.blockedImages === 1 ? '' : 's'} blocked
+              <button onClick={() => setRemoteImagesAllowed(true)} className="load-images-btn">
+                Load images
+              </button>
+            </div>
+          )}
+          <iframe
+            className={`email-body email-frame${editMode ? ' edit-mode' : ''}`}
+            ref={emailFrameRef}
+            title="Email content"
+            sandbox="allow-same-origin allow-popups allow-popups-to-escape-sandbox"
+            srcDoc={frameDocument}
+            onLoad={handleFrameLoad}
+            style={frameHeight ? { height: `${frameHeight}px` } : undefined}
+          />
+        </>
+      );
+    } else {
+      // Plain text rendering, split into highlighted segments when spans apply
+      return (
+        <>
+          {paneBar}
+          <div className={`email-body${editMode ? ' edit-mode' : ''}`} ref={emailBodyRef}>
+            {renderPlainText(content)}
+          </div>
+        </>
+      );
+    }
+  }, [paneBody, editMode, isHtmlContent, openAttachment, openMessage, sanitizedBody, frameDocument, frameHeight, handleFrameLoad, renderPlainText, renderPaneBar, renderAttachmentContent]);
+
+  /**
+   * Reads a label from a prediction
+   * @param {Object} prediction - The prediction
+   * @param {string} field - 'intent', 'action', 'time_of_action', 'sender', 'artefact_type',
+   *   'artefact_detail' or 'related_artefact'
+   * @param {string} name - Field key, for artefact_detail and related_artefact
+   * @returns {*} - The label value, or null if absent
+   */
+  const getLabelValue = useCallback((prediction, field, name = null) => {
+    if (!prediction) return null;
+    if (field === 'artefact_type') return prediction.artefact?.type ?? null;
+    if (field === 'artefact_detail') return prediction.artefact?.details?.[name] ?? null;
+    if (field === 'related_artefact') return prediction.related_artefact?.[name] ?? null;
+    return prediction[field] ?? null;
+  }, []);
+
+  // Open the inline editor for a label
+  const openLabelEditor = useCallback((prediction, field, name = null) => {
+    setLabelEditor({ predictionId: prediction.prediction_id, field, name });
+    setLabelDraft(field.startsWith('new_') ? '' : getLabelValue(prediction, field, name) || '');
+    setNewDetailDraft({ key: '', value: '' });
+  }, [getLabelValue]);
+
+  // Close the inline label editor without saving
+  const closeLabelEditor = useCallback(() => {
+    setLabelEditor(null);
+  }, []);
+
+  // Record a label correction if the value actually changed
+  const changeLabel = useCallback((prediction, field, name, corrected) => {
+    const original = getLabelValue(prediction, field, name);
+    if (original === corrected) return;
+    
+    recordCorrection(createLabelCorrection({
+      predictionId: prediction.prediction_id,
+      field,
+      name,
+      original,
+      corrected
+    }));
+  }, [getLabelValue, recordCorrection]);
+
+  // Save the label being edited
+  const saveLabel = useCallback((prediction) => {
+    if (!labelEditor) return;
+    
+    if (labelEditor.field.startsWith('new_')) {
+      const key = newDetailDraft.key.trim();
+      if (!key) return;
+      const target = labelEditor.field === NEW_FIELD_EDITORS.related_artefact.editor ? 'related_artefact' : 'artefact_detail';
+      changeLabel(prediction, target, key, newDetailDraft.value.trim());
+    } else {
+      const value = labelDraft.trim();
+      if (!value) return;
+      changeLabel(prediction, labelEditor.field, labelEditor.name, value);
     }
     
-    return result;
-  }, []);
+    setLabelEditor(null);
+  }, [labelEditor, labelDraft, newDetailDraft, changeLabel]);
 
   /**
-   * Helper function to find the first text node in an element
-   * @param {Node} node - The node to search for text nodes
-   * @returns {Node|null} - The first text node found or null
+   * Renders the model's confidence in a prediction or field as a badge
+   * @param {number|null} confidence - The confidence score
+   * @param {string} subject - What the score is for, used in the tooltip
+   * @returns {React.ReactNode} - The badge, or null if there is no score
    */
-  const findFirstTextNode = useCallback((node) => {
-    if (node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== '') return node;
-    
-    if (node.childNodes) {
-      for (let i = 0; i < node.childNodes.length; i++) {
-        const child = node.childNodes[i];
-        if (child.nodeType === Node.TEXT_NODE && child.textContent.trim() !== '') {
-          return child;
-        }
-        
-        const found = findFirstTextNode(child);
-        if (found) return found;
-      }
-    }
-    return null;
-  }, []);
+  const renderConfidenceBadge = useCallback((confidence, subject) => {
+    if (confidence === null) return null;
+    
+    const low = isLowConfidence(confidence, confidenceThreshold);
+    return (
+      <span
+        className={`confidence-badge${low ? ' low-confidence' : ''}`}
+        title={`Model confidence in ${subject}: ${formatConfidence(confidence)}${low ? ' (below review threshold)' : ''}`}
+      >
+        {low && '⚠ '}{formatConfidence(confidence)}
+      </span>
+    );
+  }, [confidenceThreshold]);
 
   /**
-   * Creates an evidence span with highlighting
-   * @param {Object} span - The evidence span data
-   * @param {boolean} isActive - Whether this is the active span
-   * @returns {HTMLElement|null} - The created span element or null if failed
+   * Renders a label value, or its inline editor when that label is being edited.
+   * Corrected labels show the model's original value next to the new one, uncorrected
+   * ones the model's confidence in them.
+   * @param {Object} prediction - The prediction
+   * @param {string} field - The label field
+   * @param {string} name - Field key, for artefact_detail and related_artefact
+   * @returns {React.ReactNode} - The rendered value
    */
-  const createEvidenceSpan = useCallback((span, isActive = false) => {
-    try {
-      const { type, field: fieldName, text } = span;
-      
-      const spanElement = document.createElement('span');
-      spanElement.className = `evidence-span evidence-${type || 'default'}`;
-      if (isActive) spanElement.classList.add('active');
-      
-      // Add data attributes
-      spanElement.dataset.type = type || '';
-      spanElement.dataset.field = fieldName || '';
-      
-      // Add tooltip text based on type
-      let tooltipText = 'Evidence';
-      if (type === 'intent') tooltipText = 'Intent';
-      else if (type === 'action') tooltipText = 'Action';
-      else if (type === 'artefact_type') tooltipText = 'Artefact Type';
-      else if (type === 'artefact_detail') tooltipText = `Artefact Detail: ${fieldName || ''}`;
-      spanElement.title = tooltipText;
-      
-      // In edit mode, add resize handles
-      if (editMode && isActive) {
-        const startHandle = document.createElement('span');
-        startHandle.className = 'resize-handle start';
-        startHandle.title = 'Drag to adjust start position';
-        startHandle.dataset.handleType = 'start';
-        
-        const endHandle = document.createElement('span');
-        endHandle.className = 'resize-handle end';
-        endHandle.title = 'Drag to adjust end position';
-        endHandle.dataset.handleType = 'end';
-        
-        const content = document.createTextNode(text || '');
-        
-        spanElement.appendChild(startHandle);
-        spanElement.appendChild(content);
-        spanElement.appendChild(endHandle);
-      } else {
-        spanElement.textContent = text || '';
-      }
-      spanElement.dataset.spanText = text || '';
-      
-      return spanElement;
-    } catch (error) {
-      console.error('Error creating evidence span:', error);
-      return null;
+  const renderLabelValue = useCallback((prediction, field, name = null) => {
+    const value = getLabelValue(prediction, field, name);
+    const isEditing = labelEditor?.predictionId === prediction.prediction_id
+      && labelEditor.field === field
+      && labelEditor.name === name;
+    
+    if (isEditing) {
+      return (
+        <span className="label-editor" onClick={(e) => e.stopPropagation()}>
+          {FREE_TEXT_LABELS.has(field) ? (
+            <input
+              type="text"
+              value={labelDraft}
+              onChange={(e) => setLabelDraft(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') saveLabel(prediction);
+                if (e.key === 'Escape') closeLabelEditor();
+              }}
+              autoFocus
+            />
+          ) : (
+            <select value={labelDraft} onChange={(e) => setLabelDraft(e.target.value)} autoFocus>
+              {getLabelOptions(labelTaxonomy, field, value).map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          )}
+          <button onClick={() => saveLabel(prediction)} className="apply-btn">Save</button>
+          <button onClick={closeLabelEditor} className="cancel-btn">Cancel</button>
+        </span>
+      );
     }
-  }, [editMode]);
+    
+    const original = originalPredictions.find(item => item.prediction_id === prediction.prediction_id);
+    const originalValue = getLabelValue(original, field, name);
+    
+    return (
+      <>
+        {original && originalValue !== value && (
+          <del className="original-label" title="Model prediction">{originalValue ?? '(none)'}</del>
+        )}
+        <span className={original && originalValue !== value ? 'corrected-label' : ''}>{value}</span>
+        {original && originalValue === value && renderConfidenceBadge(getFieldConfidence(original, field, name), name || field)}
+        {!readOnly && !prediction.rejected && (
+          <button
+            className="relabel-btn"
+            title="Correct this label"
+            onClick={(e) => {
+              e.stopPropagation();
+              openLabelEditor(prediction, field, name);
+            }}
+          >
+            ✎
+          </button>
+        )}
+        {!readOnly && !prediction.rejected && KEYED_SPAN_TYPES.has(field) && (
+          <button
+            className="relabel-btn remove-detail-btn"
+            title="Remove this field"
+            onClick={(e) => {
+              e.stopPropagation();
+              changeLabel(prediction, field, name, null);
+            }}
+          >
+            ×
+          </button>
+        )}
+      </>
+    );
+  }, [labelEditor, labelDraft, labelTaxonomy, originalPredictions, readOnly, getLabelValue, openLabelEditor, closeLabelEditor, saveLabel, changeLabel, renderConfidenceBadge]);
 
   /**
-   * Applies highlights to the email body for evidence spans
-   * @param {HTMLElement} emailBodyElement - The email body element
-   * @param {Array} evidenceSpans - Array of evidence spans to highlight
+   * Renders the control for adding a field to a prediction's artefact details or related artefact
+   * @param {Object} prediction - The prediction
+   * @param {string} field - 'artefact_detail' or 'related_artefact'
+   * @returns {React.ReactNode} - The rendered control
    */
-  const applyHighlights = useCallback((emailBodyElement, evidenceSpans) => {
-    if (!emailBodyElement || !evidenceSpans || !Array.isArray(evidenceSpans)) return;
+  const renderNewDetailEditor = useCallback((prediction, field = 'artefact_detail') => {
+    if (readOnly || prediction.rejected) return null;
     
-    try {
-      // Process each evidence span
-      evidenceSpans.forEach((span, index) => {
-        const spanId = `span-${index}-${Date.now()}`;
-        
-        if (span.xpath && span.relative_start !== undefined && span.relative_end !== undefined) {
-          // Normalize the XPath for better compatibility
-          const normalizedXPath = normalizeXPath(span.xpath);
-          
-          // Find matching nodes for this XPath
-          const nodes = getElementByXPath(normalizedXPath, emailBodyElement);
-          
-          if (nodes && nodes.length > 0) {
-            // Process each matched node
-            nodes.forEach(node => {
-              if (node) {
-                try {
-                  // Create an overlay element
-                  const overlay = createOverlayForNode(node, span, spanId);
-                  if (overlay) {
-                    // Add type-specific class for color coding
-                    if (span.type) {
-                      overlay.classList.add(`overlay-${span.type}`);
-                    }
-                    
-                    // Find text node and get correct positions
-                    const textNode = findFirstTextNode(node);
-                    
-                    if (textNode) {
-                      // Create a wrapper for the text node and the overlay
-                      const wrapper = document.createElement('span');
-                      wrapper.className = 'evidence-overlay-container';
-                      
-                      // Replace text node with wrapper
-                      textNode.parentNode.replaceChild(wrapper, textNode);
-                      
-                      // Add text node back inside the wrapper
-                      wrapper.appendChild(textNode);
-                      
-                      // Add overlay to the wrapper
-                      wrapper.appendChild(overlay);
-                      
-                      // Set position for text-based evidence
-                      if (span.relative_start !== undefined && span.relative_end !== undefined) {
-                        overlay.dataset.relativeStart = span.relative_start;
-                        overlay.dataset.relativeEnd = span.relative_end;
-                      }
-                    }
-                  }
-                } catch (error) {
-                  console.error('Error applying highlight to node:', error);
-                }
-              }
-            });
-          } else if (span.text) {
-            // Text-based fallback if XPath doesn't match
-            const textOverlay = createTextOverlay(span, spanId);
-            // Implementation for text-based highlighting
-          }
-        }
-      });
-      
-      // Note: Event delegation is now handled by a separate useEffect
-      
-    } catch (error) {
-      console.error('Error applying highlights:', error);
+    const { editor, label } = NEW_FIELD_EDITORS[field];
+    const isEditing = labelEditor?.predictionId === prediction.prediction_id && labelEditor.field === editor;
+    if (!isEditing) {
+      return (
+        <button
+          className="add-detail-btn"
+          onClick={(e) => {
+            e.stopPropagation();
+            openLabelEditor(prediction, editor);
+          }}
+        >
+          {label}
+        </button>
+      );
     }
-  }, [normalizeXPath, createOverlayForNode, createTextOverlay, findFirstTextNode, getElementByXPath]);
-
-  // Function to clear all evidence highlights from the email body
-  const clearHighlights = useCallback(() => {
-    if (!emailBodyRef.current) return;
     
-    // Remove all overlay containers (which contain our evidence highlights)
-    const overlayContainers = emailBodyRef.current.querySelectorAll('.evidence-overlay-container');
+    const existingKeys = Object.keys((field === 'related_artefact' ? prediction.related_artefact : prediction.artefact?.details) || {});
+    const availableKeys = getLabelOptions(labelTaxonomy, 'artefact_detail_key').filter(key => !existingKeys.includes(key));
     
-    overlayContainers.forEach(container => {
-      // Get the original text content
-      const originalText = container.textContent;
-      
-      // Create a new text node with the original content
-      const textNode = document.createTextNode(originalText);
-      
-      // Replace the container with the original text
-      container.parentNode.replaceChild(textNode, container);
+    return (
+      <span className="label-editor" onClick={(e) => e.stopPropagation()}>
+        <select
+          value={newDetailDraft.key}
+          onChange={(e) => setNewDetailDraft({ ...newDetailDraft, key: e.target.value })}
+          autoFocus
+        >
+          <option value="">Field…</option>
+          {availableKeys.map(key => (
+            <option key={key} value={key}>{key}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Value"
+          value={newDetailDraft.value}
+          onChange={(e) => setNewDetailDraft({ ...newDetailDraft, value: e.target.value })}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') saveLabel(prediction);
+            if (e.key === 'Escape') closeLabelEditor();
+          }}
+        />
+        <button
+          onClick={() => saveLabel(prediction)}
+          disabled={!newDetailDraft.key || !newDetailDraft.value.trim()}
+          className="apply-btn"
+        >
+          Add
+        </button>
+        <button onClick={closeLabelEditor} className="cancel-btn">Cancel</button>
+      </span>
+    );
+  }, [readOnly, labelEditor, labelTaxonomy, newDetailDraft, openLabelEditor, closeLabelEditor, saveLabel]);
+
+  // Start describing a prediction the model missed
+  const openNewPrediction = useCallback(() => {
+    setNewPredictionDraft({
+      intent: labelTaxonomy.intents?.[0] || '',
+      action: labelTaxonomy.actions?.[0] || '',
+      artefact_type: labelTaxonomy.artefact_types?.[0] || ''
     });
-  }, []);
+  }, [labelTaxonomy]);
 
-  // Apply highlights when selectedPrediction changes
-  useEffect(() => {
-    // Only apply highlights if we have a valid email body and selected prediction
-    if (!emailBodyRef.current || !isHtmlContent || !selectedPrediction?.evidence_spans?.length) return;
+  // Add the drafted prediction and go straight to choosing its evidence
+  const createPrediction = useCallback(() => {
+    if (!newPredictionDraft?.intent) return;
     
-    // First clear any existing highlights
-    clearHighlights();
+    const prediction = {
+      prediction_id: createPredictionId(),
+      intent: newPredictionDraft.intent,
+      sender: apiResponse?.email?.header?.from?.name || '',
+      action: newPredictionDraft.action,
+      artefact: { type: newPredictionDraft.artefact_type, details: {} },
+      evidence_spans: []
+    };
     
-    // Apply highlights for each span in the selected prediction
-    if (selectedPrediction && selectedPrediction.evidence_spans) {
-      applyHighlights(emailBodyRef.current, selectedPrediction.evidence_spans);
-    }
-  }, [selectedPrediction, isHtmlContent, applyHighlights, clearHighlights]);
+    recordCorrection(createAddPredictionCorrection(prediction));
+    setNewPredictionDraft(null);
+    setSelectedPredictionId(prediction.prediction_id);
+    setEditMode(true);
+    setEditPanelVisible(true);
+    setActiveSpanId(null);
+    setSpanDraft({ type: 'intent', field: '' });
+  }, [newPredictionDraft, apiResponse, recordCorrection]);
 
-  // Handle selection mode changes
-  useEffect(() => {
-    if (!emailBodyRef.current) return;
+  // Reject a prediction as a false positive, or restore a rejected one
+  const togglePredictionRejection = useCallback((prediction) => {
+    recordCorrection(createRejectionCorrection({
+      predictionId: prediction.prediction_id,
+      rejected: !prediction.rejected
+    }));
     
-    if (selectionMode) {
-      emailBodyRef.current.classList.add('selection-mode');
-    } else {
-      emailBodyRef.current.classList.remove('selection-mode');
+    if (!prediction.rejected && prediction.prediction_id === selectedPredictionId) {
+      setEditMode(false);
+      setEditPanelVisible(false);
+      setActiveSpanId(null);
     }
-  }, [selectionMode]);
+  }, [recordCorrection, selectedPredictionId]);
 
-  // Handle click on evidence overlays
-  const handleOverlayClick = useCallback((event) => {
-    // Check if the clicked element is an overlay
-    const overlay = event.target.closest('.evidence-overlay');
-    if (!overlay) return;
+  /**
+   * Renders the form for adding a prediction the model missed
+   * @returns {React.ReactNode} - The rendered form
+   */
+  const renderNewPredictionForm = useCallback(() => {
+    if (!newPredictionDraft) return null;
     
-    // Prevent event bubbling
-    event.stopPropagation();
+    const fields = [
+      { key: 'intent', label: 'Intent' },
+      { key: 'action', label: 'Action' },
+      { key: 'artefact_type', label: 'Artefact' }
+    ];
     
-    // If we're in edit mode, handle the overlay click for editing
-    if (editMode && !readOnly) {
-      const spanType = overlay.dataset.spanType;
-      const fieldName = overlay.dataset.fieldName || '';
-      
-      // Set the active span for editing
-      setActiveSpan({
-        id: overlay.dataset.spanId,
-        type: spanType,
-        field: fieldName,
-        element: overlay
-      });
-      
-      // Show edit panel
-      setEditPanelVisible(true);
-    }
-  }, [editMode, readOnly]);
-  
-  // Add/remove event listener for overlays when component mounts/unmounts
-  useEffect(() => {
-    const emailBody = emailBodyRef.current;
-    if (emailBody) {
-      emailBody.addEventListener('click', handleOverlayClick);
-      return () => {
-        emailBody.removeEventListener('click', handleOverlayClick);
-      };
-    }
-  }, [handleOverlayClick]);
+    return (
+      <div className="new-prediction-form span-edit-controls">
+        <h4>New Prediction</h4>
+        {fields.map(({ key, label }) => (
+          <div className="edit-field" key={key}>
+            <label htmlFor={`new-prediction-${key}`}>{label}</label>
+            <select
+              id={`new-prediction-${key}`}
+              value={newPredictionDraft[key]}
+              onChange={(e) => setNewPredictionDraft({ ...newPredictionDraft, [key]: e.target.value })}
+            >
+              {getLabelOptions(labelTaxonomy, key, newPredictionDraft[key]).map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+        <p className="instruction">After creating the prediction, add its evidence spans from the email.</p>
+        <div className="edit-actions">
+          <button onClick={createPrediction} disabled={!newPredictionDraft.intent} className="apply-btn">
+            Create
+          </button>
+          <button onClick={() => setNewPredictionDraft(null)} className="cancel-btn">
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }, [newPredictionDraft, labelTaxonomy, createPrediction]);
 
-  // Handle prediction card click
-  const handlePredictionClick = useCallback((prediction) => {
-    setSelectedPrediction(prediction);
-    setEditMode(false);
-    setActiveSpan(null);
+  // Show or hide one entry of an overview filter list
+  const toggleHidden = useCallback((setHidden, value) => {
+    setHidden(hidden => (hidden.includes(value) ? hidden.filter(item => item !== value) : [...hidden, value]));
   }, []);
 
-  // Handle prediction field click (for editing specific fields)
-  const handlePredictionFieldClick = useCallback((fieldType, fieldName = '') => {
-    if (readOnly) return;
+  // Render the overview legend, whose entries toggle span types, predictions and artefact fields
+  const renderOverviewLegend = useCallback(() => {
+    const shownPredictions = predictions
+      .map((prediction, index) => ({ prediction, colorIndex: index % PREDICTION_COLOR_COUNT }))
+      .filter(({ prediction }) => !prediction.rejected);
+    const detailFields = [...new Set(shownPredictions.flatMap(({ prediction }) => (
+      (prediction.evidence_spans || []).filter(span => span.type === 'artefact_detail' && span.field).map(span => span.field)
+    )))];
     
-    // Enter edit mode for this specific field
-    setEditMode(true);
-    setEditingField({ type: fieldType, name: fieldName });
+    const renderItem = (key, label, swatchClass, hidden, onToggle) => (
+      <button
+        key={key}
+        className={`legend-item${hidden ? ' hidden' : ''}`}
+        aria-pressed={!hidden}
+        title={hidden ? 'Show' : 'Hide'}
+        onClick={onToggle}
+      >
+        <span className={`legend-swatch ${swatchClass}`} />
+        {label}
+      </button>
+    );
     
-    // Filter to find matching spans for this field
-    const matchingSpans = selectedPrediction?.evidence_spans?.filter(span => {
-      if (fieldType === 'artefact_detail') {
-        return span.type === fieldType && span.field === fieldName;
-      }
-      return span.type === fieldType;
-    }) || [];
+    return (
+      <div className="overview-legend">
+        <div className="legend-group">
+          <span className="legend-title">Types</span>
+          {SPAN_TYPES.map(({ value, label }) => renderItem(
+            value, label, `overlay-${value}`, hiddenSpanTypes.includes(value),
+            () => toggleHidden(setHiddenSpanTypes, value)
+          ))}
+        </div>
+        <div className="legend-group">
+          <span className="legend-title">Predictions</span>
+          {shownPredictions.map(({ prediction, colorIndex }) => renderItem(
+            prediction.prediction_id, prediction.intent || 'New prediction', `overview-prediction-${colorIndex}`,
+            hiddenPredictionIds.includes(prediction.prediction_id),
+            () => toggleHidden(setHiddenPredictionIds, prediction.prediction_id)
+          ))}
+        </div>
+        {detailFields.length > 0 && (
+          <div className="legend-group">
+            <span className="legend-title">Artefact fields</span>
+            {detailFields.map(field => renderItem(
+              field, field, 'overlay-artefact_detail', hiddenDetailFields.includes(field),
+              () => toggleHidden(setHiddenDetailFields, field)
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }, [predictions, hiddenSpanTypes, hiddenPredictionIds, hiddenDetailFields, toggleHidden]);
+
+  // Render the collapsible list of span/text consistency issues in the API response
+  const renderDiagnosticsPanel = useCallback(() => {
+    const { spanCount, issues } = spanDiagnostics;
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
     
-    // Set first matching span as active
-    if (matchingSpans.length > 0) {
-      setActiveSpan(matchingSpans[0]);
-    }
-  }, [selectedPrediction, readOnly]);
+    return (
+      <div className={`diagnostics-panel${issues.length > 0 ? ' has-issues' : ''}`}>
+        <button className="diagnostics-toggle" onClick={() => setDiagnosticsOpen(open => !open)}>
+          {diagnosticsOpen ? '▾' : '▸'} Span diagnostics
+          <span className="diagnostics-summary">
+            {issues.length === 0
+              ? `${spanCount} span${spanCount === 1 ? '' : 's'} checked, no issues`
+              : `${issues.length} issue${issues.length === 1 ? '' : 's'} in ${spanCount} spans${errorCount ? ` (${errorCount} error${errorCount === 1 ? '' : 's'})` : ''}`}
+          </span>
+        </button>
+        
+        {diagnosticsOpen && issues.length > 0 && (
+          <ul className="diagnostics-list">
+            {issues.map((issue, index) => (
+              <li
+                key={`${issue.span_id}-${issue.code}-${index}`}
+                className={`diagnostic-item ${issue.severity}`}
+                onClick={() => handleDiagnosticClick(issue)}
+              >
+                <span className="diagnostic-code">{issue.code.replace(/_/g, ' ')}</span>
+                <span className="diagnostic-field">
+                  {issue.field ? `${issue.span_type}: ${issue.field}` : issue.span_type}
+                  {issue.source !== 'email_body' && ` (${issue.source.replace(/_/g, ' ')})`}
+                </span>
+                <span className="diagnostic-message">{issue.message}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  }, [spanDiagnostics, diagnosticsOpen, handleDiagnosticClick]);
 
-  // Handle entering selection mode
-  const enterSelectionMode = useCallback(() => {
-    setSelectionMode(true);
+  /**
+   * Renders diff rows as a table of each changed value before and after
+   * @param {Array} rows - Rows from diffValues
+   * @returns {React.ReactNode} - The table, or null if nothing changed
+   */
+  const renderValueDiff = useCallback((rows) => {
+    if (rows.length === 0) return null;
+    
+    return (
+      <table className="value-diff">
+        <tbody>
+          {rows.map((row, rowIndex) => (
+            <tr key={`${row.path}-${rowIndex}`} className={`diff-${row.change}`}>
+              <th scope="row">{row.path}</th>
+              <td className="diff-before">{row.change !== 'added' && <del>{formatDiffValue(row.before)}</del>}</td>
+              <td className="diff-after">{row.change !== 'removed' && <ins>{formatDiffValue(row.after)}</ins>}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
   }, []);
 
-  // Handle exiting selection mode
-  const exitSelectionMode = useCallback(() => {
-    setSelectionMode(false);
-  }, []);
+  // Render the feedback other annotators (or earlier sessions) gave on this email, each
+  // item with who gave it, when, and a diff of the original and corrected values
+  const renderFeedbackHistory = useCallback(() => {
+    if (!getFeedbackHistory) return null;
+    
+    const { status, error } = feedbackHistory;
+    const shownItems = historyPredictionId
+      ? historyItems.filter(item => item.prediction_id === historyPredictionId)
+      : historyItems;
+    const correctedCount = Object.keys(historyByPrediction).length;
+    const latest = historyItems[0];
+    
+    let summary;
+    if (status === 'error') summary = `Could not load: ${error}`;
+    else if (historyItems.length > 0) {
+      summary = `${historyItems.length} earlier correction${historyItems.length === 1 ? '' : 's'} to ${correctedCount} prediction${correctedCount === 1 ? '' : 's'}, latest by ${latest.submitted_by}${latest.timestamp ? ` on ${new Date(latest.timestamp).toLocaleString()}` : ''}`;
+    } else summary = status === 'loading' ? 'Loading…' : 'No earlier feedback on this email';
+    
+    return (
+      <div className={`feedback-history${historyItems.length > 0 ? ' has-history' : ''}${status === 'error' ? ' has-error' : ''}`}>
+        <div className="feedback-history-header">
+          <button className="feedback-history-toggle" onClick={() => setHistoryOpen(open => !open)}>
+            {historyOpen ? '▾' : '▸'} Feedback history
+            <span className="feedback-history-summary">{summary}</span>
+          </button>
+          <button
+            className="feedback-history-refresh"
+            onClick={() => setHistoryReloadCount(count => count + 1)}
+            disabled={status === 'loading'}
+            title="Reload feedback history"
+          >
+            ↻
+          </button>
+        </div>
+        
+        {historyOpen && historyPredictionId && (
+          <p className="feedback-history-filter">
+            Corrections to <strong>{predictions.find(prediction => prediction.prediction_id === historyPredictionId)?.intent || historyPredictionId}</strong>
+            <button onClick={() => setHistoryPredictionId(null)}>Show all</button>
+          </p>
+        )}
+        
+        {historyOpen && shownItems.length > 0 && (
+          <ul className="feedback-history-list">
+            {shownItems.map((item, index) => {
+              const prediction = predictions.find(candidate => candidate.prediction_id === item.prediction_id);
+              const original = apiResponse?.intent_parser_result?.predictions?.find(candidate => candidate.prediction_id === item.prediction_id);
+              const rows = diffFeedbackItem(item, original);
+              
+              return (
+                <li
+                  key={item.feedback_id || index}
+                  className="feedback-history-item"
+                  onClick={() => prediction && handlePredictionClick(prediction)}
+                >
+                  <div className="feedback-history-meta">
+                    <strong className="feedback-author">{item.submitted_by}</strong>
+                    <span className="feedback-type">{item.feedback_type.replace(/_/g, ' ')}</span>
+                    <span className="feedback-prediction">{prediction?.intent || `prediction ${item.prediction_id}`}</span>
+                    {item.timestamp && (
+                      <time dateTime={item.timestamp}>{new Date(item.timestamp).toLocaleString()}</time>
+                    )}
+                  </div>
+                  {renderValueDiff(rows)}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    );
+  }, [getFeedbackHistory, feedbackHistory, historyItems, historyByPrediction, historyOpen, historyPredictionId, apiResponse, predictions, handlePredictionClick, renderValueDiff]);
 
-  // Handle submit feedback action
-  const handleSubmitFeedback = useCallback(() => {
-    if (onFeedbackSubmit && Object.keys(feedbackData).length > 0) {
-      onFeedbackSubmit(feedbackData);
-      setFeedbackData({});
-    }
-  }, [feedbackData, onFeedbackSubmit]);
+  // Render the comparison of two model versions: a legend naming both, then one row per
+  // aligned pair of predictions with its status and the labels and values that differ
+  const renderComparison = useCallback(() => {
+    const counts = summarizeComparison(comparisonRows);
+    
+    return (
+      <div className="model-comparison">
+        <div className="comparison-legend">
+          <span className="comparison-version compare-a">A · {getModelLabel(compareResponse)}</span>
+          <span className="comparison-version compare-b">B · {getModelLabel(apiResponse)}</span>
+        </div>
+        {!isSameEmail(compareResponse, apiResponse) && (
+          <p className="comparison-warning">
+            ⚠ The two responses are for different email bodies; version A&apos;s evidence may not line up with the body shown.
+          </p>
+        )}
+        <p className="comparison-summary">
+          {COMPARISON_STATUSES.filter(status => counts[status] > 0)
+            .map(status => `${COMPARISON_STATUS_LABELS[status]}: ${counts[status]}`)
+            .join(' · ') || 'Neither version has predictions'}
+          {selectedComparisonKey && (
+            <button className="comparison-show-all" onClick={() => setSelectedComparisonKey(null)}>Show all evidence</button>
+          )}
+        </p>
+        
+        <ul className="comparison-rows">
+          {comparisonRows.map(row => {
+            const prediction = row.b || row.a;
+            const intentLabel = row.a && row.b && row.a.intent !== row.b.intent
+              ? `${row.a.intent} → ${row.b.intent}`
+              : prediction.intent;
+            
+            return (
+              <li
+                key={row.key}
+                className={`comparison-row status-${row.status}${row.key === selectedComparisonKey ? ' selected' : ''}`}
+                onClick={() => setSelectedComparisonKey(current => (current === row.key ? null : row.key))}
+              >
+                <div className="comparison-row-header">
+                  <span className={`comparison-status status-${row.status}`}>{COMPARISON_STATUS_LABELS[row.status]}</span>
+                  <span className="prediction-type">{intentLabel}</span>
+                  {prediction.artefact?.type && <span className="comparison-artefact">{prediction.artefact.type}</span>}
+                </div>
+                {row.status === 'changed' && renderValueDiff(row.changes)}
+                <p className="comparison-evidence">
+                  Evidence: {row.evidence.shared} in both
+                  {row.evidence.onlyA > 0 && ` · ${row.evidence.onlyA} only in A`}
+                  {row.evidence.onlyB > 0 && ` · ${row.evidence.onlyB} only in B`}
+                </p>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    );
+  }, [comparisonRows, compareResponse, apiResponse, selectedComparisonKey, renderValueDiff]);
 
-  // Check if content is HTML when apiResponse changes
-  useEffect(() => {
-    if (apiResponse?.email?.body) {
-      const { document_type, content } = apiResponse.email.body;
-      const isHtml = document_type === 'html' || (content && content.startsWith('<'));
-      setIsHtmlContent(isHtml);
-    }
-  }, [apiResponse]);
+  /**
+   * Checks whether a field row is linked from evidence hovered or clicked in the email
+   * @param {Object} prediction - The prediction the row belongs to
+   * @param {string} type - Span type the row shows
+   * @param {string} field - Detail key, for artefact_detail rows
+   * @returns {boolean} - True if the row should be emphasised
+   */
+  const isLinkedField = useCallback((prediction, type, field = null) => (
+    Boolean(linkedField) && linkedField.source !== 'card'
+      && linkedField.predictionId === prediction.prediction_id
+      && linkedField.type === type
+      && (!KEYED_SPAN_TYPES.has(type) || linkedField.field === field)
+  ), [linkedField]);
 
-  // Render the email content based on the API response
-  const renderEmailContent = useCallback(() => {
-    if (!apiResponse || !apiResponse.email || !apiResponse.email.body) {
-      return <div className="email-body">No content available</div>;
-    }
+  /**
+   * Hover handlers that pulse a field row's evidence in the email
+   * @param {Object} prediction - The prediction the row belongs to
+   * @param {string} type - Span type the row shows
+   * @param {string} field - Detail key, for artefact_detail rows
+   * @returns {Object} - { onMouseEnter, onMouseLeave } props for the row
+   */
+  const getFieldHoverProps = useCallback((prediction, type, field = null) => ({
+    onMouseEnter: () => linkField({ source: 'card', predictionId: prediction.prediction_id, type, field }),
+    onMouseLeave: () => unlinkField('card')
+  }), [linkField, unlinkField]);
 
-    const { content } = apiResponse.email.body;
+  // Render the prediction cards based on API data
+  /**
+   * Renders where a prediction's evidence comes from, so that evidence found in quoted
+   * history, an earlier thread message or an attachment is told apart from this message's
+   * @param {Object} prediction - The prediction
+   * @returns {React.ReactNode} - Chips that open each source, or null if all evidence is in this message
+   */
+  const renderEvidenceSources = useCallback((prediction) => {
+    const sources = [];
+    (prediction.evidence_spans || []).forEach(span => {
+      const pane = getSpanPane(span);
+      const quoted = pane !== undefined && spanQuotes[pane]?.[span.span_id] !== undefined;
+      let source;
+      if (isHeaderSpan(span)) {
+        source = { key: span.source, kind: 'header', label: span.source === 'email_subject' ? 'Subject' : 'Header' };
+      } else if (isAttachmentSpan(span)) {
+        const attachment = attachments.find(item => item.attachment_id === span.attachment_id);
+        source = { key: pane, kind: 'attachment', label: `📎 ${attachment?.filename || span.attachment_id}` };
+      } else if (isThreadSpan(span)) {
+        const message = threadMessages.find(item => item.message_id === span.message_id);
+        const date = message && formatHeaderDate(message.header.received || message.header.date || message.header.sent);
+        const label = [`✉ ${message ? getMessageSender(message) : span.message_id}`, date].filter(Boolean).join(' · ');
+        source = { key: pane, kind: 'thread', label: quoted ? `${label} (quoted)` : label };
+      } else if (pane === BODY_PANE) {
+        source = quoted
+          ? { key: 'quoted', kind: 'quoted', label: 'Quoted history' }
+          : { key: 'body', kind: 'body', label: 'This message' };
+      }
+      if (source && !sources.some(item => item.key === source.key)) sources.push({ ...source, pane });
+    });
     
-    // Render HTML content or plain text
-    if (isHtmlContent) {
-      return (
-        <div 
-          className={`email-body${editMode ? ' edit-mode' : ''}`}
-          ref={emailBodyRef}
-          dangerouslySetInnerHTML={{ __html: content }}
-        />
-      );
-    } else {
-      // Plain text rendering
-      return (
-        <div className={`email-body${editMode ? ' edit-mode' : ''}`} ref={emailBodyRef}>
-          {content}
-        </div>
-      );
-    }
-  }, [apiResponse, editMode, isHtmlContent]);
+    if (sources.length === 0 || (sources.length === 1 && sources[0].kind === 'body')) return null;
+    
+    return (
+      <div className="evidence-sources">
+        {sources.map(source => (
+          <button
+            key={source.key}
+            className={`evidence-source source-${source.kind}`}
+            title="Show this evidence"
+            onClick={(e) => {
+              e.stopPropagation();
+              handlePredictionClick(prediction);
+              if (source.pane !== undefined) setReadingPane(source.pane);
+            }}
+          >
+            {source.label}
+          </button>
+        ))}
+      </div>
+    );
+  }, [attachments, threadMessages, spanQuotes, handlePredictionClick]);
 
-  // Render the prediction cards based on API data
   const renderPredictionCards = useCallback(() => {
     if (!apiResponse?.intent_parser_result?.predictions) {
       return <p>No predictions available</p>;
     }
 
-    return apiResponse.intent_parser_result.predictions.map((prediction, index) => {
+    // Predictions that were added and then discarded again are not shown
+    const visiblePredictions = predictions.filter(prediction => !(prediction.user_added && prediction.rejected));
+    const orderedPredictions = sortOrder === 'confidence' ? sortByConfidence(visiblePredictions) : visiblePredictions;
+    
+    return orderedPredictions.map((prediction, index) => {
       const isSelected = selectedPrediction && selectedPrediction.prediction_id === prediction.prediction_id;
-      const isEditingIntent = editingField?.type === 'intent';
-      const isEditingAction = editingField?.type === 'action';
-      const isEditingArtefactType = editingField?.type === 'artefact_type';
+      const isEditingIntent = isSelected && editingField?.type === 'intent';
+      const isEditingAction = isSelected && editingField?.type === 'action';
+      const isEditingArtefactType = isSelected && editingField?.type === 'artefact_type';
+      const isEditingTimeOfAction = isSelected && editingField?.type === 'time_of_action';
+      const isEditingSender = isSelected && editingField?.type === 'sender';
+      const hasFeedbackError = feedbackErrors.some(error => error.prediction_id === prediction.prediction_id);
+      const pastFeedback = historyByPrediction[prediction.prediction_id] || [];
+      const unanchoredCount = (prediction.evidence_spans || []).filter(
+        span => anchorStrategies[span.span_id] === ANCHOR_STRATEGIES.UNANCHORED
+      ).length;
+      const confidence = getPredictionConfidence(prediction);
       
       return (
         <div 
           key={prediction.prediction_id || index}
-          className={`prediction-card ${isSelected ? 'selected' : ''}`}
+          className={[
+            'prediction-card',
+            isSelected ? 'selected' : '',
+            hasFeedbackError ? 'has-feedback-error' : '',
+            pastFeedback.length > 0 ? 'has-feedback' : '',
+            prediction.rejected ? 'rejected' : '',
+            prediction.user_added ? 'user-added' : '',
+            isLowConfidence(confidence, confidenceThreshold) ? 'low-confidence' : '',
+            linkedField?.source !== 'card' && linkedField?.predictionId === prediction.prediction_id ? 'linked' : ''
+          ].filter(Boolean).join(' ')}
+          data-prediction-id={prediction.prediction_id}
           onClick={() => handlePredictionClick(prediction)}
         >
           <div className="prediction-header">
+            {isOverview && !prediction.rejected && (
+              <span className={`legend-swatch overview-prediction-${predictions.indexOf(prediction) % PREDICTION_COLOR_COUNT}`} />
+            )}
             <span className="prediction-type">{prediction.intent}</span>
+            {renderConfidenceBadge(confidence, 'this prediction')}
+            {prediction.user_added && <span className="prediction-tag">New</span>}
+            {prediction.rejected && <span className="prediction-tag rejected-tag">Rejected as false positive</span>}
+            {pastFeedback.length > 0 && (
+              <span
+                className="feedback-indicator"
+                title={`Corrected before by ${[...new Set(pastFeedback.map(item => item.submitted_by))].join(', ')}; click to see the changes`}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setHistoryPredictionId(prediction.prediction_id);
+                  setHistoryOpen(true);
+                }}
+              >
+                {pastFeedback.length}
+              </span>
+            )}
+            {!readOnly && (
+              <button
+                className="reject-btn"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  togglePredictionRejection(prediction);
+                }}
+              >
+                {prediction.rejected ? 'Restore' : prediction.user_added ? 'Discard' : 'Reject'}
+              </button>
+            )}
           </div>
           
           <div className="prediction-content">
             <p 
               data-field="intent" 
-              className={`highlight-intent clickable ${isEditingIntent ? 'editing' : ''}`}
+              className={`highlight-intent clickable ${isEditingIntent ? 'editing' : ''}${isLinkedField(prediction, 'intent') ? ' linked-field' : ''}`}
+              {...getFieldHoverProps(prediction, 'intent')}
               onClick={(e) => {
                 e.stopPropagation();
-                handlePredictionFieldClick('intent');
+                handlePredictionFieldClick(prediction, 'intent');
               }}
             >
-              <strong>Intent:</strong> {prediction.intent}
+              <strong>Intent:</strong> {renderLabelValue(prediction, 'intent')}
             </p>
             
             <p 
               data-field="action" 
-              className={`highlight-action clickable ${isEditingAction ? 'editing' : ''}`}
+              className={`highlight-action clickable ${isEditingAction ? 'editing' : ''}${isLinkedField(prediction, 'action') ? ' linked-field' : ''}`}
+              {...getFieldHoverProps(prediction, 'action')}
               onClick={(e) => {
                 e.stopPropagation();
-                handlePredictionFieldClick('action');
+                handlePredictionFieldClick(prediction, 'action');
               }}
             >
-              <strong>Action:</strong> {prediction.action}
+              <strong>Action:</strong> {renderLabelValue(prediction, 'action')}
             </p>
             
+            {(prediction.time_of_action || !readOnly) && (
+              <p 
+                data-field="time_of_action" 
+                className={`highlight-time_of_action clickable ${isEditingTimeOfAction ? 'editing' : ''}${isLinkedField(prediction, 'time_of_action') ? ' linked-field' : ''}`}
+                {...getFieldHoverProps(prediction, 'time_of_action')}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handlePredictionFieldClick(prediction, 'time_of_action');
+                }}
+              >
+                <strong>Time of action:</strong> {renderLabelValue(prediction, 'time_of_action')}
+              </p>
+            )}
+            
+            {(prediction.sender || !readOnly) && (
+              <p 
+                data-field="sender" 
+                className={`highlight-sender clickable ${isEditingSender ? 'editing' : ''}${isLinkedField(prediction, 'sender') ? ' linked-field' : ''}`}
+                {...getFieldHoverProps(prediction, 'sender')}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handlePredictionFieldClick(prediction, 'sender');
+                }}
+              >
+                <strong>Sender:</strong> {renderLabelValue(prediction, 'sender')}
+              </p>
+            )}
+            
             <p 
               data-field="artefact" 
-              className={`highlight-artefact_type clickable ${isEditingArtefactType ? 'editing' : ''}`}
+              className={`highlight-artefact_type clickable ${isEditingArtefactType ? 'editing' : ''}${isLinkedField(prediction, 'artefact_type') ? ' linked-field' : ''}`}
+              {...getFieldHoverProps(prediction, 'artefact_type')}
               onClick={(e) => {
                 e.stopPropagation();
-                handlePredictionFieldClick('artefact_type');
+                handlePredictionFieldClick(prediction, 'artefact_type');
               }}
             >
-              <strong>Artefact:</strong> {prediction.artefact?.type}
+              <strong>Artefact:</strong> {renderLabelValue(prediction, 'artefact_type')}
             </p>
             
             {/* Render artefact details if available */}
-            {prediction.artefact?.details && (
+            {(prediction.artefact?.details || !readOnly) && (
               <div className="artefact-details">
                 <p><strong>Details:</strong></p>
                 <ul className="artefact-details-list">
-                  {Object.entries(prediction.artefact.details).map(([key, value]) => {
-                    const isEditingThisField = editingField?.type === 'artefact_detail' && editingField?.name === key;
+                  {Object.keys(prediction.artefact?.details || {}).map(key => {
+                    const isEditingThisField = isSelected && editingField?.type === 'artefact_detail' && editingField?.name === key;
+                    
+                    return (
+                      <li 
+                        key={key} 
+                        data-field={key} 
+                        className={`highlight-artefact_detail clickable ${isEditingThisField ? 'editing' : ''}${isLinkedField(prediction, 'artefact_detail', key) ? ' linked-field' : ''}`}
+                        {...getFieldHoverProps(prediction, 'artefact_detail', key)}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handlePredictionFieldClick(prediction, 'artefact_detail', key);
+                        }}
+                      >
+                        <strong>{key}:</strong> {renderLabelValue(prediction, 'artefact_detail', key)}
+                      </li>
+                    );
+                  })}
+                </ul>
+                {renderNewDetailEditor(prediction)}
+              </div>
+            )}
+            
+            {/* Render the related artefact (e.g. the new value of an amendment) if available */}
+            {(Object.keys(prediction.related_artefact || {}).length > 0 || !readOnly) && (
+              <div className="related-artefact">
+                <p><strong>Related artefact:</strong></p>
+                <ul className="related-artefact-list">
+                  {Object.keys(prediction.related_artefact || {}).map(key => {
+                    const isEditingThisField = isSelected && editingField?.type === 'related_artefact' && editingField?.name === key;
                     
                     return (
                       <li 
                         key={key} 
                         data-field={key} 
-                        className={`highlight-artefact_detail clickable ${isEditingThisField ? 'editing' : ''}`}
+                        className={`highlight-related_artefact clickable ${isEditingThisField ? 'editing' : ''}${isLinkedField(prediction, 'related_artefact', key) ? ' linked-field' : ''}`}
+                        {...getFieldHoverProps(prediction, 'related_artefact', key)}
                         onClick={(e) => {
                           e.stopPropagation();
-                          handlePredictionFieldClick('artefact_detail', key);
+                          handlePredictionFieldClick(prediction, 'related_artefact', key);
                         }}
                       >
-                        <strong>{key}:</strong> {value}
+                        <strong>{key}:</strong> {renderLabelValue(prediction, 'related_artefact', key)}
                       </li>
                     );
                   })}
                 </ul>
+                {renderNewDetailEditor(prediction, 'related_artefact')}
               </div>
             )}
           </div>
+          
+          {renderEvidenceSources(prediction)}
+          
+          {unanchoredCount > 0 && (
+            <p className="anchor-warning">
+              ⚠ {unanchoredCount} evidence span{unanchoredCount === 1 ? '' : 's'} could not be found in the email
+            </p>
+          )}
         </div>
       );
     });
-  }, [apiResponse, selectedPrediction, editingField, handlePredictionClick, handlePredictionFieldClick]);
+  }, [apiResponse, predictions, selectedPrediction, editingField, feedbackErrors, historyByPrediction, anchorStrategies, isOverview, linkedField, isLinkedField, getFieldHoverProps, readOnly, sortOrder, confidenceThreshold, handlePredictionClick, handlePredictionFieldClick, togglePredictionRejection, renderLabelValue, renderNewDetailEditor, renderConfidenceBadge, renderEvidenceSources]);
+
+  // Quoted sections in the reading pane, for the toolbar's show/hide toggle
+  const quoteCount = isHtmlContent ? htmlQuoteCount : paneQuotedRanges.length;
+  const allQuotesExpanded = quoteCount > 0 && expandedQuotes.length >= quoteCount;
 
   return (
     <div className={`email-intent-visualizer ${theme} ${selectionMode ? 'selection-mode' : ''}`}>
+      {draftState.restored && !readOnly && (
+        <div className="draft-banner">
+          <span>
+            {draftState.restored.corrections.length} unsubmitted correction{draftState.restored.corrections.length === 1 ? '' : 's'} to
+            this email {draftState.restored.corrections.length === 1 ? 'was' : 'were'} saved
+            {draftState.restored.savedAt && ` on ${new Date(draftState.restored.savedAt).toLocaleString()}`}
+            {draftState.restored.dropped > 0 && ` (${draftState.restored.dropped} no longer apply to its predictions)`}.
+          </span>
+          <button onClick={resumeDraft} className="draft-resume-btn">Resume</button>
+          <button onClick={discardDraft} className="draft-discard-btn">Discard</button>
+        </div>
+      )}
+      
       <div className="visualizer-container">
         <div className="email-section">
-          <div className="email-header">
-            <h3>{apiResponse?.email?.header?.subject || 'No Subject'}</h3>
-            <div className="email-metadata">
-              <p><strong>From:</strong> {apiResponse?.email?.header?.from?.name} &lt;{apiResponse?.email?.header?.from?.email}&gt;</p>
-              <p><strong>To:</strong> {apiResponse?.email?.header?.to?.[0]?.name} &lt;{apiResponse?.email?.header?.to?.[0]?.email}&gt;</p>
-              <p><strong>Date:</strong> {new Date(apiResponse?.email?.header?.received).toLocaleString()}</p>
-            </div>
+          {renderEmailHeader()}
+          
+          {renderAttachmentList()}
+          
+          {renderThreadList()}
+          
+          <div className="email-toolbar">
+            {!isComparing && (
+              <button
+                className={`overview-toggle${overviewMode ? ' active' : ''}`}
+                onClick={() => setOverviewMode(mode => !mode)}
+              >
+                {overviewMode ? 'Show selected prediction only' : 'Show all evidence'}
+              </button>
+            )}
+            {overviewMode && editMode && (
+              <span className="overview-note">Overview is paused while editing a prediction</span>
+            )}
+            {quoteCount > 0 && (
+              <button
+                className="quoted-history-toggle"
+                onClick={() => setExpandedQuotes(allQuotesExpanded ? [] : [...Array(quoteCount).keys()])}
+              >
+                {allQuotesExpanded ? 'Hide quoted history' : `Show quoted history (${quoteCount})`}
+              </button>
+            )}
+            {!readOnly && (
+              <span className="history-controls">
+                <button
+                  onClick={undoCorrection}
+                  disabled={corrections.length === 0}
+                  className="undo-btn"
+                  title={corrections.length > 0 ? `Undo ${describeCorrection(corrections[corrections.length - 1])} (Ctrl+Z)` : 'Nothing to undo'}
+                >
+                  ↶ Undo
+                </button>
+                <button
+                  onClick={redoCorrection}
+                  disabled={undoneCorrections.length === 0}
+                  className="redo-btn"
+                  title={undoneCorrections.length > 0 ? `Redo ${describeCorrection(undoneCorrections[undoneCorrections.length - 1])} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                >
+                  ↷ Redo
+                </button>
+              </span>
+            )}
           </div>
           
+          {isOverview && !isComparing && renderOverviewLegend()}
+          
           {renderEmailContent()}
+          
+          {renderDiagnosticsPanel()}
         </div>
         
         <div className="predictions-section">
-          <h3>Detected Intents and Actions</h3>
-          
-          <div className="prediction-cards">
-            {renderPredictionCards()}
+          <div className="predictions-header">
+            <h3>{isComparing ? 'Model Version Comparison' : 'Detected Intents and Actions'}</h3>
+            {apiResponse?.intent_parser_result?.model_info && (
+              <span className="model-info" title="Model that produced these predictions">
+                {apiResponse.intent_parser_result.model_info.name || 'Unknown model'}
+                {apiResponse.intent_parser_result.model_info.version && ` v${apiResponse.intent_parser_result.model_info.version}`}
+              </span>
+            )}
+            {lowConfidenceCount > 0 && (
+              <span className="low-confidence-count" title={`Predictions with confidence below ${formatConfidence(confidenceThreshold)}`}>
+                ⚠ {lowConfidenceCount} low confidence
+              </span>
+            )}
+            {hasConfidence && !isComparing && (
+              <label className="sort-order">
+                Sort:
+                <select value={sortOrder} onChange={(e) => setSortOrder(e.target.value)}>
+                  <option value="model">Model order</option>
+                  <option value="confidence">Least confident first</option>
+                </select>
+              </label>
+            )}
+            {!readOnly && !newPredictionDraft && (
+              <button onClick={openNewPrediction} className="new-prediction-btn">
+                + New prediction
+              </button>
+            )}
           </div>
           
-          {selectedPrediction && !readOnly && (
+          {isComparing ? renderComparison() : (
+            <>
+              {renderFeedbackHistory()}
+              
+              {renderNewPredictionForm()}
+              
+              <div className="prediction-cards" ref={predictionCardsRef}>
+                {renderPredictionCards()}
+              </div>
+            </>
+          )}
+          
+          {(selectedPrediction || corrections.length > 0) && !readOnly && (
             <div className="prediction-actions">
-              <button 
-                onClick={() => setEditMode(!editMode)} 
-                disabled={editMode}
-                className={`action-btn ${editMode ? 'disabled' : ''}`}
-              >
-                Edit Evidence
-              </button>
+              {selectedPrediction && !selectedPrediction.rejected && (
+                <button 
+                  onClick={() => {
+                    setEditMode(true);
+                    setEditPanelVisible(true);
+                  }} 
+                  disabled={editMode}
+                  className={`action-btn ${editMode ? 'disabled' : ''}`}
+                >
+                  Edit Evidence
+                </button>
+              )}
+              {corrections.length > 0 && (
+                <p className="pending-corrections">
+                  {corrections.length} pending correction{corrections.length === 1 ? '' : 's'}
+                </p>
+              )}
+              {feedbackErrors.length > 0 && (
+                <ul className="feedback-errors">
+                  {feedbackErrors.map(({ prediction_id, feedback_type, error }) => (
+                    <li key={`${prediction_id}-${feedback_type}`}>
+                      <strong>{predictions.find(prediction => prediction.prediction_id === prediction_id)?.intent || prediction_id}</strong>
+                      {' '}({feedback_type.replace(/_/g, ' ')}): {error}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {submitError && (
+                <p className="submit-error" role="alert">{submitError}</p>
+              )}
               <button 
                 onClick={handleSubmitFeedback} 
-                disabled={Object.keys(feedbackData).length === 0}
+                disabled={feedbackData.length === 0 || submitting}
                 className="submit-btn"
               >
-                Submit Feedback
+                {submitting ? 'Submitting…' : `Submit Feedback${feedbackData.length > 0 ? ` (${feedbackData.length})` : ''}`}
               </button>
             </div>
           )}
@@ -662,24 +2724,111 @@ const EmailIntentVisualizer = ({ apiResponse, onFeedbackSubmit, readOnly = false
       </div>
       
       {/* Edit panel for evidence editing */}
-      {editPanelVisible && activeSpan && editMode && (
+      {editPanelVisible && editMode && selectedPrediction && (
         <div className="edit-panel">
           <h4>Edit Evidence</h4>
+          
+          {activeSpan ? (
+            <div className="active-span-info">
+              <span className={`span-type-badge highlight-${activeSpan.type}`}>
+                {activeSpan.field ? `${activeSpan.type}: ${activeSpan.field}` : activeSpan.type}
+              </span>
+              <q>{activeSpan.text}</q>
+              {renderConfidenceBadge(getSpanConfidence(activeSpan), 'this span')}
+              {anchorStrategies[activeSpan.span_id] && (
+                <span className={`anchor-strategy anchor-${anchorStrategies[activeSpan.span_id]}`}>
+                  Anchored by: {ANCHOR_STRATEGY_LABELS[anchorStrategies[activeSpan.span_id]]}
+                </span>
+              )}
+            </div>
+          ) : (
+            <p className="instruction">Click a highlighted span to edit it, or add a new one below.</p>
+          )}
+          
           <div className="edit-controls">
-            <button onClick={enterSelectionMode} className="selection-btn">
-              Select New Text
-            </button>
-            <button onClick={exitSelectionMode} className="cancel-btn">
-              Cancel
-            </button>
+            {selectionMode ? (
+              <>
+                <button onClick={applySelection} disabled={!selectionCandidate} className="apply-btn">
+                  Apply
+                </button>
+                <button onClick={exitSelectionMode} className="cancel-btn">
+                  Cancel
+                </button>
+              </>
+            ) : (
+              <>
+                {activeSpan && (
+                  <button onClick={() => enterSelectionMode('replace')} className="selection-btn">
+                    Select New Text
+                  </button>
+                )}
+                {activeSpan && (
+                  <button onClick={deleteActiveSpan} className="delete-btn">
+                    Delete Span
+                  </button>
+                )}
+                <button onClick={closeEditPanel} className="cancel-btn">
+                  Done
+                </button>
+              </>
+            )}
           </div>
+          
+          {selectionMode && selectionCandidate && (
+            <p className="selection-preview">Selected: <q>{selectionCandidate.text}</q></p>
+          )}
+          {selectionError && <p className="edit-error">{selectionError}</p>}
+          
+          {!selectionMode && (
+            <div className="span-edit-controls">
+              <h4>Add Evidence Span</h4>
+              <div className="edit-field">
+                <label htmlFor="new-span-type">Type</label>
+                <select
+                  id="new-span-type"
+                  value={spanDraft.type}
+                  onChange={(e) => setSpanDraft({ type: e.target.value, field: '' })}
+                >
+                  {SPAN_TYPES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {KEYED_SPAN_TYPES.has(spanDraft.type) && (
+                <div className="edit-field">
+                  <label htmlFor="new-span-field">Field</label>
+                  <select
+                    id="new-span-field"
+                    value={spanDraft.field}
+                    onChange={(e) => setSpanDraft({ ...spanDraft, field: e.target.value })}
+                  >
+                    <option value="">Choose a field…</option>
+                    {Object.keys((spanDraft.type === 'related_artefact'
+                      ? selectedPrediction.related_artefact
+                      : selectedPrediction.artefact?.details) || {}).map(key => (
+                      <option key={key} value={key}>{key}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="edit-actions">
+                <button
+                  onClick={() => enterSelectionMode('add')}
+                  disabled={KEYED_SPAN_TYPES.has(spanDraft.type) && !spanDraft.field}
+                  className="edit-btn"
+                >
+                  Add Span
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       )}
       
       {/* Selection mode guide */}
       {selectionMode && (
         <div className="selection-guide">
-          Select text for evidence, then click "Apply"
+          Select text for evidence, then click “Apply”
         </div>
       )}
     </div>
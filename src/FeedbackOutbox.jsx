@@ -0,0 +1,83 @@
+import './FeedbackOutbox.css';
+
+const STATUS_LABELS = {
+  pending: 'Waiting to retry',
+  sending: 'Sending…',
+  failed: 'Failed'
+};
+
+/**
+ * FeedbackOutbox Component
+ *
+ * Lists the feedback payloads that have not reached the feedback API yet, with
+ * their last error and next attempt, and lets the user send each one again or
+ * discard it. Renders nothing while the outbox is empty.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.entries - The outbox entries, from createFeedbackOutbox
+ * @param {Function} props.onRetry - Handler receiving the outbox_id of the entry to send again
+ * @param {Function} props.onDiscard - Handler receiving the outbox_id of the entry to drop
+ * @param {boolean} props.online - Whether the browser is online
+ * @param {string} props.theme - UI theme ('light' or 'dark')
+ */
+const FeedbackOutbox = ({
+  entries,
+  onRetry,
+  onDiscard,
+  online = true,
+  theme = 'light'
+}) => {
+  if (entries.length === 0) return null;
+
+  const failedCount = entries.filter(entry => entry.status === 'failed').length;
+
+  // Say when a pending entry will be sent again
+  const describeNextAttempt = (entry) => {
+    if (!online) return 'Waiting for the connection';
+    if (!entry.next_attempt_at) return null;
+    return `Next attempt at ${new Date(entry.next_attempt_at).toLocaleTimeString()}`;
+  };
+
+  return (
+    <div className={`feedback-outbox ${theme}`}>
+      <div className="outbox-header">
+        <span className="outbox-title">
+          {entries.length} feedback item{entries.length === 1 ? '' : 's'} not sent yet
+          {failedCount > 0 && ` (${failedCount} failed)`}
+        </span>
+        {!online && <span className="outbox-offline">Offline</span>}
+      </div>
+
+      <ul className="outbox-entries">
+        {entries.map(entry => (
+          <li key={entry.outbox_id} className={`outbox-entry status-${entry.status}`}>
+            <div className="outbox-entry-info">
+              <span className="outbox-entry-type">{entry.payload.feedback_type}</span>
+              <span className="outbox-entry-ids" title={`request ${entry.payload.request_id}, prediction ${entry.payload.prediction_id}`}>
+                {entry.payload.request_id} · {entry.payload.prediction_id}
+              </span>
+              <span className="outbox-entry-status">
+                {STATUS_LABELS[entry.status]}
+                {entry.attempts > 0 && ` after ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}`}
+                {entry.last_error && `: ${entry.last_error}`}
+              </span>
+              {entry.status === 'pending' && (
+                <span className="outbox-entry-next">{describeNextAttempt(entry)}</span>
+              )}
+            </div>
+            <div className="outbox-entry-actions">
+              <button onClick={() => onRetry(entry.outbox_id)} disabled={entry.status === 'sending' || !online} className="outbox-retry-btn">
+                Retry
+              </button>
+              <button onClick={() => onDiscard(entry.outbox_id)} disabled={entry.status === 'sending'} className="outbox-discard-btn">
+                Discard
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default FeedbackOutbox;
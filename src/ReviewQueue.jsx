@@ -0,0 +1,218 @@
+import { useMemo } from 'react';
+import './ReviewQueue.css';
+import {
+  REVIEW_STATUSES,
+  REVIEW_STATUS_LABELS,
+  getItemIntents,
+  getQueueIntents,
+  getQueueProgress,
+  matchesQueueFilter,
+  findQueueItem
+} from './reviewQueue';
+import { EXPORT_FORMATS, downloadFile } from './datasetExport';
+
+/**
+ * ReviewQueue Component
+ *
+ * Navigation bar for reviewing a batch of emails: loads the batch from a file,
+ * moves through it, shows each email's review status and the progress of the
+ * whole batch, and filters the emails navigated to by status or intent.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.queue - The review queue, from createReviewQueue
+ * @param {Object} props.filter - { status, intent }, either of which may be 'all'
+ * @param {Function} props.onFilterChange - Handler receiving the new filter
+ * @param {Function} props.onNavigate - Handler receiving the index of the email to open
+ * @param {Function} props.onStatusChange - Handler receiving the current email's new status
+ * @param {Function} props.onLoadFile - Handler receiving the queue file picked by the user
+ * @param {Function} props.onImportFile - Optional handler receiving a Label Studio or legacy span file to import
+ * @param {Function} props.onExport - Optional handler receiving the EXPORT_FORMATS key to export the reviewed emails in
+ * @param {Object} props.report - Optional report to list in full, e.g. the records an import could not map or the evidence an export left out:
+ *   { title, items, filename } where items are lines of text and filename names the downloaded report
+ * @param {Function} props.onDismissReport - Handler closing the report
+ * @param {string} props.theme - UI theme ('light' or 'dark')
+ */
+const ReviewQueue = ({
+  queue,
+  filter,
+  onFilterChange,
+  onNavigate,
+  onStatusChange,
+  onLoadFile,
+  onImportFile,
+  onExport,
+  report,
+  onDismissReport,
+  theme = 'light'
+}) => {
+  const { items, position, name } = queue;
+  const current = items[position];
+
+  const progress = useMemo(() => getQueueProgress(items), [items]);
+  const intents = useMemo(() => getQueueIntents(items), [items]);
+
+  // Emails passing the filter, offered by the jump list
+  const filteredIndices = useMemo(() => (
+    items.map((item, index) => (matchesQueueFilter(item, filter) ? index : -1)).filter(index => index !== -1)
+  ), [items, filter]);
+
+  const previousIndex = findQueueItem(items, position, -1, filter);
+  const nextIndex = findQueueItem(items, position, 1, filter);
+
+  // Describe an email in the jump list
+  const describeItem = (item, index) => {
+    const subject = item.response.email?.header?.subject || 'No Subject';
+    return `#${index + 1} · ${subject} · ${REVIEW_STATUS_LABELS[item.status]}`;
+  };
+
+  // Pass the picked file to a handler, allowing the same file to be picked again
+  const handleFileChange = (handler) => (event) => {
+    const [file] = event.target.files || [];
+    if (file) handler(file);
+    event.target.value = '';
+  };
+
+  const handleExportChange = (event) => {
+    if (event.target.value) onExport(event.target.value);
+    event.target.value = '';
+  };
+
+  return (
+    <div className={`review-queue ${theme}`}>
+      <div className="queue-header">
+        <span className="queue-name" title={name}>{name}</span>
+        <label className="queue-load-btn">
+          Load queue…
+          <input type="file" accept=".jsonl,.json,application/json" onChange={handleFileChange(onLoadFile)} />
+        </label>
+        {onImportFile && (
+          <label className="queue-load-btn" title="Import labelled emails from a Label Studio export or the legacy span format">
+            Import annotations…
+            <input type="file" accept=".jsonl,.json,application/json" onChange={handleFileChange(onImportFile)} />
+          </label>
+        )}
+        {onExport && (
+          <select
+            className="queue-export"
+            value=""
+            onChange={handleExportChange}
+            disabled={progress.done === 0}
+            title={progress.done === 0 ? 'Review an email to export it' : `Export the ${progress.done} reviewed email${progress.done === 1 ? '' : 's'} with their corrections`}
+            aria-label="Export reviewed emails"
+          >
+            <option value="">Export…</option>
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <option key={format} value={format}>{label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {report && (
+        <div className="queue-report" role="status">
+          <div className="queue-report-header">
+            <strong className="queue-report-title">{report.title}</strong>
+            <button onClick={() => downloadFile(report.items.join('\n'), report.filename)} className="queue-report-btn">
+              Download report
+            </button>
+            <button onClick={onDismissReport} className="queue-report-btn" aria-label="Dismiss report">×</button>
+          </div>
+          <ul className="queue-report-items">
+            {report.items.map((item, index) => (
+              <li key={index}>{item}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="queue-progress" title={REVIEW_STATUSES.map(status => `${REVIEW_STATUS_LABELS[status]}: ${progress.counts[status]}`).join(', ')}>
+        {REVIEW_STATUSES.filter(status => progress.counts[status] > 0).map(status => (
+          <span
+            key={status}
+            className={`queue-progress-segment status-${status}`}
+            style={{ width: `${(progress.counts[status] / progress.total) * 100}%` }}
+          />
+        ))}
+      </div>
+      <p className="queue-progress-text">
+        {progress.done} of {progress.total} reviewed
+        {progress.total > 0 && ` (${Math.round((progress.done / progress.total) * 100)}%)`}
+      </p>
+
+      <div className="queue-navigation">
+        <button onClick={() => onNavigate(previousIndex)} disabled={previousIndex === -1} className="queue-nav-btn">
+          ← Previous
+        </button>
+        <select
+          className="queue-jump"
+          value={position}
+          onChange={(event) => onNavigate(Number(event.target.value))}
+        >
+          {/* The current email stays listed even when the filter hides it */}
+          {!filteredIndices.includes(position) && current && (
+            <option value={position}>{describeItem(current, position)}</option>
+          )}
+          {filteredIndices.map(index => (
+            <option key={items[index].id} value={index}>{describeItem(items[index], index)}</option>
+          ))}
+        </select>
+        <button onClick={() => onNavigate(nextIndex)} disabled={nextIndex === -1} className="queue-nav-btn">
+          Next →
+        </button>
+      </div>
+
+      {current && (
+        <div className="queue-current">
+          <span className={`queue-status status-${current.status}`}>{REVIEW_STATUS_LABELS[current.status]}</span>
+          <span className="queue-position">Email {position + 1} of {items.length}</span>
+          {getItemIntents(current).map(intent => (
+            <span key={intent} className="queue-intent">{intent}</span>
+          ))}
+          <button
+            onClick={() => onStatusChange('accepted')}
+            disabled={current.status === 'accepted'}
+            className="queue-accept-btn"
+          >
+            ✓ Accept as-is
+          </button>
+          <select
+            className="queue-status-select"
+            value={current.status}
+            onChange={(event) => onStatusChange(event.target.value)}
+            aria-label="Review status"
+          >
+            {REVIEW_STATUSES.map(status => (
+              <option key={status} value={status}>{REVIEW_STATUS_LABELS[status]}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="queue-filters">
+        <label>
+          Status:
+          <select value={filter.status} onChange={(event) => onFilterChange({ ...filter, status: event.target.value })}>
+            <option value="all">All ({items.length})</option>
+            {REVIEW_STATUSES.map(status => (
+              <option key={status} value={status}>{REVIEW_STATUS_LABELS[status]} ({progress.counts[status]})</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Intent:
+          <select value={filter.intent} onChange={(event) => onFilterChange({ ...filter, intent: event.target.value })}>
+            <option value="all">All intents</option>
+            {intents.map(intent => (
+              <option key={intent} value={intent}>{intent}</option>
+            ))}
+          </select>
+        </label>
+        {filteredIndices.length === 0 && (
+          <span className="queue-filter-empty">No emails match these filters</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewQueue;
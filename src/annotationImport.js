@@ -0,0 +1,478 @@
+// annotationImport.js - Converts Label Studio exports and legacy span JSON into API responses for review
+
+import { readJsonRecords } from './reviewQueue';
+import { isHtmlBody } from './emailThread';
+import { ANCHOR_STRATEGIES, anchorTextSpan } from './spanAnchoring';
+import { getTextOffset, locateTextRange } from './textRange';
+import { getXPathForNode } from './xpathUtils';
+import { DEFAULT_LABEL_TAXONOMY } from './labelTaxonomy';
+
+// Span types that cite a whole prediction field, and those that cite one named key of it
+const FIELD_SPAN_TYPES = new Set(['intent', 'action', 'artefact_type', 'time_of_action', 'sender']);
+const KEYED_SPAN_TYPES = new Set(['artefact_detail', 'related_artefact']);
+
+// Prediction labels that records set directly, e.g. with Label Studio choices
+const PREDICTION_LABELS = ['intent', 'action', 'artefact_type', 'time_of_action', 'sender'];
+
+// Where the body of a Label Studio task or span record is looked for, after its region's to_name
+const CONTENT_KEYS = ['html', 'text', 'body', 'content'];
+
+// Names given to the importer in model_info, so imported emails are told apart from parser output
+export const IMPORT_MODEL_NAMES = {
+  labelStudio: 'label_studio_import',
+  spans: 'span_import'
+};
+
+/**
+ * Maps an annotation label onto an evidence span type. Labels may name a span type
+ * ('intent'), a keyed type and its field ('artefact_detail.currency') or just a detail
+ * field of the taxonomy ('Currency'); case, spaces and hyphens are ignored.
+ * @param {string} label - The label as annotated
+ * @param {Object} labelMap - Optional map of legacy labels to span labels, e.g. { Ccy: 'artefact_detail.currency' }
+ * @returns {Object|null} - { type, field } (field only for keyed types), or null if the label cannot be mapped
+ */
+export const mapSpanLabel = (label, labelMap = {}) => {
+  if (typeof label !== 'string' || !label.trim()) return null;
+
+  const normalize = (value) => value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const mapped = normalize(labelMap[label] ?? labelMap[normalize(label)] ?? label);
+  const [type, field, ...rest] = mapped.split('.');
+  if (rest.length > 0) return null;
+
+  if (KEYED_SPAN_TYPES.has(type) && field) return { type, field };
+  if (FIELD_SPAN_TYPES.has(type) && !field) return { type };
+  if (!field && DEFAULT_LABEL_TAXONOMY.detail_fields.includes(type)) return { type: 'artefact_detail', field: type };
+  return null;
+};
+
+/**
+ * Reads a label map given as JSON, e.g. from configuration: an object mapping legacy
+ * or foreign labels to span labels, see mapSpanLabel
+ * @param {string} text - The JSON text; empty or missing for no map
+ * @returns {Object} - The label map
+ * @throws {Error} - If the text is not a JSON object of strings
+ */
+export const parseLabelMap = (text) => {
+  if (!text || !text.trim()) return {};
+
+  let labelMap;
+  try {
+    labelMap = JSON.parse(text);
+  } catch {
+    labelMap = null;
+  }
+  const valid = labelMap && typeof labelMap === 'object' && !Array.isArray(labelMap)
+    && Object.values(labelMap).every(value => typeof value === 'string');
+  if (!valid) throw new Error('The label map must be a JSON object mapping labels to span labels');
+
+  return labelMap;
+};
+
+// Name a span in a report line by its label and text
+const describeSpan = (label, quote) => `Span ${JSON.stringify(label)}${quote ? ` "${quote}"` : ''}`;
+
+/**
+ * Prepares an email body for placing spans in it: plain text as it is, HTML parsed so
+ * that character offsets into its text can be turned into XPaths
+ * @param {Object} body - The body, with content and document_type
+ * @returns {Object} - { text, root } where text is what offsets count into and root the parsed <body>, or null for plain text
+ */
+const createBodyContext = (body) => {
+  if (!isHtmlBody(body)) return { text: body.content, root: null };
+
+  const root = new DOMParser().parseFromString(body.content, 'text/html').body;
+  return { text: root.textContent, root };
+};
+
+/**
+ * Turns a character range of the body's text into an evidence span: start/end on plain
+ * text, or the innermost element's XPath with relative_start/relative_end on HTML. When
+ * the annotated text is given and the offsets do not cover it, the text is searched for.
+ * @param {Object} context - From createBodyContext
+ * @param {Object} label - { type, field } of the span
+ * @param {number} start - Start offset into the body text
+ * @param {number} end - End offset into the body text
+ * @param {string} quote - The annotated text, if the record has it
+ * @returns {Object} - { span } or { error }
+ */
+const placeBodySpan = (context, label, start, end, quote) => {
+  const anchor = anchorTextSpan({ start, end, text: quote }, context.text);
+  if (anchor.strategy === ANCHOR_STRATEGIES.UNANCHORED) {
+    return { error: quote ? 'its text could not be found in the body' : `offsets ${start}–${end} are outside the body text` };
+  }
+
+  const text = context.text.slice(anchor.start, anchor.end);
+  if (!context.root) return { span: { ...label, source: 'email_body', start: anchor.start, end: anchor.end, text } };
+
+  const located = locateTextRange(context.root, anchor.start, anchor.end);
+  const xpath = located && getXPathForNode(located.node, context.root);
+  if (!xpath) return { error: 'no element of the body holds it' };
+
+  return { span: { ...label, source: 'email_body', xpath, relative_start: located.start, relative_end: located.end, text } };
+};
+
+/**
+ * Turns a character range of the subject into an evidence span
+ * @param {string} subject - The email subject
+ * @param {Object} label - { type, field } of the span
+ * @param {number} start - Start offset into the subject
+ * @param {number} end - End offset into the subject
+ * @param {string} quote - The annotated text, if the record has it
+ * @returns {Object} - { span } or { error }
+ */
+const placeSubjectSpan = (subject, label, start, end, quote) => {
+  const anchor = anchorTextSpan({ start, end, text: quote }, subject || '');
+  if (anchor.strategy === ANCHOR_STRATEGIES.UNANCHORED) return { error: 'it could not be found in the subject' };
+
+  return { span: { ...label, source: 'email_subject', start: anchor.start, end: anchor.end, text: subject.slice(anchor.start, anchor.end) } };
+};
+
+/**
+ * Builds a prediction from its labels and evidence. Artefact details, related artefact
+ * keys and the sender that no label sets are taken from the text of their spans.
+ * @param {string} predictionId - The prediction_id to give it
+ * @param {Object} labels - { intent, action, artefact_type, time_of_action, sender }, any of which may be missing
+ * @param {Array} spans - Its evidence spans
+ * @returns {Object} - The prediction, in the API schema
+ */
+const createPrediction = (predictionId, labels, spans) => {
+  const details = {};
+  const related = {};
+  spans.forEach(span => {
+    if (span.type === 'artefact_detail') details[span.field] ??= span.text;
+    if (span.type === 'related_artefact') related[span.field] ??= span.text;
+  });
+
+  return {
+    prediction_id: predictionId,
+    intent: labels.intent ?? null,
+    sender: labels.sender ?? spans.find(span => span.type === 'sender')?.text ?? null,
+    action: labels.action ?? null,
+    artefact: { type: labels.artefact_type ?? null, details },
+    ...(Object.keys(related).length > 0 ? { related_artefact: related } : {}),
+    time_of_action: labels.time_of_action ?? null,
+    evidence_spans: spans
+  };
+};
+
+/**
+ * Gives each of several intents chosen for one email its own prediction. Records do not
+ * say which evidence supports which intent, so it all goes to the first.
+ * @param {Object} labels - The prediction labels other than the intent
+ * @param {Array} spans - The evidence spans
+ * @param {Array} intents - The intents, in the order recorded
+ * @param {Function} report - Receives a message when the evidence has to be attached to one of several intents
+ * @returns {Array} - Predictions as { labels, spans }
+ */
+const splitByIntent = (labels, spans, intents, report) => {
+  if (intents.length > 1) report(`${intents.length} intents were chosen; the evidence is attached to the first`);
+
+  return (intents.length > 0 ? intents : [undefined]).map((intent, index) => ({
+    labels: { ...labels, intent },
+    spans: index === 0 ? spans : []
+  }));
+};
+
+/**
+ * Assembles an API response from an imported email. Predictions that neither carry a
+ * label nor cite any evidence are left out.
+ * @param {Object} params - The email's parts
+ * @param {string} params.requestId - request_id of the response
+ * @param {Object} params.header - The email header
+ * @param {Object} params.body - { content, document_type }
+ * @param {Array} params.predictions - Predictions as { labels, spans }
+ * @param {string} params.modelName - One of IMPORT_MODEL_NAMES
+ * @returns {Object|null} - The API response, or null if no prediction is left
+ */
+const createResponse = ({ requestId, header, body, predictions, modelName }) => {
+  const imported = predictions
+    .filter(({ labels, spans }) => spans.length > 0 || PREDICTION_LABELS.some(key => labels[key]))
+    .map(({ labels, spans }, index) => createPrediction(`${requestId}:prediction-${index + 1}`, labels, spans));
+  if (imported.length === 0) return null;
+
+  return {
+    request_id: requestId,
+    email: { header, body },
+    intent_parser_result: {
+      model_info: { name: modelName },
+      predictions: imported
+    }
+  };
+};
+
+/**
+ * Reads the header fields a record carries alongside its body
+ * @param {Object} source - The record, or a Label Studio task's data
+ * @returns {Object} - The email header
+ */
+const readHeader = (source) => {
+  const from = source.from ?? source.sender;
+  return {
+    subject: typeof source.subject === 'string' ? source.subject : '',
+    ...(typeof from === 'string' ? { from: { email: from } } : {}),
+    ...(from && typeof from === 'object' ? { from } : {}),
+    ...(source.received || source.date ? { received: source.received || source.date } : {})
+  };
+};
+
+/**
+ * Checks whether a record is a task exported from Label Studio
+ * @param {*} record - The parsed record
+ * @returns {boolean} - True if it has task data and annotations
+ */
+const isLabelStudioTask = (record) => (
+  Boolean(record) && typeof record === 'object' && !Array.isArray(record)
+  && Boolean(record.data) && typeof record.data === 'object'
+  && (Array.isArray(record.annotations) || Array.isArray(record.completions))
+);
+
+/**
+ * Picks the annotation of a task to import: the most recently updated one that was not
+ * cancelled (older exports call annotations completions)
+ * @param {Object} task - The Label Studio task
+ * @returns {Object|null} - The annotation, or null if the task has none
+ */
+const pickAnnotation = (task) => {
+  const annotations = (task.annotations || task.completions || [])
+    .filter(annotation => annotation && !annotation.was_cancelled && Array.isArray(annotation.result));
+  if (annotations.length === 0) return null;
+
+  const updated = (annotation) => annotation.updated_at || annotation.created_at || '';
+  return annotations.reduce((latest, annotation) => (updated(annotation) >= updated(latest) ? annotation : latest));
+};
+
+/**
+ * Resolves a Label Studio XPath, which is relative to the HTML it labels, in the parsed body
+ * @param {string} xpath - e.g. '/p[2]/text()[1]'
+ * @param {Element} root - The parsed <body>
+ * @returns {Node|null} - The node, or null if the XPath does not resolve inside the body
+ */
+const resolveLabelStudioXPath = (xpath, root) => {
+  if (typeof xpath !== 'string' || !xpath.startsWith('/')) return null;
+
+  const doc = root.ownerDocument;
+  for (const [expression, contextNode] of [[`.${xpath}`, root], [xpath, doc]]) {
+    try {
+      const node = doc.evaluate(expression, contextNode, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+      if (node && root.contains(node)) return node;
+    } catch {
+      // Not a valid expression in this form; try the next
+    }
+  }
+  return null;
+};
+
+/**
+ * Converts a Label Studio task into an API response. Text regions ('labels') give
+ * character offsets into the task text; HyperText regions ('hypertextlabels') give
+ * XPaths and offsets into the task HTML, or global offsets into its text. Choices named
+ * after a prediction label (intent, action, artefact_type, time_of_action) set it;
+ * several chosen intents become one prediction each, the evidence going to the first.
+ * @param {Object} task - The Label Studio task
+ * @param {Object} labelMap - Map of legacy labels to span labels, see mapSpanLabel
+ * @param {Function} report - Receives a message for each part that could not be mapped
+ * @returns {Object|null} - The API response, or null if nothing could be mapped
+ */
+const convertLabelStudioTask = (task, labelMap, report) => {
+  const annotation = pickAnnotation(task);
+  if (!annotation) {
+    report('The task has no annotation');
+    return null;
+  }
+
+  const { data } = task;
+  const regions = annotation.result.filter(result => result.type === 'labels' || result.type === 'hypertextlabels');
+  const contentKey = [...regions.map(region => region.to_name), ...CONTENT_KEYS].find(key => typeof data[key] === 'string');
+  if (!contentKey) {
+    report('The task data has no text or HTML to label');
+    return null;
+  }
+
+  const isHtml = regions.some(region => region.type === 'hypertextlabels') || isHtmlBody({ content: data[contentKey] });
+  const body = { content: data[contentKey], document_type: isHtml ? 'html' : 'text' };
+  const context = createBodyContext(body);
+
+  const labels = {};
+  const intents = [];
+  const spans = [];
+  annotation.result.forEach(result => {
+    const value = result.value || {};
+
+    if (result.type === 'choices') {
+      const key = mapSpanLabel(result.from_name)?.type;
+      const choices = value.choices || [];
+      if (key === 'intent') intents.push(...choices);
+      else if (PREDICTION_LABELS.includes(key) && choices.length > 0) labels[key] = choices[0];
+      else report(`Choices ${JSON.stringify(result.from_name)} do not name a prediction label`);
+      return;
+    }
+    if (result.type === 'textarea' && mapSpanLabel(result.from_name)?.type === 'sender') {
+      labels.sender = value.text?.[0] ?? null;
+      return;
+    }
+    if (result.type !== 'labels' && result.type !== 'hypertextlabels') {
+      if (result.type !== 'relation') report(`Results of type ${JSON.stringify(result.type)} are not imported`);
+      return;
+    }
+
+    const regionLabels = value.labels || value.htmllabels || value.hypertextlabels || [];
+    regionLabels.forEach(regionLabel => {
+      const label = mapSpanLabel(regionLabel, labelMap);
+      if (!label) {
+        report(`${describeSpan(regionLabel, value.text)}: the label does not map to an evidence span type`);
+        return;
+      }
+
+      let start = value.start;
+      let end = value.end;
+      if (result.type === 'hypertextlabels') {
+        const startNode = resolveLabelStudioXPath(value.start, context.root);
+        const endNode = resolveLabelStudioXPath(value.end, context.root);
+        start = startNode ? getTextOffset(context.root, startNode, 0) + Number(value.startOffset) : value.globalOffsets?.start;
+        end = endNode ? getTextOffset(context.root, endNode, 0) + Number(value.endOffset) : value.globalOffsets?.end;
+      }
+
+      const placed = placeBodySpan(context, label, Number(start), Number(end), value.text);
+      if (placed.error) report(`${describeSpan(regionLabel, value.text)}: ${placed.error}`);
+      else spans.push(placed.span);
+    });
+  });
+
+  const response = createResponse({
+    requestId: String(data.request_id ?? `label-studio-${task.id ?? task.inner_id ?? 'task'}`),
+    header: readHeader(data),
+    body,
+    predictions: splitByIntent(labels, spans, intents, report),
+    modelName: IMPORT_MODEL_NAMES.labelStudio
+  });
+  if (!response) report('Nothing in the annotation could be mapped to a prediction');
+  return response;
+};
+
+/**
+ * Checks whether a record is in the legacy span format: an object with the email text
+ * or HTML and its spans (or entities), or a spaCy-style [text, { entities, cats }] pair
+ * @param {*} record - The parsed record
+ * @returns {boolean} - True if the record can be read as spans
+ */
+const isSpanRecord = (record) => {
+  if (Array.isArray(record)) return typeof record[0] === 'string' && Boolean(record[1]) && typeof record[1] === 'object';
+  return Boolean(record) && typeof record === 'object'
+    && CONTENT_KEYS.some(key => typeof record[key] === 'string')
+    && ['spans', 'entities', 'predictions'].some(key => Array.isArray(record[key]));
+};
+
+/**
+ * Reads a legacy span, which may be { start, end, label, text, source }, { start, end,
+ * type, field } or a [start, end, label] tuple
+ * @param {Object|Array} span - The span as recorded
+ * @returns {Object} - { start, end, label, text, source }
+ */
+const readLegacySpan = (span) => {
+  if (Array.isArray(span)) return { start: span[0], end: span[1], label: span[2] };
+
+  const label = span.label ?? (span.type && (span.field ? `${span.type}.${span.field}` : span.type));
+  return { start: span.start, end: span.end, label, text: span.text, source: span.source };
+};
+
+/**
+ * Converts a legacy span record into an API response. Its labels and spans may sit on
+ * the record, making one prediction (or one per intent, given a list of intents), or in
+ * a predictions list with one entry per prediction. spaCy-style pairs take their intents
+ * from the categories scoring 0.5 or more, highest first.
+ * @param {Object|Array} record - The span record
+ * @param {number} line - Line or position of the record, used when it has no id
+ * @param {Object} labelMap - Map of legacy labels to span labels, see mapSpanLabel
+ * @param {Function} report - Receives a message for each part that could not be mapped
+ * @returns {Object|null} - The API response, or null if nothing could be mapped
+ */
+const convertSpanRecord = (record, line, labelMap, report) => {
+  const source = Array.isArray(record)
+    ? {
+      text: record[0],
+      entities: record[1].entities || [],
+      intents: Object.entries(record[1].cats || {})
+        .filter(([, score]) => score >= 0.5)
+        .sort((a, b) => b[1] - a[1])
+        .map(([intent]) => intent)
+    }
+    : record;
+
+  const contentKey = CONTENT_KEYS.find(key => typeof source[key] === 'string');
+  const body = {
+    content: source[contentKey],
+    document_type: contentKey === 'html' || source.document_type === 'html' || isHtmlBody({ content: source[contentKey] }) ? 'html' : 'text'
+  };
+  const context = createBodyContext(body);
+  const header = readHeader(source);
+
+  const predictions = (Array.isArray(source.predictions) ? source.predictions : [source]).flatMap(entry => {
+    const labels = Object.fromEntries(PREDICTION_LABELS.map(key => [key, entry[key] ?? (key === 'artefact_type' ? entry.artefact?.type : undefined)]));
+    const spans = [];
+
+    [...(entry.spans || []), ...(entry.entities || [])].forEach(recorded => {
+      const { start, end, label: recordedLabel, text, source: spanSource } = readLegacySpan(recorded);
+      const label = mapSpanLabel(recordedLabel, labelMap);
+      if (!label) {
+        report(`${describeSpan(recordedLabel, text)}: the label does not map to an evidence span type`);
+        return;
+      }
+
+      const placed = spanSource === 'email_subject'
+        ? placeSubjectSpan(header.subject, label, Number(start), Number(end), text)
+        : placeBodySpan(context, label, Number(start), Number(end), text);
+      if (placed.error) report(`${describeSpan(recordedLabel, text)}: ${placed.error}`);
+      else spans.push(placed.span);
+    });
+
+    const intents = Array.isArray(entry.intents) ? entry.intents : [labels.intent].filter(Boolean);
+    return splitByIntent(labels, spans, intents, report);
+  });
+
+  const response = createResponse({
+    requestId: String(source.request_id ?? source.id ?? `imported-${line}`),
+    header,
+    body,
+    predictions,
+    modelName: IMPORT_MODEL_NAMES.spans
+  });
+  if (!response) report('Nothing in the record could be mapped to a prediction');
+  return response;
+};
+
+/**
+ * Imports labelled emails from a Label Studio JSON export or the legacy span format
+ * (JSON or JSONL, records of both kinds may be mixed) as API responses the visualizer
+ * can review. Character offsets on plain text become start/end; offsets into HTML
+ * become the XPath of the innermost element holding the span, with relative_start and
+ * relative_end. Records are imported with whatever could be mapped.
+ * @param {string} text - The file contents
+ * @param {Object} options - Import options
+ * @param {Object} options.labelMap - Map of legacy labels to span labels, see mapSpanLabel
+ * @returns {Object} - { responses, errors } where errors are { line, error } for records,
+ *   or parts of records, that could not be mapped
+ */
+export const importAnnotations = (text, { labelMap = {} } = {}) => {
+  const read = readJsonRecords(text);
+
+  // A file of one spaCy pair reads as a JSON array of the pair's two parts
+  const parts = read.records.map(({ record }) => record);
+  const { records, errors } = parts.length === 2 && isSpanRecord(parts)
+    ? { records: [{ line: 1, record: parts }], errors: read.errors }
+    : read;
+
+  const responses = [];
+  records.forEach(({ line, record }) => {
+    const report = (error) => errors.push({ line, error });
+
+    let response = null;
+    if (isLabelStudioTask(record)) response = convertLabelStudioTask(record, labelMap, report);
+    else if (isSpanRecord(record)) response = convertSpanRecord(record, line, labelMap, report);
+    else report('Not a Label Studio task or span record');
+
+    if (response) responses.push(response);
+  });
+  errors.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+
+  return { responses, errors };
+};
@@ -0,0 +1,175 @@
+// annotationImport.test.js - Checks the conversion of Label Studio tasks and legacy span records into API responses
+
+import { describe, it, expect } from 'vitest';
+import { importAnnotations, mapSpanLabel, parseLabelMap, IMPORT_MODEL_NAMES } from './annotationImport';
+
+// A Label Studio task labelling plain text, with its labels set by choices and a textarea
+const TEXT_TASK = {
+  id: 7,
+  data: { text: 'Please cancel trade TRD-123 today.', subject: 'Cancel' },
+  annotations: [{
+    updated_at: '2024-05-01T10:00:00Z',
+    result: [
+      { type: 'labels', from_name: 'label', to_name: 'text', value: { start: 7, end: 19, text: 'cancel trade', labels: ['intent'] } },
+      { type: 'labels', from_name: 'label', to_name: 'text', value: { start: 20, end: 27, text: 'TRD-123', labels: ['Reference'] } },
+      { type: 'choices', from_name: 'intent', to_name: 'text', value: { choices: ['request_cancellation'] } },
+      { type: 'choices', from_name: 'action', to_name: 'text', value: { choices: ['cancel'] } },
+      { type: 'textarea', from_name: 'sender', to_name: 'text', value: { text: ['Jane Smith'] } }
+    ]
+  }]
+};
+
+// A Label Studio HyperText task, its regions given as XPaths into the task HTML
+const HTML_TASK = {
+  id: 8,
+  data: { html: '<p>Hello team,</p><p>Please amend trade <b>TRD-456</b>.</p>' },
+  annotations: [{
+    result: [
+      {
+        type: 'hypertextlabels',
+        from_name: 'label',
+        to_name: 'html',
+        value: { start: '/p[2]/text()[1]', startOffset: 7, end: '/p[2]/text()[1]', endOffset: 18, text: 'amend trade', hypertextlabels: ['intent'] }
+      },
+      {
+        type: 'hypertextlabels',
+        from_name: 'label',
+        to_name: 'html',
+        value: { start: '/p[2]/b[1]/text()[1]', startOffset: 0, end: '/p[2]/b[1]/text()[1]', endOffset: 7, text: 'TRD-456', hypertextlabels: ['reference'] }
+      }
+    ]
+  }]
+};
+
+const toJsonl = (...records) => records.map(record => JSON.stringify(record)).join('\n');
+
+describe('mapSpanLabel', () => {
+  it('reads span types, keyed fields and taxonomy detail fields', () => {
+    expect(mapSpanLabel('intent')).toEqual({ type: 'intent' });
+    expect(mapSpanLabel('artefact_detail.currency')).toEqual({ type: 'artefact_detail', field: 'currency' });
+    expect(mapSpanLabel('Value Date')).toEqual({ type: 'artefact_detail', field: 'value_date' });
+    expect(mapSpanLabel('Ccy')).toBeNull();
+    expect(mapSpanLabel('Ccy', { Ccy: 'artefact_detail.currency' })).toEqual({ type: 'artefact_detail', field: 'currency' });
+  });
+});
+
+describe('parseLabelMap', () => {
+  it('reads a JSON object of labels and rejects anything else', () => {
+    expect(parseLabelMap('')).toEqual({});
+    expect(parseLabelMap(undefined)).toEqual({});
+    expect(parseLabelMap('{"Ccy": "artefact_detail.currency"}')).toEqual({ Ccy: 'artefact_detail.currency' });
+    expect(() => parseLabelMap('{"Ccy": 1}')).toThrow(/label map/);
+    expect(() => parseLabelMap('[1]')).toThrow(/label map/);
+    expect(() => parseLabelMap('{oops')).toThrow(/label map/);
+  });
+});
+
+describe('importAnnotations of Label Studio tasks', () => {
+  it('converts text labels, choices and the sender textarea into a prediction', () => {
+    const { responses, errors } = importAnnotations(JSON.stringify([TEXT_TASK]));
+
+    expect(errors).toEqual([]);
+    expect(responses).toHaveLength(1);
+    const [response] = responses;
+    expect(response.request_id).toBe('label-studio-7');
+    expect(response.email.header.subject).toBe('Cancel');
+    expect(response.email.body).toEqual({ content: TEXT_TASK.data.text, document_type: 'text' });
+    expect(response.intent_parser_result.model_info.name).toBe(IMPORT_MODEL_NAMES.labelStudio);
+
+    const [prediction] = response.intent_parser_result.predictions;
+    expect(prediction).toMatchObject({
+      intent: 'request_cancellation',
+      action: 'cancel',
+      sender: 'Jane Smith',
+      artefact: { type: null, details: { reference: 'TRD-123' } }
+    });
+    expect(prediction.evidence_spans).toEqual([
+      { type: 'intent', source: 'email_body', start: 7, end: 19, text: 'cancel trade' },
+      { type: 'artefact_detail', field: 'reference', source: 'email_body', start: 20, end: 27, text: 'TRD-123' }
+    ]);
+  });
+
+  it('turns HyperText regions into XPaths with relative offsets', () => {
+    const { responses, errors } = importAnnotations(JSON.stringify([HTML_TASK]));
+
+    expect(errors).toEqual([]);
+    expect(responses[0].email.body.document_type).toBe('html');
+    expect(responses[0].intent_parser_result.predictions[0].evidence_spans).toEqual([
+      { type: 'intent', source: 'email_body', xpath: '/html/body/p[2]', relative_start: 7, relative_end: 18, text: 'amend trade' },
+      { type: 'artefact_detail', field: 'reference', source: 'email_body', xpath: '/html/body/p[2]/b', relative_start: 0, relative_end: 7, text: 'TRD-456' }
+    ]);
+  });
+
+  it('gives each chosen intent a prediction and reports unmapped labels', () => {
+    const task = structuredClone(TEXT_TASK);
+    task.annotations[0].result[1].value.labels = ['Ticket'];
+    task.annotations[0].result[2].value.choices = ['request_cancellation', 'request_update'];
+
+    const { responses, errors } = importAnnotations(JSON.stringify([task]));
+    const predictions = responses[0].intent_parser_result.predictions;
+
+    expect(predictions.map(prediction => [prediction.intent, prediction.evidence_spans.length])).toEqual([
+      ['request_cancellation', 1],
+      ['request_update', 0]
+    ]);
+    expect(errors.map(({ error }) => error)).toEqual([
+      'Span "Ticket" "TRD-123": the label does not map to an evidence span type',
+      '2 intents were chosen; the evidence is attached to the first'
+    ]);
+  });
+});
+
+describe('importAnnotations of legacy span records', () => {
+  const record = {
+    id: 'legacy-42',
+    subject: 'Cancel TRD-123',
+    text: 'Please cancel trade TRD-123.',
+    intent: 'request_cancellation',
+    spans: [
+      { start: 7, end: 19, label: 'intent' },
+      { start: 20, end: 27, label: 'Ticket', text: 'TRD-123' },
+      { start: 7, end: 14, label: 'reference', text: 'TRD-123', source: 'email_subject' }
+    ]
+  };
+
+  it('places body and subject spans and maps labels with the label map', () => {
+    const { responses, errors } = importAnnotations(JSON.stringify(record), { labelMap: { Ticket: 'artefact_detail.reference' } });
+
+    expect(errors).toEqual([]);
+    expect(responses[0].request_id).toBe('legacy-42');
+    expect(responses[0].intent_parser_result.model_info.name).toBe(IMPORT_MODEL_NAMES.spans);
+    expect(responses[0].intent_parser_result.predictions[0].evidence_spans).toEqual([
+      { type: 'intent', source: 'email_body', start: 7, end: 19, text: 'cancel trade' },
+      { type: 'artefact_detail', field: 'reference', source: 'email_body', start: 20, end: 27, text: 'TRD-123' },
+      { type: 'artefact_detail', field: 'reference', source: 'email_subject', start: 7, end: 14, text: 'TRD-123' }
+    ]);
+  });
+
+  it('reports labels missing from the label map, on the line of their record', () => {
+    const { responses, errors } = importAnnotations(toJsonl({ text: 'x', spans: [] }, record));
+
+    expect(responses).toHaveLength(1);
+    expect(errors).toEqual([
+      { line: 1, error: 'Nothing in the record could be mapped to a prediction' },
+      { line: 2, error: 'Span "Ticket" "TRD-123": the label does not map to an evidence span type' }
+    ]);
+  });
+
+  it('reads spaCy pairs, taking intents from the categories scoring 0.5 or more', () => {
+    const { responses, errors } = importAnnotations(toJsonl(
+      ['Pay USD 500 by Friday', { entities: [[4, 7, 'artefact_detail.currency'], [8, 11, 'Amount']], cats: { request_payment: 0.9, other: 0.1 } }]
+    ));
+
+    expect(errors).toEqual([]);
+    const [prediction] = responses[0].intent_parser_result.predictions;
+    expect(prediction.intent).toBe('request_payment');
+    expect(prediction.artefact.details).toEqual({ currency: 'USD', amount: '500' });
+    expect(prediction.evidence_spans.map(span => [span.start, span.end, span.text])).toEqual([[4, 7, 'USD'], [8, 11, '500']]);
+  });
+
+  it('finds the annotated text when the offsets do not cover it', () => {
+    const { responses } = importAnnotations(JSON.stringify({ text: 'Ref: TRD-9 please', spans: [{ start: 0, end: 5, label: 'reference', text: 'TRD-9' }] }));
+
+    expect(responses[0].intent_parser_result.predictions[0].evidence_spans[0]).toMatchObject({ start: 5, end: 10, text: 'TRD-9' });
+  });
+});
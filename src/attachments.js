@@ -0,0 +1,123 @@
+// attachments.js - Normalizes email attachments and lays out their extracted text and tables
+
+// Separators used when tables are flattened to text, so that spans can cite cells by offset
+const CELL_SEPARATOR = '\t';
+const ROW_SEPARATOR = '\n';
+const BLOCK_SEPARATOR = '\n\n';
+
+/**
+ * Checks whether an evidence span cites an attachment
+ * @param {Object} span - The evidence span
+ * @returns {boolean} - True if the span's offsets refer to an attachment's text
+ */
+export const isAttachmentSpan = (span) => span?.source === 'attachment';
+
+/**
+ * Lists the attachments of an API response, giving each an attachment_id and a
+ * display name even when the response leaves them out
+ * @param {Object} apiResponse - The NLP API response
+ * @returns {Array} - The attachments, with attachment_id and filename always set
+ */
+export const getAttachments = (apiResponse) => {
+  const attachments = apiResponse?.email?.attachments;
+  if (!Array.isArray(attachments)) return [];
+
+  return attachments.filter(Boolean).map((attachment, index) => ({
+    ...attachment,
+    attachment_id: attachment.attachment_id || `attachment-${index}`,
+    filename: attachment.filename || `Attachment ${index + 1}`
+  }));
+};
+
+/**
+ * Reads a table's rows as arrays of cell strings. An empty row keeps its place, and its
+ * row separator in the layout text, as a row of one empty cell.
+ * @param {Object|Array} table - A table, either { name, rows } or an array of rows
+ * @returns {Array} - Array of rows, each an array of at least one cell text
+ */
+const getTableRows = (table) => {
+  const rows = Array.isArray(table) ? table : table?.rows;
+  if (!Array.isArray(rows)) return [];
+
+  return rows.map(row => {
+    const cells = (Array.isArray(row) ? row : [row]).map(cell => (cell === null || cell === undefined ? '' : String(cell)));
+    return cells.length > 0 ? cells : [''];
+  });
+};
+
+/**
+ * Lays out an attachment as a single text: the extracted text followed by each
+ * table, with cells separated by tabs and rows by newlines. Evidence spans with
+ * source 'attachment' give start/end offsets into this text. Every character
+ * belongs to exactly one block or cell range, so the rendered attachment has the
+ * same text content as the layout.
+ * @param {Object} attachment - The attachment, with extracted_text and/or tables
+ * @returns {Object} - { text, blocks } where blocks are { type: 'text', start, end } or
+ *   { type: 'table', name, start, end, rows } and rows hold { start, end, separatorEnd } cells
+ */
+export const getAttachmentLayout = (attachment) => {
+  let text = '';
+  const blocks = [];
+
+  const appendBlockSeparator = () => {
+    if (blocks.length === 0) return;
+    text += BLOCK_SEPARATOR;
+    blocks[blocks.length - 1].end = text.length;
+  };
+
+  if (typeof attachment?.extracted_text === 'string' && attachment.extracted_text) {
+    blocks.push({ type: 'text', start: 0, end: attachment.extracted_text.length });
+    text = attachment.extracted_text;
+  }
+
+  (Array.isArray(attachment?.tables) ? attachment.tables : []).forEach((table, tableIndex) => {
+    const tableRows = getTableRows(table);
+    if (tableRows.length === 0) return;
+
+    // Separators between blocks are rendered as part of the preceding block
+    appendBlockSeparator();
+
+    const block = { type: 'table', name: table?.name || `Table ${tableIndex + 1}`, start: text.length, end: 0, rows: [] };
+    tableRows.forEach((cells, rowIndex) => {
+      const row = cells.map((cell, cellIndex) => {
+        const start = text.length;
+        text += cell;
+        const end = text.length;
+
+        const lastCell = cellIndex === cells.length - 1;
+        const lastRow = rowIndex === tableRows.length - 1;
+        if (!lastCell) text += CELL_SEPARATOR;
+        else if (!lastRow) text += ROW_SEPARATOR;
+
+        return { start, end, separatorEnd: text.length };
+      });
+      block.rows.push(row);
+    });
+    block.end = text.length;
+    blocks.push(block);
+  });
+
+  // Block separators after a table belong to its last cell
+  blocks.forEach((block, index) => {
+    const next = blocks[index + 1];
+    if (block.type !== 'table' || !next) return;
+
+    const lastRow = block.rows[block.rows.length - 1];
+    lastRow[lastRow.length - 1].separatorEnd = next.start;
+    block.end = next.start;
+  });
+
+  return { text, blocks };
+};
+
+/**
+ * Formats an attachment size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string|null} - e.g. '14 KB', or null if the size is unknown
+ */
+export const formatFileSize = (bytes) => {
+  if (typeof bytes !== 'number' || Number.isNaN(bytes) || bytes < 0) return null;
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,90 @@
+// confidence.js - Reads optional model confidence scores from predictions and evidence spans
+
+// Scores below this are flagged as low confidence unless the component is given another threshold
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.5;
+
+// Highlights never fade below this opacity, so that the cited text stays readable
+const MIN_HIGHLIGHT_OPACITY = 0.45;
+
+/**
+ * Checks that a confidence score is a usable number between 0 and 1
+ * @param {*} confidence - The value to check
+ * @returns {boolean} - True if the value is a confidence score
+ */
+const isScore = (confidence) => typeof confidence === 'number' && confidence >= 0 && confidence <= 1;
+
+/**
+ * Reads the confidence of one prediction field. Field scores live in the prediction's
+ * field_confidence map: { intent, action, time_of_action, sender, artefact_type } hold
+ * numbers, { artefact_detail, related_artefact } map field keys to numbers.
+ * @param {Object} prediction - The prediction
+ * @param {string} field - The field, e.g. 'intent' or 'artefact_detail'
+ * @param {string} name - Field key, for artefact_detail and related_artefact
+ * @returns {number|null} - The confidence, or null if the model gave none
+ */
+export const getFieldConfidence = (prediction, field, name = null) => {
+  const scores = prediction?.field_confidence;
+  const confidence = name !== null ? scores?.[field]?.[name] : scores?.[field];
+  return isScore(confidence) ? confidence : null;
+};
+
+/**
+ * Reads the confidence of an evidence span
+ * @param {Object} span - The evidence span
+ * @returns {number|null} - The confidence, or null if the model gave none
+ */
+export const getSpanConfidence = (span) => (isScore(span?.confidence) ? span.confidence : null);
+
+/**
+ * Reads the confidence of a whole prediction, falling back to its least confident
+ * field when the model gave no overall score
+ * @param {Object} prediction - The prediction
+ * @returns {number|null} - The confidence, or null if the model gave none
+ */
+export const getPredictionConfidence = (prediction) => {
+  if (isScore(prediction?.confidence)) return prediction.confidence;
+
+  const scores = Object.values(prediction?.field_confidence || {})
+    .flatMap(value => (value && typeof value === 'object' ? Object.values(value) : [value]))
+    .filter(isScore);
+  return scores.length > 0 ? Math.min(...scores) : null;
+};
+
+/**
+ * Checks whether a confidence score falls below the review threshold
+ * @param {number|null} confidence - The confidence score
+ * @param {number} threshold - The threshold
+ * @returns {boolean} - True if the score is known and below the threshold
+ */
+export const isLowConfidence = (confidence, threshold = DEFAULT_CONFIDENCE_THRESHOLD) => (
+  confidence !== null && confidence !== undefined && confidence < threshold
+);
+
+/**
+ * Formats a confidence score as a percentage
+ * @param {number} confidence - The confidence score
+ * @returns {string} - e.g. '87%'
+ */
+export const formatConfidence = (confidence) => `${Math.round(confidence * 100)}%`;
+
+/**
+ * Maps a span's confidence to the opacity of its highlight
+ * @param {number|null} confidence - The span's confidence score
+ * @returns {number|null} - The opacity, or null to leave the highlight as it is
+ */
+export const getConfidenceOpacity = (confidence) => (
+  isScore(confidence) ? MIN_HIGHLIGHT_OPACITY + (1 - MIN_HIGHLIGHT_OPACITY) * confidence : null
+);
+
+/**
+ * Orders predictions so the least confident come first. Predictions without a score
+ * keep their order after the scored ones.
+ * @param {Array} predictions - The predictions
+ * @returns {Array} - A sorted copy
+ */
+export const sortByConfidence = (predictions = []) => [...predictions].sort((a, b) => {
+  const confidenceA = getPredictionConfidence(a);
+  const confidenceB = getPredictionConfidence(b);
+  if (confidenceA === null || confidenceB === null) return (confidenceA === null) - (confidenceB === null);
+  return confidenceA - confidenceB;
+});
@@ -0,0 +1,66 @@
+// correctionDrafts.js - Keeps pending corrections in local storage, per request_id, until they are submitted
+
+// Drafts are stored under this prefix followed by the request_id
+const DRAFT_STORAGE_PREFIX = 'email-intent-visualizer:corrections:';
+
+/**
+ * Builds the storage key of an email's draft
+ * @param {string} requestId - The API response's request_id
+ * @returns {string} - The storage key
+ */
+const getDraftKey = (requestId) => `${DRAFT_STORAGE_PREFIX}${requestId}`;
+
+/**
+ * Saves the pending corrections of an email, or removes its draft when there are none
+ * @param {string} requestId - The API response's request_id
+ * @param {Array} corrections - The pending corrections
+ * @param {Storage} storage - Where to save them
+ */
+export const saveCorrectionDraft = (requestId, corrections, storage = globalThis.localStorage) => {
+  if (!requestId || !storage) return;
+
+  try {
+    if (corrections.length === 0) {
+      storage.removeItem(getDraftKey(requestId));
+      return;
+    }
+
+    storage.setItem(getDraftKey(requestId), JSON.stringify({
+      request_id: requestId,
+      saved_at: new Date().toISOString(),
+      corrections
+    }));
+  } catch (error) {
+    console.error('Error saving pending corrections:', error);
+  }
+};
+
+/**
+ * Reads the saved draft of an email. Corrections to predictions the response no
+ * longer has (e.g. after the email was parsed again) are left out.
+ * @param {Object} apiResponse - The API response being reviewed
+ * @param {Storage} storage - Where drafts are saved
+ * @returns {Object|null} - { corrections, savedAt, dropped } where dropped counts the
+ *   corrections left out, or null if the email has no draft
+ */
+export const loadCorrectionDraft = (apiResponse, storage = globalThis.localStorage) => {
+  const requestId = apiResponse?.request_id;
+  if (!requestId || !storage) return null;
+
+  try {
+    const draft = JSON.parse(storage.getItem(getDraftKey(requestId)) || 'null');
+    if (!draft || !Array.isArray(draft.corrections) || draft.corrections.length === 0) return null;
+
+    const predictionIds = new Set([
+      ...(apiResponse.intent_parser_result?.predictions || []).map(prediction => prediction.prediction_id),
+      ...draft.corrections.filter(correction => correction.kind === 'add_prediction').map(correction => correction.prediction_id)
+    ]);
+    const corrections = draft.corrections.filter(correction => predictionIds.has(correction.prediction_id));
+    if (corrections.length === 0) return null;
+
+    return { corrections, savedAt: draft.saved_at || null, dropped: draft.corrections.length - corrections.length };
+  } catch {
+    return null;
+  }
+};
+
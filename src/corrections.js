@@ -0,0 +1,242 @@
+// corrections.js - Pending corrections recorded against the predictions of an API response
+
+let correctionCounter = 0;
+
+// Generate an identifier that is unique within the session
+const nextId = (prefix) => `${prefix}-${Date.now()}-${++correctionCounter}`;
+
+/**
+ * Gives every evidence span a stable span_id so corrections can refer to it
+ * @param {Array} predictions - Predictions from intent_parser_result
+ * @returns {Array} - Copies of the predictions whose spans carry a span_id
+ */
+export const assignSpanIds = (predictions = []) => predictions.map((prediction, predictionIndex) => ({
+  ...prediction,
+  evidence_spans: (prediction.evidence_spans || []).map((span, index) => ({
+    ...span,
+    span_id: span.span_id || `${prediction.prediction_id || predictionIndex}:${index}`
+  }))
+}));
+
+/**
+ * Creates a span_id for a span added by the user
+ * @param {string} predictionId - The prediction the span belongs to
+ * @returns {string} - The new span_id
+ */
+export const createSpanId = (predictionId) => `${predictionId}:${nextId('new')}`;
+
+/**
+ * Creates a correction for an evidence span. A missing original means the span was
+ * added, a missing corrected value means it was deleted.
+ * @param {Object} params - Correction parameters
+ * @param {string} params.predictionId - The prediction the span belongs to
+ * @param {Object|null} params.original - The span before the change
+ * @param {Object|null} params.corrected - The span after the change
+ * @returns {Object} - The correction record
+ */
+export const createSpanCorrection = ({ predictionId, original = null, corrected = null }) => ({
+  correction_id: nextId('correction'),
+  kind: 'span',
+  prediction_id: predictionId,
+  span_id: (corrected || original).span_id,
+  original,
+  corrected,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Creates a correction for a prediction label. For artefact details and related artefact
+ * fields a missing original means the field was added and a missing corrected value means
+ * it was removed.
+ * @param {Object} params - Correction parameters
+ * @param {string} params.predictionId - The prediction being relabelled
+ * @param {string} params.field - 'intent', 'action', 'time_of_action', 'sender', 'artefact_type',
+ *   'artefact_detail' or 'related_artefact'
+ * @param {string} params.name - Field key, for artefact_detail and related_artefact corrections
+ * @param {*} params.original - The value before the change
+ * @param {*} params.corrected - The value after the change
+ * @returns {Object} - The correction record
+ */
+export const createLabelCorrection = ({ predictionId, field, name = null, original = null, corrected = null }) => ({
+  correction_id: nextId('correction'),
+  kind: 'label',
+  prediction_id: predictionId,
+  field,
+  name,
+  original,
+  corrected,
+  timestamp: new Date().toISOString()
+});
+
+// Apply a label correction to a single prediction
+const applyLabelCorrection = (prediction, { field, name, corrected }) => {
+  switch (field) {
+    case 'artefact_type':
+      return { ...prediction, artefact: { ...prediction.artefact, type: corrected } };
+
+    case 'artefact_detail': {
+      const details = { ...(prediction.artefact?.details || {}) };
+      if (corrected === null) {
+        delete details[name];
+      } else {
+        details[name] = corrected;
+      }
+      return { ...prediction, artefact: { ...prediction.artefact, details } };
+    }
+
+    case 'related_artefact': {
+      const related = { ...(prediction.related_artefact || {}) };
+      if (corrected === null) {
+        delete related[name];
+      } else {
+        related[name] = corrected;
+      }
+      return { ...prediction, related_artefact: related };
+    }
+
+    default:
+      return { ...prediction, [field]: corrected };
+  }
+};
+
+/**
+ * Creates an identifier for a prediction added by the user
+ * @returns {string} - The new prediction_id
+ */
+export const createPredictionId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : nextId('prediction')
+);
+
+/**
+ * Creates a correction adding a prediction the model missed
+ * @param {Object} prediction - The new prediction, including its prediction_id
+ * @returns {Object} - The correction record
+ */
+export const createAddPredictionCorrection = (prediction) => ({
+  correction_id: nextId('correction'),
+  kind: 'add_prediction',
+  prediction_id: prediction.prediction_id,
+  prediction: { ...prediction, evidence_spans: prediction.evidence_spans || [], user_added: true },
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Creates a correction marking a prediction as a false positive, or restoring it
+ * @param {Object} params - Correction parameters
+ * @param {string} params.predictionId - The prediction being rejected or restored
+ * @param {boolean} params.rejected - Whether the prediction is rejected after the change
+ * @returns {Object} - The correction record
+ */
+export const createRejectionCorrection = ({ predictionId, rejected = true }) => ({
+  correction_id: nextId('correction'),
+  kind: 'rejection',
+  prediction_id: predictionId,
+  rejected,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Describes a correction for the undo and redo buttons
+ * @param {Object} correction - The correction record
+ * @returns {string} - e.g. 'change intent', 'delete evidence span' or 'reject prediction'
+ */
+export const describeCorrection = (correction) => {
+  switch (correction?.kind) {
+    case 'span':
+      if (!correction.original) return 'add evidence span';
+      return correction.corrected ? 'move evidence span' : 'delete evidence span';
+
+    case 'label': {
+      const field = correction.name ? `${correction.field.replace(/_/g, ' ')} "${correction.name}"` : correction.field.replace(/_/g, ' ');
+      if (correction.original === null) return `add ${field}`;
+      return correction.corrected === null ? `remove ${field}` : `change ${field}`;
+    }
+
+    case 'add_prediction':
+      return 'add prediction';
+
+    case 'rejection':
+      return correction.rejected ? 'reject prediction' : 'restore prediction';
+
+    default:
+      return 'edit';
+  }
+};
+
+// Apply a span correction to a list of spans
+const applySpanCorrection = (spans, { span_id, corrected }) => {
+  if (!corrected) return spans.filter(span => span.span_id !== span_id);
+
+  if (spans.some(span => span.span_id === span_id)) {
+    return spans.map(span => (span.span_id === span_id ? corrected : span));
+  }
+
+  return [...spans, corrected];
+};
+
+// Apply a single correction to the prediction list
+const applyCorrection = (predictions, correction) => {
+  switch (correction.kind) {
+    case 'span':
+      return predictions.map(prediction => (
+        prediction.prediction_id === correction.prediction_id
+          ? { ...prediction, evidence_spans: applySpanCorrection(prediction.evidence_spans || [], correction) }
+          : prediction
+      ));
+
+    case 'label':
+      return predictions.map(prediction => (
+        prediction.prediction_id === correction.prediction_id
+          ? applyLabelCorrection(prediction, correction)
+          : prediction
+      ));
+
+    case 'add_prediction':
+      return [...predictions, correction.prediction];
+
+    case 'rejection':
+      return predictions.map(prediction => (
+        prediction.prediction_id === correction.prediction_id
+          ? { ...prediction, rejected: correction.rejected }
+          : prediction
+      ));
+
+    default:
+      console.warn('Unknown correction kind:', correction.kind);
+      return predictions;
+  }
+};
+
+/**
+ * Applies pending corrections, in the order they were made, to a prediction list
+ * @param {Array} predictions - Predictions with span_ids assigned
+ * @param {Array} corrections - Pending correction records
+ * @returns {Array} - The corrected predictions
+ */
+export const applyCorrections = (predictions = [], corrections = []) => (
+  corrections.reduce(applyCorrection, predictions)
+);
+
+/**
+ * Removes the visualizer's span_id bookkeeping from spans before they leave the component
+ * @param {Array} spans - Evidence spans
+ * @returns {Array} - Copies of the spans without span_id
+ */
+export const stripSpanIds = (spans = []) => spans.map(span => {
+  const copy = { ...span };
+  delete copy.span_id;
+  return copy;
+});
+
+/**
+ * Converts a working prediction back to the API schema, dropping the visualizer's
+ * bookkeeping (span_id, rejected, user_added)
+ * @param {Object} prediction - A prediction from the corrected prediction list
+ * @returns {Object} - The prediction in API response form
+ */
+export const toApiPrediction = (prediction) => {
+  const copy = { ...prediction, evidence_spans: stripSpanIds(prediction.evidence_spans) };
+  delete copy.rejected;
+  delete copy.user_added;
+  return copy;
+};
@@ -0,0 +1,286 @@
+// datasetExport.js - Merges corrections into gold responses and serialises them as training data
+
+import { assignSpanIds, applyCorrections, toApiPrediction } from './corrections';
+import { anchorHtmlSpan, anchorTextSpan, ANCHOR_STRATEGIES } from './spanAnchoring';
+import { getTextOffset, trimTextRange } from './textRange';
+import { isBodySpan } from './emailHeader';
+import { isHtmlBody } from './emailThread';
+
+// Export formats offered to the user
+export const EXPORT_FORMATS = {
+  jsonl: { label: 'JSONL (API schema)', extension: 'jsonl', mimeType: 'application/x-ndjson' },
+  spacy: { label: 'spaCy (text, entities)', extension: 'spacy.jsonl', mimeType: 'application/x-ndjson' },
+  conll: { label: 'CoNLL (BIO tags)', extension: 'conll', mimeType: 'text/plain' }
+};
+
+// Elements that start a new line in the text projection of an HTML body
+const BLOCK_ELEMENTS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE',
+  'SECTION', 'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'UL'
+]);
+
+// Elements whose text is not part of the readable email
+const HIDDEN_ELEMENTS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'TITLE']);
+
+// Tokens for BIO tagging: runs of letters and digits, or single other characters
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+
+/**
+ * Merges all corrections into an API response: predictions carry their corrected
+ * labels and evidence, rejected predictions are left out and added ones included
+ * @param {Object} apiResponse - The API response as the model returned it
+ * @param {Array} corrections - Every correction made to it
+ * @returns {Object} - The gold response, in the API schema
+ */
+export const buildGoldResponse = (apiResponse, corrections = []) => {
+  const predictions = applyCorrections(assignSpanIds(apiResponse?.intent_parser_result?.predictions || []), corrections);
+
+  return {
+    ...apiResponse,
+    intent_parser_result: {
+      ...apiResponse?.intent_parser_result,
+      predictions: predictions.filter(prediction => !prediction.rejected).map(toApiPrediction)
+    }
+  };
+};
+
+/**
+ * Projects an HTML body onto plain text: block elements and <br> start new lines,
+ * runs of whitespace collapse to one space and hidden elements are dropped. Keeps a
+ * map from offsets in the body's textContent, which XPath spans resolve to, to
+ * offsets in the projected text.
+ * @param {Element} body - The parsed <body>
+ * @returns {Object} - { text, offsets } where offsets[i] is the projected offset of textContent offset i
+ */
+const projectHtml = (body) => {
+  let text = '';
+  const offsets = [];
+  let rawOffset = 0;
+
+  const breakLine = () => {
+    if (text.endsWith(' ')) text = `${text.slice(0, -1)}\n`;
+    else if (text && !text.endsWith('\n')) text += '\n';
+  };
+
+  const visit = (node, hidden) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const value = node.nodeValue;
+      for (let index = 0; index < value.length; index++) {
+        offsets[rawOffset++] = text.length;
+        if (hidden) continue;
+
+        if (!/\s/.test(value[index])) text += value[index];
+        else if (text && !/[ \n]$/.test(text)) text += ' ';
+      }
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const block = BLOCK_ELEMENTS.has(node.tagName);
+    if (block) breakLine();
+    node.childNodes.forEach(child => visit(child, hidden || HIDDEN_ELEMENTS.has(node.tagName)));
+    if (block) breakLine();
+  };
+
+  visit(body, false);
+  offsets[rawOffset] = text.length;
+  return { text: text.trimEnd(), offsets };
+};
+
+/**
+ * Builds the plain text of an email body and a function placing body evidence spans
+ * in it. Text bodies are used as they are; HTML bodies are projected onto text and
+ * their XPath spans mapped to global character offsets.
+ * @param {Object} apiResponse - The API response
+ * @returns {Object} - { text, locateSpan } where locateSpan(span) returns { start, end } in
+ *   the text, or null if the span cannot be placed
+ */
+export const getTextProjection = (apiResponse) => {
+  const body = apiResponse?.email?.body;
+  const content = body?.content || '';
+
+  if (!isHtmlBody(body)) {
+    return {
+      text: content,
+      locateSpan: (span) => {
+        const anchor = anchorTextSpan(span, content);
+        return anchor.strategy === ANCHOR_STRATEGIES.UNANCHORED ? null : { start: anchor.start, end: anchor.end };
+      }
+    };
+  }
+
+  const root = new DOMParser().parseFromString(content, 'text/html').body;
+  const { text, offsets } = projectHtml(root);
+  const toText = (offset) => Math.min(offsets[offset] ?? text.length, text.length);
+
+  return {
+    text,
+    locateSpan: (span) => {
+      const anchor = anchorHtmlSpan(span, root);
+      if (!anchor.node) return null;
+
+      const nodeOffset = getTextOffset(root, anchor.node, 0) || 0;
+      const range = trimTextRange(text, toText(nodeOffset + anchor.start), toText(nodeOffset + anchor.end));
+      return range.end > range.start ? range : null;
+    }
+  };
+};
+
+/**
+ * Names the entity label of an evidence span, e.g. 'intent' or 'artefact_detail.currency'
+ * @param {Object} span - The evidence span
+ * @returns {string} - The label
+ */
+export const getEntityLabel = (span) => (span.field ? `${span.type}.${span.field}` : span.type);
+
+/**
+ * Places a gold response's body evidence on its plain text as labelled entities.
+ * Evidence cited by several predictions becomes one entity; spans outside the body
+ * (subject, header, attachments, thread) and spans overlapping an earlier, longer
+ * entity are left out and reported.
+ * @param {Object} goldResponse - A gold response, from buildGoldResponse
+ * @returns {Object} - { text, entities, intents, skipped } where entities are { start, end, label }
+ *   sorted by start, intents the predicted intents and skipped { prediction_id, span, reason }
+ */
+export const getGoldEntities = (goldResponse) => {
+  const { text, locateSpan } = getTextProjection(goldResponse);
+  const predictions = goldResponse?.intent_parser_result?.predictions || [];
+  const candidates = [];
+  const skipped = [];
+
+  predictions.forEach(prediction => {
+    (prediction.evidence_spans || []).forEach(span => {
+      if (!isBodySpan(span)) {
+        skipped.push({ prediction_id: prediction.prediction_id, span, reason: `cites the ${span.source.replace(/_/g, ' ')}, not the body text` });
+        return;
+      }
+
+      const range = locateSpan(span);
+      if (!range) skipped.push({ prediction_id: prediction.prediction_id, span, reason: 'could not be located in the body text' });
+      else candidates.push({ ...range, label: getEntityLabel(span), prediction_id: prediction.prediction_id, span });
+    });
+  });
+
+  // Longer entities win overlaps, as neither spaCy entities nor BIO tags can nest
+  const entities = [];
+  [...candidates].sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start).forEach(candidate => {
+    const duplicate = entities.some(entity => entity.start === candidate.start && entity.end === candidate.end && entity.label === candidate.label);
+    if (duplicate) return;
+
+    const overlap = entities.find(entity => candidate.start < entity.end && entity.start < candidate.end);
+    if (overlap) {
+      skipped.push({ prediction_id: candidate.prediction_id, span: candidate.span, reason: `overlaps the ${overlap.label} entity "${text.slice(overlap.start, overlap.end)}"` });
+      return;
+    }
+    entities.push({ start: candidate.start, end: candidate.end, label: candidate.label });
+  });
+  entities.sort((a, b) => a.start - b.start);
+
+  return { text, entities, intents: [...new Set(predictions.map(prediction => prediction.intent).filter(Boolean))], skipped };
+};
+
+/**
+ * Serialises gold responses as JSONL, one response per line in the API schema
+ * @param {Array} goldResponses - Gold responses
+ * @returns {string} - The JSONL content
+ */
+export const toJsonl = (goldResponses) => goldResponses.map(response => JSON.stringify(response)).join('\n');
+
+/**
+ * Serialises gold responses as spaCy-style training examples, one JSON line per email:
+ * [text, { entities: [[start, end, label], ...], cats: { intent: 1, ... } }]
+ * @param {Array} goldResponses - Gold responses
+ * @returns {Object} - { content, skipped } where skipped lists { request_id, span, reason }
+ */
+export const toSpacyJsonl = (goldResponses) => {
+  const skipped = [];
+  const lines = goldResponses.map(response => {
+    const gold = getGoldEntities(response);
+    skipped.push(...gold.skipped.map(item => ({ request_id: response.request_id, ...item })));
+
+    return JSON.stringify([gold.text, {
+      entities: gold.entities.map(({ start, end, label }) => [start, end, label]),
+      cats: Object.fromEntries(gold.intents.map(intent => [intent, 1]))
+    }]);
+  });
+
+  return { content: lines.join('\n'), skipped };
+};
+
+/**
+ * Serialises gold responses as token-level BIO tags in CoNLL layout: one token and
+ * its tag per line, a blank line after each line of the email text, and each email
+ * introduced by a -DOCSTART- line carrying its request_id
+ * @param {Array} goldResponses - Gold responses
+ * @returns {Object} - { content, skipped } where skipped lists { request_id, span, reason }
+ */
+export const toConll = (goldResponses) => {
+  const skipped = [];
+  const documents = goldResponses.map(response => {
+    const gold = getGoldEntities(response);
+    skipped.push(...gold.skipped.map(item => ({ request_id: response.request_id, ...item })));
+
+    const sentences = [];
+    let tokens = [];
+    let previousEntity = null;
+    let lineStart = 0;
+    gold.text.split('\n').forEach(line => {
+      for (const match of line.matchAll(TOKEN_PATTERN)) {
+        const start = lineStart + match.index;
+        const end = start + match[0].length;
+        const entity = gold.entities.find(item => start < item.end && item.start < end);
+
+        let tag = 'O';
+        if (entity) tag = `${entity === previousEntity ? 'I' : 'B'}-${entity.label}`;
+        tokens.push(`${match[0]}\t${tag}`);
+        previousEntity = entity || null;
+      }
+      if (tokens.length > 0) sentences.push(tokens.join('\n'));
+      // Each line is a sentence of its own, so an entity running onto the next line starts it with B-
+      tokens = [];
+      previousEntity = null;
+      lineStart += line.length + 1;
+    });
+
+    return [`-DOCSTART-\t${response.request_id || ''}`.trimEnd(), ...sentences].join('\n\n');
+  });
+
+  return { content: documents.length > 0 ? `${documents.join('\n\n')}\n` : '', skipped };
+};
+
+/**
+ * Serialises gold responses in one of the EXPORT_FORMATS
+ * @param {Array} goldResponses - Gold responses
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {Object} - { content, filename, mimeType, skipped }
+ */
+export const exportDataset = (goldResponses, format) => {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  let result;
+  if (format === 'spacy') result = toSpacyJsonl(goldResponses);
+  else if (format === 'conll') result = toConll(goldResponses);
+  else result = { content: toJsonl(goldResponses), skipped: [] };
+
+  const date = new Date().toISOString().slice(0, 10);
+  return { ...result, filename: `gold-${date}.${extension}`, mimeType };
+};
+
+/**
+ * Downloads text as a file from the browser, without a server
+ * @param {string} content - The file contents
+ * @param {string} filename - Name to save the file as
+ * @param {string} mimeType - Type of the contents
+ */
+export const downloadFile = (content, filename, mimeType = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser time to start the download before the URL is released
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
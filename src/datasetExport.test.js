@@ -0,0 +1,83 @@
+// datasetExport.test.js - Checks how gold responses are placed on plain text and serialised as training data
+
+import { describe, it, expect } from 'vitest';
+import { getTextProjection, getGoldEntities, toSpacyJsonl, toConll } from './datasetExport';
+
+// A gold response whose single prediction cites the given spans
+const goldResponse = (body, spans, intent = 'request_payment') => ({
+  request_id: 'req-1',
+  email: { header: { subject: 'Payment due' }, body },
+  intent_parser_result: {
+    predictions: [{ prediction_id: 'p1', intent, evidence_spans: spans }]
+  }
+});
+
+const textBody = (content) => ({ content, document_type: 'text' });
+
+describe('getTextProjection', () => {
+  it('projects an HTML body onto lines of text and maps XPath offsets into it', () => {
+    const { text, locateSpan } = getTextProjection(goldResponse({
+      content: '<html><body><p>Hello   <b>World</b></p><p>Please pay\n  <span>USD 500</span></p><script>x()</script></body></html>',
+      document_type: 'html'
+    }, []));
+
+    expect(text).toBe('Hello World\nPlease pay USD 500');
+    expect(locateSpan({ xpath: '/html/body/p[2]/span', relative_start: 0, relative_end: 7, text: 'USD 500' })).toEqual({ start: 23, end: 30 });
+    expect(locateSpan({ xpath: '/html/body/p[2]', relative_start: 0, relative_end: 10, text: 'Please pay' })).toEqual({ start: 12, end: 22 });
+  });
+
+  it('uses a text body as it is', () => {
+    const { text, locateSpan } = getTextProjection(goldResponse(textBody('Pay USD 500 now'), []));
+
+    expect(text).toBe('Pay USD 500 now');
+    expect(locateSpan({ start: 4, end: 11, text: 'USD 500' })).toEqual({ start: 4, end: 11 });
+  });
+});
+
+describe('getGoldEntities', () => {
+  it('keeps the longer of two overlapping entities and reports the rest', () => {
+    const gold = getGoldEntities(goldResponse(textBody('Please pay USD 500 today'), [
+      { type: 'intent', start: 0, end: 18, text: 'Please pay USD 500' },
+      { type: 'artefact_detail', field: 'amount', start: 15, end: 18, text: '500' },
+      { type: 'artefact_detail', field: 'currency', start: 11, end: 14, text: 'USD', source: 'email_subject' }
+    ]));
+
+    expect(gold.entities).toEqual([{ start: 0, end: 18, label: 'intent' }]);
+    expect(gold.intents).toEqual(['request_payment']);
+    expect(gold.skipped.map(({ span, reason }) => [span.text, reason])).toEqual([
+      ['USD', 'cites the email subject, not the body text'],
+      ['500', 'overlaps the intent entity "Please pay USD 500"']
+    ]);
+  });
+});
+
+describe('toSpacyJsonl', () => {
+  it('writes one [text, { entities, cats }] line per email', () => {
+    const { content, skipped } = toSpacyJsonl([goldResponse(textBody('Pay USD 500'), [
+      { type: 'artefact_detail', field: 'currency', start: 4, end: 7, text: 'USD' }
+    ])]);
+
+    expect(JSON.parse(content)).toEqual(['Pay USD 500', {
+      entities: [[4, 7, 'artefact_detail.currency']],
+      cats: { request_payment: 1 }
+    }]);
+    expect(skipped).toEqual([]);
+  });
+});
+
+describe('toConll', () => {
+  it('tags tokens with BIO labels and starts an entity again on each line', () => {
+    const { content } = toConll([goldResponse(textBody('Please pay\nUSD 500 now'), [
+      { type: 'intent', start: 7, end: 18, text: 'pay\nUSD 500' }
+    ])]);
+
+    expect(content).toBe([
+      '-DOCSTART-\treq-1',
+      '',
+      'Please\tO\npay\tB-intent',
+      '',
+      'USD\tB-intent\n500\tI-intent\nnow\tO',
+      ''
+    ].join('\n'));
+  });
+});
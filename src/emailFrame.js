@@ -0,0 +1,88 @@
+// emailFrame.js - Builds the isolated document that HTML email bodies are rendered in
+
+// Base styles for the frame document. The email's own styles follow these, so they can override them.
+const FRAME_BASE_STYLES = `
+  html {
+    color-scheme: light;
+  }
+
+  body {
+    margin: 0;
+    padding: 16px;
+    overflow-wrap: break-word;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+    font-size: 14px;
+    line-height: 1.5;
+    color: #333;
+  }
+
+  body.edit-mode {
+    background-color: rgba(52, 152, 219, 0.05);
+    cursor: text;
+  }
+
+  body.selection-mode {
+    background-color: rgba(46, 204, 113, 0.1);
+    cursor: text;
+  }
+
+  /* Quoted reply history, collapsed to a single line until expanded */
+  .quoted-history,
+  .quoted-history-continued {
+    color: #666;
+  }
+
+  .quoted-history.collapsed {
+    height: 1.6em;
+    overflow: hidden;
+    cursor: pointer;
+  }
+
+  .quoted-history.collapsed::before {
+    content: '··· Show quoted text';
+    display: block;
+    height: 1.6em;
+    font-size: 13px;
+    color: #3498db;
+  }
+
+  .quoted-history-continued.collapsed {
+    display: none;
+  }
+`;
+
+/**
+ * Wraps sanitized email HTML in a complete document for an isolated frame.
+ * The visualizer's styles go first in <head> so that the email's own <style>
+ * blocks keep working and never leak into (or pick up styles from) the host page.
+ * @param {string} html - Sanitized email HTML, either a whole document or a fragment
+ * @param {string} styles - Additional CSS to inject, e.g. the evidence overlay styles
+ * @returns {string} - The HTML document, for use as an iframe srcdoc
+ */
+export const buildEmailFrameDocument = (html, styles = '') => {
+  const doc = new DOMParser().parseFromString(html || '', 'text/html');
+
+  const charset = doc.createElement('meta');
+  charset.setAttribute('charset', 'utf-8');
+
+  const style = doc.createElement('style');
+  style.textContent = `${FRAME_BASE_STYLES}\n${styles}`;
+
+  doc.head.prepend(charset, style);
+
+  return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+};
+
+/**
+ * Measures the height a frame needs to show its whole document without scrolling
+ * @param {Document} doc - The frame's document
+ * @returns {number} - The content height in pixels
+ */
+export const getFrameContentHeight = (doc) => {
+  if (!doc?.documentElement) return 0;
+
+  return Math.ceil(Math.max(
+    doc.documentElement.getBoundingClientRect().height,
+    doc.body ? doc.body.scrollHeight : 0
+  ));
+};
@@ -0,0 +1,154 @@
+// emailHeader.js - Normalizes email header fields and anchors evidence spans that cite them
+
+import { ANCHOR_STRATEGIES, anchorTextSpan } from './spanAnchoring';
+
+// Span sources that refer to the header rather than the body
+export const HEADER_SPAN_SOURCES = new Set(['email_subject', 'email_header']);
+
+// Header fields holding one or more addresses, in display order
+export const ADDRESS_FIELDS = [
+  { key: 'from', label: 'From' },
+  { key: 'reply_to', label: 'Reply-To' },
+  { key: 'to', label: 'To' },
+  { key: 'cc', label: 'Cc' },
+  { key: 'bcc', label: 'Bcc' }
+];
+
+// Identifiers of the message and the thread it belongs to
+export const MESSAGE_ID_FIELDS = [
+  { key: 'message_id', label: 'Message-ID' },
+  { key: 'thread_id', label: 'Thread' },
+  { key: 'conversation_id', label: 'Conversation' },
+  { key: 'in_reply_to', label: 'In-Reply-To' },
+  { key: 'references', label: 'References' }
+];
+
+/**
+ * Checks whether an evidence span cites the email body (spans without a source do)
+ * @param {Object} span - The evidence span
+ * @returns {boolean} - True if the span's offsets refer to the body
+ */
+export const isBodySpan = (span) => !span?.source || span.source === 'email_body';
+
+/**
+ * Checks whether an evidence span cites the subject or another header field
+ * @param {Object} span - The evidence span
+ * @returns {boolean} - True if the span's offsets refer to a header value
+ */
+export const isHeaderSpan = (span) => HEADER_SPAN_SOURCES.has(span?.source);
+
+/**
+ * Normalizes an address field, which may be a single address, a list of them or
+ * a plain string, to a list of { path, name, email, namePath, emailPath } entries.
+ * The paths identify each value for header evidence spans, e.g. 'to.1.email'.
+ * @param {Object} header - The email header
+ * @param {string} key - The address field, e.g. 'to' or 'reply_to'
+ * @returns {Array} - The addresses, empty if the field is missing
+ */
+export const getAddresses = (header, key) => {
+  const value = header?.[key];
+  if (!value) return [];
+
+  const entries = Array.isArray(value) ? value : [value];
+  const paths = Array.isArray(value) ? entries.map((_, index) => `${key}.${index}`) : [key];
+
+  return entries.map((entry, index) => {
+    const path = paths[index];
+    if (typeof entry === 'string') {
+      return { path, name: null, email: entry.trim() || null, namePath: null, emailPath: path };
+    }
+    return {
+      path,
+      name: entry?.name || null,
+      email: entry?.email || null,
+      namePath: `${path}.name`,
+      emailPath: `${path}.email`
+    };
+  }).filter(address => address.name || address.email);
+};
+
+/**
+ * Formats a header date, returning null instead of "Invalid Date" when the value is
+ * missing or cannot be parsed
+ * @param {string} value - The date string, e.g. the header's received timestamp
+ * @returns {string|null} - The localized date or null
+ */
+export const formatHeaderDate = (value) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toLocaleString();
+};
+
+/**
+ * Reads a message or thread identifier as display text
+ * @param {Object} header - The email header
+ * @param {string} key - One of the MESSAGE_ID_FIELDS keys
+ * @returns {string|null} - The identifier(s), or null if missing
+ */
+export const getMessageId = (header, key) => {
+  const value = header?.[key];
+  if (Array.isArray(value)) return value.length > 0 ? value.join(' ') : null;
+  return value ? String(value) : null;
+};
+
+/**
+ * Reads the header value at a path such as 'subject', 'from.name' or 'to.1.email'
+ * @param {Object} header - The email header
+ * @param {string} path - Dot-separated path into the header
+ * @returns {string|null} - The value, or null if it is missing or not text
+ */
+export const getHeaderValue = (header, path) => {
+  if (!path) return null;
+
+  const value = path.split('.').reduce((node, key) => (node === null || node === undefined ? node : node[key]), header);
+  return typeof value === 'string' ? value : null;
+};
+
+/**
+ * Lists every text value of the header with its path
+ * @param {Object} header - The email header
+ * @param {string} prefix - Path of the value being listed, used when recursing
+ * @returns {Array} - Array of { path, value }
+ */
+const listHeaderValues = (header, prefix = '') => {
+  if (typeof header === 'string') return [{ path: prefix, value: header }];
+  if (!header || typeof header !== 'object') return [];
+
+  return Object.entries(header).flatMap(([key, value]) => listHeaderValues(value, prefix ? `${prefix}.${key}` : key));
+};
+
+/**
+ * Works out which header value a span cites. Subject spans cite the subject; other
+ * header spans name their value with header_field (e.g. 'from.name').
+ * @param {Object} span - A header evidence span
+ * @returns {string|null} - The header path, or null if the span does not name one
+ */
+export const getHeaderSpanPath = (span) => (
+  span?.source === 'email_subject' ? 'subject' : span?.header_field || null
+);
+
+/**
+ * Anchors a header evidence span in the header value it cites. Spans whose value is
+ * missing, or does not contain their text, are searched for in every header value.
+ * @param {Object} span - Evidence span with start, end and text
+ * @param {Object} header - The email header
+ * @returns {Object} - { strategy, path, start, end }, or { strategy: 'unanchored' } if the span could not be located
+ */
+export const anchorHeaderSpan = (span, header) => {
+  const path = getHeaderSpanPath(span);
+  const value = getHeaderValue(header, path);
+
+  const anchor = value !== null ? anchorTextSpan(span, value) : null;
+  if (anchor && anchor.strategy !== ANCHOR_STRATEGIES.UNANCHORED) return { ...anchor, path };
+
+  if (span?.text) {
+    const found = listHeaderValues(header).find(entry => entry.path !== path && entry.value.includes(span.text));
+    if (found) {
+      const start = found.value.indexOf(span.text);
+      return { strategy: ANCHOR_STRATEGIES.TEXT_QUOTE, path: found.path, start, end: start + span.text.length };
+    }
+  }
+
+  return { strategy: ANCHOR_STRATEGIES.UNANCHORED, path, start: null, end: null };
+};
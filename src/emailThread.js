@@ -0,0 +1,149 @@
+// emailThread.js - Reads the earlier messages of an email thread and detects quoted reply history
+
+// Lines that start a quoted message in plain text: "On <date>, <name> wrote:" and
+// Outlook's "-----Original Message-----" or "From: … / Sent: …" block
+const ATTRIBUTION_LINE = /^\s*On\s.+wrote:\s*$/;
+const ORIGINAL_MESSAGE_LINE = /^\s*-{2,}\s*Original Message\s*-{2,}\s*$/i;
+const FROM_LINE = /^\s*From:\s*\S/;
+const SENT_LINE = /^\s*(Sent|Date):\s*\S/;
+
+// HTML separators often put "Sent:" after a <br>, which leaves no newline in the text
+const SENT_TEXT = /(Sent|Date):\s*\S/;
+
+// How many lines after "From:" the "Sent:" line of an Outlook separator may appear
+const SEPARATOR_LOOKAHEAD = 4;
+
+// Elements mail clients use to hold quoted replies
+const QUOTE_SELECTOR = 'blockquote, .gmail_quote, #divRplyFwdMsg, #appendonsend';
+
+/**
+ * Checks whether an evidence span cites an earlier message of the thread
+ * @param {Object} span - The evidence span
+ * @returns {boolean} - True if the span's offsets refer to a thread message
+ */
+export const isThreadSpan = (span) => span?.source === 'email_thread';
+
+/**
+ * Checks whether an email body is HTML rather than plain text
+ * @param {Object} body - The body, with content and document_type
+ * @returns {boolean} - True if the body is HTML
+ */
+export const isHtmlBody = (body) => (
+  body?.document_type === 'html' || (typeof body?.content === 'string' && body.content.startsWith('<'))
+);
+
+/**
+ * Lists the earlier messages of the email's thread, giving each a message_id even
+ * when the response leaves it out
+ * @param {Object} apiResponse - The NLP API response
+ * @returns {Array} - The messages, each with message_id, header and body
+ */
+export const getThreadMessages = (apiResponse) => {
+  const thread = apiResponse?.email?.thread;
+  if (!Array.isArray(thread)) return [];
+
+  return thread.filter(Boolean).map((message, index) => ({
+    ...message,
+    message_id: message.message_id || message.header?.message_id || `message-${index}`,
+    header: message.header || {},
+    body: message.body || { content: '', document_type: 'text' }
+  }));
+};
+
+/**
+ * Names the sender of a thread message for display
+ * @param {Object} message - A message from getThreadMessages
+ * @returns {string} - The sender's name or address
+ */
+export const getMessageSender = (message) => {
+  const from = Array.isArray(message?.header?.from) ? message.header.from[0] : message?.header?.from;
+  if (typeof from === 'string') return from || 'Unknown sender';
+  return from?.name || from?.email || 'Unknown sender';
+};
+
+/**
+ * Finds the quoted reply history in a plain-text body: runs of lines starting with
+ * '>' (with the attribution line before them) and everything after an Outlook
+ * "Original Message" or "From: … Sent: …" separator
+ * @param {string} text - The plain-text content
+ * @returns {Array} - Sorted, non-overlapping { start, end } character ranges
+ */
+export const findQuotedTextRanges = (text) => {
+  if (typeof text !== 'string' || !text) return [];
+
+  // Split into lines, remembering where each starts
+  const lines = [];
+  let offset = 0;
+  text.split('\n').forEach(line => {
+    lines.push({ text: line, start: offset, end: offset + line.length });
+    offset += line.length + 1;
+  });
+
+  const ranges = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].text;
+
+    const isSeparator = ORIGINAL_MESSAGE_LINE.test(line) || (FROM_LINE.test(line)
+      && lines.slice(i + 1, i + 1 + SEPARATOR_LOOKAHEAD).some(next => SENT_LINE.test(next.text)));
+    if (isSeparator) {
+      // Everything from an Outlook separator on is the previous message
+      ranges.push({ start: lines[i].start, end: text.length });
+      break;
+    }
+
+    if (/^\s*>/.test(line)) {
+      let last = i;
+      while (last + 1 < lines.length && /^\s*>/.test(lines[last + 1].text)) last++;
+
+      const first = i > 0 && ATTRIBUTION_LINE.test(lines[i - 1].text) ? i - 1 : i;
+      ranges.push({ start: lines[first].start, end: lines[last].end });
+      i = last;
+    }
+  }
+
+  return ranges;
+};
+
+/**
+ * Finds the quoted reply history in an HTML body: blockquotes and the containers
+ * mail clients put replies in, and an Outlook "From: … Sent: …" separator together
+ * with everything after it
+ * @param {Element} root - The element standing in for <body>
+ * @returns {Array} - Groups of elements, each group one quoted section in document order
+ */
+export const findQuotedElements = (root) => {
+  if (!root) return [];
+
+  const groups = [...root.querySelectorAll(QUOTE_SELECTOR)]
+    .filter(element => !element.parentElement?.closest(QUOTE_SELECTOR))
+    .map(element => [element]);
+
+  // An Outlook separator is a block that reads "From: …" with "Sent: …" in it or
+  // in one of the blocks right after it
+  const isQuoted = (element) => groups.some(group => group.some(quoted => quoted.contains(element)));
+  const separator = [...root.querySelectorAll('p, div')].find(element => {
+    if (isQuoted(element) || element.querySelector('p, div')) return false;
+    if (ORIGINAL_MESSAGE_LINE.test(element.textContent)) return true;
+    if (!FROM_LINE.test(element.textContent)) return false;
+
+    const following = [element];
+    for (let next = element.nextElementSibling; next && following.length <= SEPARATOR_LOOKAHEAD; next = next.nextElementSibling) {
+      following.push(next);
+    }
+    return following.some(block => SENT_TEXT.test(block.textContent));
+  });
+
+  if (separator) {
+    const group = [];
+    for (let element = separator; element; element = element.nextElementSibling) group.push(element);
+
+    // Quotes within the previous message are collapsed along with it
+    const nested = groups.filter(quote => group.some(element => element.contains(quote[0])));
+    nested.forEach(quote => groups.splice(groups.indexOf(quote), 1));
+    groups.push(group);
+  }
+
+  return groups.sort((a, b) => (
+    a[0].compareDocumentPosition(b[0]) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+  ));
+};
@@ -0,0 +1,148 @@
+// feedbackBuilder.js - Turns pending corrections into feedback payloads for the feedback API
+
+import { assignSpanIds, applyCorrections, stripSpanIds, toApiPrediction } from './corrections';
+
+// Compare two values structurally
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Creates a single feedback payload
+ * @param {Object} params - Payload parameters
+ * @returns {Object} - Feedback payload in the shape validateFeedbackData expects
+ */
+const createPayload = ({ requestId, predictionId, feedbackType, originalValue, correctedValue }) => ({
+  request_id: requestId,
+  prediction_id: predictionId,
+  feedback_type: feedbackType,
+  original_value: originalValue,
+  corrected_value: correctedValue,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Builds feedback payloads from the net effect of pending corrections. Corrections are
+ * grouped per prediction_id and compared against the original predictions, so edits that
+ * cancel each other out produce no feedback.
+ * @param {Object} apiResponse - The API response the corrections were made against
+ * @param {Array} corrections - Pending correction records
+ * @returns {Array} - Feedback payloads (incorrect_intent, incorrect_action, incorrect_artefact,
+ *   incorrect_related_artefact, incorrect_time_of_action, incorrect_sender,
+ *   evidence_span_correction, missing_prediction, false_positive)
+ */
+export const buildFeedbackPayloads = (apiResponse, corrections = []) => {
+  if (!apiResponse || corrections.length === 0) return [];
+
+  const requestId = apiResponse.request_id;
+  const originalPredictions = assignSpanIds(apiResponse.intent_parser_result?.predictions || []);
+  const correctedPredictions = applyCorrections(originalPredictions, corrections);
+
+  // Keep the order in which predictions were first corrected
+  const predictionIds = [...new Set(corrections.map(correction => correction.prediction_id))];
+  const payloads = [];
+
+  predictionIds.forEach(predictionId => {
+    const original = originalPredictions.find(prediction => prediction.prediction_id === predictionId);
+    const corrected = correctedPredictions.find(prediction => prediction.prediction_id === predictionId);
+    if (!corrected) return;
+
+    // A prediction the model missed is reported as a whole, unless it was discarded again
+    if (!original) {
+      if (!corrected.rejected) {
+        payloads.push(createPayload({
+          requestId,
+          predictionId,
+          feedbackType: 'missing_prediction',
+          originalValue: null,
+          correctedValue: { prediction: toApiPrediction(corrected) }
+        }));
+      }
+      return;
+    }
+
+    // A rejected prediction is spurious, so its individual fields are not corrected
+    if (corrected.rejected) {
+      payloads.push(createPayload({
+        requestId,
+        predictionId,
+        feedbackType: 'false_positive',
+        originalValue: { prediction: toApiPrediction(original) },
+        correctedValue: { rejected: true }
+      }));
+      return;
+    }
+
+    if (original.intent !== corrected.intent) {
+      payloads.push(createPayload({
+        requestId,
+        predictionId,
+        feedbackType: 'incorrect_intent',
+        originalValue: { intent: original.intent },
+        correctedValue: { intent: corrected.intent }
+      }));
+    }
+
+    if (original.action !== corrected.action) {
+      payloads.push(createPayload({
+        requestId,
+        predictionId,
+        feedbackType: 'incorrect_action',
+        originalValue: { action: original.action },
+        correctedValue: { action: corrected.action }
+      }));
+    }
+
+    if (!isEqual(original.artefact, corrected.artefact)) {
+      payloads.push(createPayload({
+        requestId,
+        predictionId,
+        feedbackType: 'incorrect_artefact',
+        originalValue: { artefact: original.artefact },
+        correctedValue: { artefact: corrected.artefact }
+      }));
+    }
+
+    if (!isEqual(original.related_artefact || {}, corrected.related_artefact || {})) {
+      payloads.push(createPayload({
+        requestId,
+        predictionId,
+        feedbackType: 'incorrect_related_artefact',
+        originalValue: { related_artefact: original.related_artefact || {} },
+        correctedValue: { related_artefact: corrected.related_artefact || {} }
+      }));
+    }
+
+    if (original.time_of_action !== corrected.time_of_action) {
+      payloads.push(createPayload({
+        requestId,
+        predictionId,
+        feedbackType: 'incorrect_time_of_action',
+        originalValue: { time_of_action: original.time_of_action ?? null },
+        correctedValue: { time_of_action: corrected.time_of_action }
+      }));
+    }
+
+    if (original.sender !== corrected.sender) {
+      payloads.push(createPayload({
+        requestId,
+        predictionId,
+        feedbackType: 'incorrect_sender',
+        originalValue: { sender: original.sender ?? null },
+        correctedValue: { sender: corrected.sender }
+      }));
+    }
+
+    const originalSpans = stripSpanIds(original.evidence_spans);
+    const correctedSpans = stripSpanIds(corrected.evidence_spans);
+    if (!isEqual(originalSpans, correctedSpans)) {
+      payloads.push(createPayload({
+        requestId,
+        predictionId,
+        feedbackType: 'evidence_span_correction',
+        originalValue: { evidence_spans: originalSpans },
+        correctedValue: { evidence_spans: correctedSpans }
+      }));
+    }
+  });
+
+  return payloads;
+};
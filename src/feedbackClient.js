@@ -0,0 +1,131 @@
+// feedbackClient.js - Feedback API clients: an HTTP client for a real endpoint and the mock as a local stand-in
+
+import { FeedbackApiService } from './mockFeedbackApi';
+
+/**
+ * A feedback client is any object with these methods; both resolve with the API's
+ * response and reject with a feedback error (see createFeedbackError).
+ *   submitFeedback(payload, { idempotencyKey }) - Sends one feedback payload. Retries of the
+ *     same payload carry the same idempotency key, so the API can store it only once.
+ *   getFeedbackHistory(requestId) - Reads the feedback already given on an email
+ */
+
+// Milliseconds a request may take before it is abandoned
+export const DEFAULT_FEEDBACK_TIMEOUT = 10000;
+
+// HTTP statuses worth retrying: the request may succeed later without changes
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Creates an error in the shape the mock API rejects with
+ * @param {string} errorCode - TIMEOUT, NETWORK_ERROR, HTTP_ERROR or INVALID_RESPONSE
+ * @param {string} message - Description of the failure
+ * @param {Object} details - { status, retryable }
+ * @returns {Object} - The error
+ */
+const createFeedbackError = (errorCode, message, { status = null, retryable = true } = {}) => ({
+  success: false,
+  message,
+  error_code: errorCode,
+  status,
+  retryable,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Checks whether a failed request may succeed if sent again. Errors that do not say
+ * (e.g. from the mock) are treated as transient.
+ * @param {*} error - What the client rejected with
+ * @returns {boolean} - True if the request should be retried
+ */
+export const isRetryableError = (error) => error?.retryable !== false;
+
+/**
+ * Creates a client for a feedback API served over HTTP. Feedback is POSTed as JSON
+ * to `${baseUrl}/feedback`, with the idempotency key in an Idempotency-Key header, and
+ * history read from `${baseUrl}/feedback?request_id=…`.
+ * @param {Object} options - Client options
+ * @param {string} options.baseUrl - URL of the API, without a trailing slash
+ * @param {Function} options.getAuthHeaders - Optional hook returning (or resolving to) headers to
+ *   add to every request, e.g. { Authorization: 'Bearer …' }; called per request so tokens can be refreshed
+ * @param {number} options.timeout - Milliseconds before a request is abandoned
+ * @param {Function} options.fetch - The fetch implementation, the global one by default
+ * @returns {Object} - A feedback client
+ */
+export const createHttpFeedbackClient = ({
+  baseUrl,
+  getAuthHeaders = () => ({}),
+  timeout = DEFAULT_FEEDBACK_TIMEOUT,
+  fetch: fetchImpl = globalThis.fetch
+}) => {
+  if (!baseUrl) throw new Error('createHttpFeedbackClient needs a baseUrl');
+  const apiUrl = baseUrl.replace(/\/+$/, '');
+
+  // Send a request and read its JSON response, rejecting with a feedback error
+  const request = async (path, { method = 'GET', body, headers: extraHeaders = {} } = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const headers = {
+        Accept: 'application/json',
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...extraHeaders,
+        ...(await getAuthHeaders())
+      };
+
+      let response;
+      try {
+        response = await fetchImpl(`${apiUrl}${path}`, {
+          method,
+          headers,
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+          signal: controller.signal
+        });
+      } catch (error) {
+        throw controller.signal.aborted
+          ? createFeedbackError('TIMEOUT', `The feedback API did not respond within ${timeout / 1000}s`)
+          : createFeedbackError('NETWORK_ERROR', `Could not reach the feedback API: ${error.message}`);
+      }
+
+      const text = await response.text();
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch {
+        if (response.ok) throw createFeedbackError('INVALID_RESPONSE', 'The feedback API did not return JSON', { status: response.status, retryable: false });
+      }
+
+      if (!response.ok) {
+        throw createFeedbackError(
+          'HTTP_ERROR',
+          data?.message || `The feedback API responded ${response.status} ${response.statusText}`.trim(),
+          { status: response.status, retryable: RETRYABLE_STATUSES.has(response.status) }
+        );
+      }
+
+      return data;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return {
+    submitFeedback: (feedbackData, { idempotencyKey } = {}) => request('/feedback', {
+      method: 'POST',
+      body: feedbackData,
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+    }),
+    getFeedbackHistory: (requestId) => request(`/feedback?request_id=${encodeURIComponent(requestId)}`)
+  };
+};
+
+/**
+ * Creates the feedback client for a configuration: the HTTP client when a base URL
+ * is given, otherwise the mock API
+ * @param {Object} config - Options of createHttpFeedbackClient; baseUrl may be empty
+ * @returns {Object} - A feedback client
+ */
+export const createFeedbackClient = (config = {}) => (
+  config.baseUrl ? createHttpFeedbackClient(config) : FeedbackApiService
+);
@@ -0,0 +1,129 @@
+// feedbackHistory.js - Reads feedback already given on an email and diffs its original and corrected values
+
+/**
+ * Reads the feedback items out of a getFeedbackHistory response, which may be the
+ * mock API's envelope ({ data: { feedback_items } }), the history itself or a bare list
+ * @param {*} response - What getFeedbackHistory resolved with
+ * @returns {Array} - Feedback items, newest first
+ */
+export const readFeedbackHistory = (response) => {
+  const items = Array.isArray(response)
+    ? response
+    : response?.data?.feedback_items || response?.feedback_items || [];
+
+  return items
+    .filter(item => item && item.prediction_id && item.feedback_type)
+    .map(item => ({
+      feedback_id: item.feedback_id || null,
+      prediction_id: item.prediction_id,
+      feedback_type: item.feedback_type,
+      original_value: item.original_value,
+      corrected_value: item.corrected_value,
+      submitted_by: item.submitted_by || 'Unknown annotator',
+      timestamp: item.timestamp || null
+    }))
+    .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+};
+
+/**
+ * Groups feedback items by the prediction they correct
+ * @param {Array} items - Feedback items, from readFeedbackHistory
+ * @returns {Object} - Map of prediction_id to its feedback items
+ */
+export const groupFeedbackByPrediction = (items = []) => items.reduce((groups, item) => {
+  (groups[item.prediction_id] = groups[item.prediction_id] || []).push(item);
+  return groups;
+}, {});
+
+/**
+ * Takes from a prediction the values a correction replaced, for feedback items that
+ * do not carry their original value
+ * @param {*} template - The corrected value, whose keys are looked up
+ * @param {*} source - The prediction
+ * @returns {*} - The prediction's values at the same keys
+ */
+const pickOriginalValues = (template, source) => {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) return source;
+  return Object.fromEntries(Object.keys(template).map(key => [key, pickOriginalValues(template[key], source?.[key])]));
+};
+
+/**
+ * Describes an evidence span in a diff row
+ * @param {Object} span - The evidence span
+ * @returns {string} - Its text and where it is
+ */
+const formatSpan = (span) => {
+  const where = span.xpath
+    ? `${span.xpath} ${span.relative_start}–${span.relative_end}`
+    : `${span.start}–${span.end}`;
+  return `"${span.text ?? ''}" (${where})`;
+};
+
+// Label an evidence span by the field it supports
+const getSpanLabel = (span) => `evidence: ${span.field ? `${span.type}.${span.field}` : span.type}`;
+
+/**
+ * Compares two values, listing each leaf that was added, removed or changed. Evidence
+ * span lists are compared span by span rather than by position.
+ * @param {*} before - The original value
+ * @param {*} after - The corrected value
+ * @param {string} path - Dotted path of the values
+ * @returns {Array} - Rows { path, before, after, change } where change is 'added', 'removed' or 'changed'
+ */
+export const diffValues = (before, after, path = '') => {
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+  const isObject = (value) => value !== null && typeof value === 'object';
+
+  if (path.split('.').pop() === 'evidence_spans' && (Array.isArray(before) || Array.isArray(after))) {
+    const beforeKeys = (before || []).map(span => JSON.stringify(span));
+    const afterKeys = (after || []).map(span => JSON.stringify(span));
+    return [
+      ...(before || []).filter((span, index) => !afterKeys.includes(beforeKeys[index]))
+        .map(span => ({ path: getSpanLabel(span), before: formatSpan(span), after: undefined, change: 'removed' })),
+      ...(after || []).filter((span, index) => !beforeKeys.includes(afterKeys[index]))
+        .map(span => ({ path: getSpanLabel(span), before: undefined, after: formatSpan(span), change: 'added' }))
+    ];
+  }
+
+  if (isObject(before) || isObject(after)) {
+    const keys = [...new Set([...Object.keys(isObject(before) ? before : {}), ...Object.keys(isObject(after) ? after : {})])];
+    return keys.flatMap(key => diffValues(
+      isObject(before) ? before[key] : undefined,
+      isObject(after) ? after[key] : undefined,
+      path ? `${path}.${key}` : key
+    ));
+  }
+
+  const change = before === undefined || before === null ? 'added' : after === undefined || after === null ? 'removed' : 'changed';
+  return [{ path, before, after, change }];
+};
+
+/**
+ * Lists what a feedback item changed
+ * @param {Object} item - A feedback item
+ * @param {Object} prediction - The prediction it corrects as the API returned it, used
+ *   when the item does not carry its original value
+ * @returns {Array} - Diff rows, see diffValues
+ */
+export const diffFeedbackItem = (item, prediction = null) => {
+  // Rejections report the whole original prediction; only the verdict changed
+  if (item.feedback_type === 'false_positive') {
+    return [{ path: 'prediction', before: 'accepted', after: 'rejected as false positive', change: 'changed' }];
+  }
+
+  const original = item.original_value !== undefined
+    ? item.original_value
+    : item.feedback_type === 'missing_prediction' ? null : pickOriginalValues(item.corrected_value, prediction);
+  return diffValues(original, item.corrected_value);
+};
+
+/**
+ * Formats a value of a diff row for display
+ * @param {*} value - The value
+ * @returns {string} - The value as text, or a dash if there is none
+ */
+export const formatDiffValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
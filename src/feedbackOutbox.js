@@ -0,0 +1,231 @@
+// feedbackOutbox.js - Durable outbox that keeps feedback payloads until the feedback API has accepted them
+
+import { isRetryableError } from './feedbackClient';
+
+// Where undelivered payloads are kept between sessions
+export const OUTBOX_STORAGE_KEY = 'email-intent-visualizer:feedback-outbox';
+
+// pending: waiting to be sent (again); sending: a request is under way;
+// failed: gave up after a permanent error or too many attempts, until retried or discarded
+export const OUTBOX_STATUSES = ['pending', 'sending', 'failed'];
+
+export const DEFAULT_OUTBOX_OPTIONS = {
+  maxAttempts: 5,
+  baseDelay: 2000,
+  maxDelay: 5 * 60 * 1000
+};
+
+let entryCounter = 0;
+
+// Identify an entry uniquely across sessions and tabs, as its id is also the idempotency key of its sends
+const createOutboxId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : `outbox-${Date.now()}-${++entryCounter}`
+);
+
+/**
+ * Computes how long to wait before the next attempt: the base delay, doubled after
+ * every failed attempt, up to the maximum delay
+ * @param {number} attempts - Number of attempts that failed so far
+ * @param {Object} options - { baseDelay, maxDelay } in milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+export const getRetryDelay = (attempts, { baseDelay, maxDelay } = DEFAULT_OUTBOX_OPTIONS) => (
+  Math.min(maxDelay, baseDelay * 2 ** Math.max(0, attempts - 1))
+);
+
+/**
+ * Reads the saved outbox. Entries that were being sent when the page closed are sent again.
+ * @param {Storage} storage - Where the outbox is saved
+ * @returns {Array} - The entries
+ */
+const loadEntries = (storage) => {
+  try {
+    const saved = JSON.parse(storage?.getItem(OUTBOX_STORAGE_KEY) || '[]');
+    if (!Array.isArray(saved)) return [];
+
+    return saved
+      .filter(entry => entry && entry.outbox_id && entry.payload)
+      .map(entry => (entry.status === 'sending' ? { ...entry, status: 'pending', next_attempt_at: Date.now() } : entry));
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Creates an outbox delivering feedback payloads through a feedback client. Payloads
+ * are saved before they are sent and removed once the API accepts them; failed
+ * sends are retried with exponential backoff, and sending waits while the browser is
+ * offline. Payloads that fail permanently stay in the outbox as failed.
+ * @param {Object} options - Outbox options
+ * @param {Object} options.client - The feedback client, see feedbackClient.js
+ * @param {Storage} options.storage - Where undelivered payloads are saved
+ * @param {number} options.maxAttempts - Attempts before a payload is marked failed
+ * @param {number} options.baseDelay - Milliseconds before the first retry
+ * @param {number} options.maxDelay - Longest wait between retries
+ * @param {Function} options.isOnline - Returns false while requests cannot be sent
+ * @returns {Object} - { submit, flush, retry, discard, getEntries, subscribe, start }
+ */
+export const createFeedbackOutbox = ({
+  client,
+  storage = globalThis.localStorage,
+  maxAttempts = DEFAULT_OUTBOX_OPTIONS.maxAttempts,
+  baseDelay = DEFAULT_OUTBOX_OPTIONS.baseDelay,
+  maxDelay = DEFAULT_OUTBOX_OPTIONS.maxDelay,
+  isOnline = () => globalThis.navigator?.onLine !== false
+}) => {
+  let entries = loadEntries(storage);
+  const listeners = new Set();
+  let started = false;
+  let timer = null;
+
+  // Wake up when the earliest pending entry is due
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!started) return;
+
+    const due = entries.filter(entry => entry.status === 'pending').map(entry => entry.next_attempt_at);
+    if (due.length === 0) return;
+    timer = setTimeout(flush, Math.max(0, Math.min(...due) - Date.now()));
+  };
+
+  // Replace the entries, save them and tell the listeners
+  const setEntries = (update) => {
+    entries = update(entries);
+
+    try {
+      if (entries.length === 0) storage?.removeItem(OUTBOX_STORAGE_KEY);
+      else storage?.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(entries));
+    } catch (error) {
+      console.error('Error saving the feedback outbox:', error);
+    }
+
+    listeners.forEach(listener => listener(entries));
+    schedule();
+  };
+
+  const updateEntry = (outboxId, changes) => {
+    setEntries(current => current.map(entry => (entry.outbox_id === outboxId ? { ...entry, ...changes } : entry)));
+  };
+
+  // Send one entry, removing it on success or recording the failure
+  const send = async (entry) => {
+    updateEntry(entry.outbox_id, { status: 'sending' });
+
+    try {
+      // Every attempt carries the entry's id, so a send that timed out here but reached the
+      // API is not stored twice when it is retried
+      await client.submitFeedback(entry.payload, { idempotencyKey: entry.outbox_id });
+      setEntries(current => current.filter(item => item.outbox_id !== entry.outbox_id));
+      return 'delivered';
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+      const failed = !isRetryableError(error) || attempts >= maxAttempts;
+      updateEntry(entry.outbox_id, {
+        status: failed ? 'failed' : 'pending',
+        attempts,
+        last_error: error?.message || String(error),
+        last_attempt_at: Date.now(),
+        next_attempt_at: failed ? null : Date.now() + getRetryDelay(attempts, { baseDelay, maxDelay })
+      });
+      return failed ? 'failed' : 'pending';
+    }
+  };
+
+  // Send the given entries if the browser is online
+  const deliver = async (outboxIds) => {
+    const toSend = entries.filter(entry => outboxIds.includes(entry.outbox_id) && entry.status === 'pending');
+    const results = isOnline() ? await Promise.all(toSend.map(send)) : toSend.map(() => 'pending');
+
+    return {
+      delivered: results.filter(result => result === 'delivered').length,
+      queued: results.filter(result => result === 'pending').length,
+      failed: results.filter(result => result === 'failed').length
+    };
+  };
+
+  /**
+   * Sends every pending entry whose retry is due
+   * @returns {Promise<Object>} - { delivered, queued, failed } counts
+   */
+  const flush = () => {
+    const now = Date.now();
+    return deliver(entries.filter(entry => entry.status === 'pending' && entry.next_attempt_at <= now).map(entry => entry.outbox_id));
+  };
+
+  return {
+    /**
+     * Saves feedback payloads to the outbox and tries to send them straight away
+     * @param {Array} payloads - The feedback payloads
+     * @returns {Promise<Object>} - { delivered, queued, failed, outboxIds } where queued payloads will be
+     *   retried and outboxIds are the ids of the new entries, in the order of the payloads
+     */
+    submit: async (payloads) => {
+      const now = Date.now();
+      const added = payloads.map(payload => ({
+        outbox_id: createOutboxId(),
+        payload,
+        status: 'pending',
+        attempts: 0,
+        last_error: null,
+        created_at: new Date(now).toISOString(),
+        next_attempt_at: now
+      }));
+      setEntries(current => [...current, ...added]);
+      const outboxIds = added.map(entry => entry.outbox_id);
+      return { ...(await deliver(outboxIds)), outboxIds };
+    },
+
+    flush,
+
+    /**
+     * Sends an entry again now, starting its backoff over
+     * @param {string} outboxId - The entry's outbox_id
+     * @returns {Promise<Object>} - { delivered, queued, failed } counts
+     */
+    retry: (outboxId) => {
+      const entry = entries.find(item => item.outbox_id === outboxId);
+      if (!entry || entry.status === 'sending') return Promise.resolve({ delivered: 0, queued: 0, failed: 0 });
+
+      updateEntry(outboxId, { status: 'pending', attempts: 0, next_attempt_at: Date.now() });
+      return deliver([outboxId]);
+    },
+
+    /**
+     * Removes an entry without sending it
+     * @param {string} outboxId - The entry's outbox_id
+     */
+    discard: (outboxId) => {
+      setEntries(current => current.filter(entry => entry.outbox_id !== outboxId || entry.status === 'sending'));
+    },
+
+    getEntries: () => entries,
+
+    /**
+     * Calls a listener with the entries whenever they change
+     * @param {Function} listener - Receives the entries
+     * @returns {Function} - Removes the listener
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Starts retrying in the background: when retries are due and when the browser
+     * comes back online. Entries left from an earlier session are sent straight away.
+     * @returns {Function} - Stops retrying
+     */
+    start: () => {
+      started = true;
+      globalThis.addEventListener?.('online', flush);
+      flush();
+
+      return () => {
+        started = false;
+        globalThis.removeEventListener?.('online', flush);
+        schedule();
+      };
+    }
+  };
+};
@@ -0,0 +1,64 @@
+// labelTaxonomy.js - Default label sets offered by the inline relabelling editors
+
+export const DEFAULT_LABEL_TAXONOMY = {
+  intents: [
+    'request_update',
+    'request_amendment',
+    'request_cancellation',
+    'request_confirmation'
+  ],
+  actions: [
+    'provide_status',
+    'amend_value_date',
+    'amend_payment_date',
+    'amend_ssi',
+    'cancel_trade',
+    'confirm_details'
+  ],
+  artefact_types: [
+    'trade',
+    'payment',
+    'ssi'
+  ],
+  times_of_action: [
+    'immediate',
+    'future'
+  ],
+  detail_fields: [
+    'reference',
+    'currency',
+    'amount',
+    'isin',
+    'value_date',
+    'new_value_date',
+    'beneficiary',
+    'new_payment_date',
+    'old_account',
+    'new_account',
+    'old_swift',
+    'new_swift'
+  ]
+};
+
+// Which taxonomy list supplies the options for each editable field
+const TAXONOMY_KEYS = {
+  intent: 'intents',
+  action: 'actions',
+  artefact_type: 'artefact_types',
+  time_of_action: 'times_of_action',
+  artefact_detail_key: 'detail_fields'
+};
+
+/**
+ * Returns the options for a field, always including the current value so that
+ * labels outside the taxonomy can still be displayed and kept
+ * @param {Object} taxonomy - Label taxonomy in the shape of DEFAULT_LABEL_TAXONOMY
+ * @param {string} field - The field being edited
+ * @param {string} currentValue - The field's current value
+ * @returns {Array} - Option values
+ */
+export const getLabelOptions = (taxonomy, field, currentValue) => {
+  const options = taxonomy?.[TAXONOMY_KEYS[field]] || [];
+  if (currentValue && !options.includes(currentValue)) return [currentValue, ...options];
+  return options;
+};
@@ -41,13 +41,25 @@ export const mockApiResponse = {
           }
         },
         "time_of_action": "future",
+        "confidence": 0.91,
+        "field_confidence": {
+          "intent": 0.95,
+          "action": 0.88,
+          "artefact_type": 0.93,
+          "artefact_detail": {
+            "currency": 0.97,
+            "amount": 0.94,
+            "isin": 0.42
+          }
+        },
         "evidence_spans": [
           {
             "type": "intent",
             "source": "email_body",
             "start": 13,
             "end": 39,
-            "text": "please provide an update"
+            "text": "please provide an update",
+            "confidence": 0.93
           },
           {
             "type": "artefact_detail",
@@ -71,7 +83,8 @@ export const mockApiResponse = {
             "source": "email_body",
             "start": 88,
             "end": 96,
-            "text": "bafd3415"
+            "text": "bafd3415",
+            "confidence": 0.42
           }
         ]
       },
@@ -92,13 +105,22 @@ export const mockApiResponse = {
           "new_value_date": "2025-06-06"
         },
         "time_of_action": "future",
+        "confidence": 0.46,
+        "field_confidence": {
+          "intent": 0.61,
+          "action": 0.44,
+          "related_artefact": {
+            "new_value_date": 0.57
+          }
+        },
         "evidence_spans": [
           {
             "type": "intent",
             "source": "email_body",
             "start": 112,
             "end": 140,
-            "text": "please also amend the below"
+            "text": "please also amend the below",
+            "confidence": 0.61
           },
           {
             "type": "artefact_detail",
@@ -106,7 +128,8 @@ export const mockApiResponse = {
             "source": "email_body",
             "start": 174,
             "end": 184,
-            "text": "2025-06-06"
+            "text": "2025-06-06",
+            "confidence": 0.57
           }
         ]
       }
@@ -134,9 +157,32 @@ export const additionalMockResponse = {
       "message_id": "LKJHGF654321POIUYT"
     },
     "body": {
-      "content": "Dear Support, I need to cancel the pending trade with reference TRX123456 for EUR 5000 due to pricing discrepancies. The trade was executed yesterday with value date 2025-07-10. Please confirm cancellation by end of day.",
+      "content": "Dear Support, I need to cancel the pending trade with reference TRX123456 for EUR 5000 due to pricing discrepancies. The trade was executed yesterday with value date 2025-07-10. Please confirm cancellation by end of day.\n\nOn 2 Jul 2025, at 17:40, Support Team wrote:\n> Hi Jane, trade TRX123456 was booked with counterparty Globex at 1.0842.\n> Let us know if anything looks wrong.",
       "document_type": "text"
-    }
+    },
+    "thread": [
+      {
+        "message_id": "MNBVCX098765",
+        "header": {
+          "from": {
+            "email": "support@example.com",
+            "name": "Support Team"
+          },
+          "to": [
+            {
+              "email": "jane.smith@example.com",
+              "name": "Jane Smith"
+            }
+          ],
+          "subject": "Trade TRX123456 booked",
+          "received": "2025-07-02T17:40:00"
+        },
+        "body": {
+          "content": "Hi Jane, trade TRX123456 was booked with counterparty Globex at 1.0842.\nLet us know if anything looks wrong.",
+          "document_type": "text"
+        }
+      }
+    ]
   },
   "intent_parser_result": {
     "model_info": {
@@ -155,7 +201,8 @@ export const additionalMockResponse = {
             "reference": "TRX123456",
             "currency": "EUR",
             "amount": "5000",
-            "value_date": "2025-07-10"
+            "value_date": "2025-07-10",
+            "counterparty": "Globex"
           }
         },
         "time_of_action": "immediate",
@@ -198,6 +245,144 @@ export const additionalMockResponse = {
             "start": 122,
             "end": 132,
             "text": "2025-07-10"
+          },
+          {
+            "type": "artefact_detail",
+            "field": "counterparty",
+            "source": "email_thread",
+            "message_id": "MNBVCX098765",
+            "start": 54,
+            "end": 60,
+            "text": "Globex"
+          },
+          {
+            "type": "artefact_detail",
+            "field": "counterparty",
+            "source": "email_body",
+            "start": 323,
+            "end": 329,
+            "text": "Globex"
+          }
+        ]
+      }
+    ]
+  }
+};
+
+// The first example's email parsed again by a newer model version, for comparing releases
+export const mockApiResponseV2 = {
+  ...mockApiResponse,
+  "intent_parser_result": {
+    "model_info": {
+      "name": "intent_parser",
+      "version": "2.0.0"
+    },
+    "predictions": [
+      {
+        "prediction_id": "b8e1c2d4-6f3a-4e0b-9c7d-2a5f8e1b3c60",
+        "intent": "request_update",
+        "sender": "John Doe",
+        "action": "provide_status",
+        "artefact": {
+          "type": "trade",
+          "details": {
+            "currency": "USD",
+            "amount": "1000",
+            "isin": "bafd3415"
+          }
+        },
+        "time_of_action": "immediate",
+        "confidence": 0.94,
+        "evidence_spans": [
+          {
+            "type": "intent",
+            "source": "email_body",
+            "start": 12,
+            "end": 36,
+            "text": "please provide an update"
+          },
+          {
+            "type": "artefact_detail",
+            "field": "currency",
+            "source": "email_body",
+            "start": 72,
+            "end": 75,
+            "text": "USD"
+          },
+          {
+            "type": "artefact_detail",
+            "field": "amount",
+            "source": "email_body",
+            "start": 76,
+            "end": 80,
+            "text": "1000"
+          },
+          {
+            "type": "artefact_detail",
+            "field": "isin",
+            "source": "email_body",
+            "start": 91,
+            "end": 99,
+            "text": "bafd3415"
+          }
+        ]
+      },
+      {
+        "prediction_id": "e3a7f9b1-0d2c-4b8e-a6f5-7c9d1e2b4a83",
+        "intent": "request_amendment",
+        "sender": "John Doe",
+        "action": "amend_value_date",
+        "artefact": {
+          "type": "trade",
+          "details": {
+            "currency": "USD",
+            "amount": "1000"
+          }
+        },
+        "related_artefact": {
+          "new_value_date": "2025-06-06"
+        },
+        "time_of_action": "future",
+        "confidence": 0.72,
+        "evidence_spans": [
+          {
+            "type": "intent",
+            "source": "email_body",
+            "start": 121,
+            "end": 148,
+            "text": "please also amend the below"
+          },
+          {
+            "type": "related_artefact",
+            "field": "new_value_date",
+            "source": "email_body",
+            "start": 196,
+            "end": 206,
+            "text": "2025-06-06"
+          }
+        ]
+      },
+      {
+        "prediction_id": "5d2b8f4e-1a9c-4e7f-b3d6-0f8a2c5e9b17",
+        "intent": "request_confirmation",
+        "sender": "John Doe",
+        "action": "confirm_details",
+        "artefact": {
+          "type": "trade",
+          "details": {
+            "currency": "USD",
+            "amount": "1000"
+          }
+        },
+        "time_of_action": "immediate",
+        "confidence": 0.58,
+        "evidence_spans": [
+          {
+            "type": "intent",
+            "source": "email_body",
+            "start": 152,
+            "end": 175,
+            "text": "match the broker's view"
           }
         ]
       }
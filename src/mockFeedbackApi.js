@@ -26,14 +26,48 @@ const mockApiCall = (data, successRate = 0.9) => {
   });
 };
 
+// Feedback the mock API has accepted this session, returned by getFeedbackHistory
+const submittedFeedback = [];
+
+// Responses to accepted submissions by idempotency key, so that retries are not stored twice
+const acceptedSubmissions = new Map();
+
+// Feedback from another annotator, on the prediction of mockApiResponse
+const seedFeedback = () => [
+  {
+    feedback_id: `feedback-${Date.now() - 86400000}`, // yesterday
+    request_id: '9e5b5af6-abb0-4f51-bf3e-3ec43c6b3f88',
+    prediction_id: '4d7f2a23-e3bd-44cb-8d35-b1c1dc4fae91',
+    feedback_type: 'incorrect_action',
+    original_value: {
+      action: 'provide_status'
+    },
+    corrected_value: {
+      action: 'provide_documentation'
+    },
+    submitted_by: 'user@example.com',
+    timestamp: new Date(Date.now() - 86400000).toISOString()
+  }
+];
+
 // Mock feedback API service
 export const FeedbackApiService = {
   // Submit feedback for corrected prediction
-  submitFeedback: async (feedbackData) => {
+  submitFeedback: async (feedbackData, { idempotencyKey } = {}) => {
     console.log('Submitting feedback:', feedbackData);
     
+    if (idempotencyKey && acceptedSubmissions.has(idempotencyKey)) {
+      return acceptedSubmissions.get(idempotencyKey);
+    }
+    
     try {
       const response = await mockApiCall(feedbackData);
+      if (idempotencyKey) acceptedSubmissions.set(idempotencyKey, response);
+      submittedFeedback.push({
+        ...feedbackData,
+        feedback_id: response.feedback_id,
+        submitted_by: feedbackData.submitted_by || 'you@example.com'
+      });
       console.log('Feedback API response:', response);
       return response;
     } catch (error) {
@@ -49,18 +83,7 @@ export const FeedbackApiService = {
     try {
       const response = await mockApiCall({
         request_id: requestId,
-        feedback_items: [
-          {
-            feedback_id: `feedback-${Date.now() - 86400000}`, // yesterday
-            prediction_id: '4d7f2a23-e3bd-44cb-8d35-b1c1dc4fae91',
-            feedback_type: 'incorrect_action',
-            corrected_value: {
-              action: 'provide_documentation'
-            },
-            submitted_by: 'user@example.com',
-            timestamp: new Date(Date.now() - 86400000).toISOString()
-          }
-        ]
+        feedback_items: [...seedFeedback(), ...submittedFeedback].filter(item => item.request_id === requestId)
       });
       
       return response;
@@ -82,15 +105,33 @@ export const validateFeedbackData = (feedbackData) => {
   switch (feedbackData.feedback_type) {
     case 'incorrect_intent':
     case 'incorrect_action':
+    case 'incorrect_artefact':
+    case 'incorrect_related_artefact':
+    case 'incorrect_time_of_action':
+    case 'incorrect_sender':
       if (!feedbackData.corrected_value) return { valid: false, error: 'Missing corrected_value' };
       break;
       
     case 'evidence_span_correction':
-      if (!feedbackData.corrected_value?.evidence_spans?.length) {
+      // An empty list is valid: the reviewer deleted every span of the prediction
+      if (!Array.isArray(feedbackData.corrected_value?.evidence_spans)) {
         return { valid: false, error: 'Missing evidence span corrections' };
       }
       break;
       
+    case 'missing_prediction':
+      if (!feedbackData.corrected_value?.prediction?.intent) {
+        return { valid: false, error: 'Missing intent for new prediction' };
+      }
+      if (!feedbackData.corrected_value.prediction.evidence_spans?.length) {
+        return { valid: false, error: 'Missing evidence spans for new prediction' };
+      }
+      break;
+      
+    case 'false_positive':
+      if (!feedbackData.corrected_value?.rejected) return { valid: false, error: 'Missing rejection flag' };
+      break;
+      
     default:
       return { valid: false, error: 'Invalid feedback_type' };
   }
@@ -0,0 +1,152 @@
+// modelComparison.js - Lines up two model versions' predictions on the same email and lists what changed
+
+import { assignSpanIds } from './corrections';
+import { diffValues } from './feedbackHistory';
+
+// Row statuses, in the order they are listed
+export const COMPARISON_STATUSES = ['changed', 'added', 'removed', 'unchanged'];
+
+export const COMPARISON_STATUS_LABELS = {
+  changed: 'Changed',
+  added: 'Only in B',
+  removed: 'Only in A',
+  unchanged: 'Unchanged'
+};
+
+/**
+ * Names the model that produced a response
+ * @param {Object} apiResponse - The API response
+ * @returns {string} - e.g. 'intent_parser v2.0.0'
+ */
+export const getModelLabel = (apiResponse) => {
+  const modelInfo = apiResponse?.intent_parser_result?.model_info;
+  return [modelInfo?.name, modelInfo?.version && `v${modelInfo.version}`].filter(Boolean).join(' ') || 'Unknown model';
+};
+
+/**
+ * Checks that two responses parsed the same email, so that both versions' spans can be
+ * drawn on one rendering of the body
+ * @param {Object} a - An API response
+ * @param {Object} b - Another API response
+ * @returns {boolean} - True if the emails have the same body
+ */
+export const isSameEmail = (a, b) => (
+  Boolean(a?.email?.body) && a.email.body.content === b?.email?.body?.content
+);
+
+// The labels and values compared between aligned predictions
+const getComparedValues = (prediction) => ({
+  intent: prediction.intent,
+  action: prediction.action,
+  time_of_action: prediction.time_of_action,
+  sender: prediction.sender,
+  artefact: prediction.artefact,
+  related_artefact: prediction.related_artefact
+});
+
+/**
+ * Scores how likely two predictions from different versions describe the same request:
+ * the same intent, the same artefact type and shared artefact details all count. Pairs
+ * that share neither the intent nor an artefact type and detail are not aligned.
+ * @param {Object} a - Prediction of version A
+ * @param {Object} b - Prediction of version B
+ * @returns {number} - The score, 0 if they should not be aligned
+ */
+const getAlignmentScore = (a, b) => {
+  if (a.prediction_id && a.prediction_id === b.prediction_id) return Number.MAX_SAFE_INTEGER;
+
+  const sameIntent = Boolean(a.intent) && a.intent === b.intent;
+  const sameType = Boolean(a.artefact?.type) && a.artefact.type === b.artefact?.type;
+  const sharedDetails = Object.entries(a.artefact?.details || {})
+    .filter(([key, value]) => b.artefact?.details?.[key] === value).length;
+  if (!sameIntent && !(sameType && sharedDetails > 0)) return 0;
+
+  return (sameIntent ? 4 : 0) + (sameType ? 2 : 0) + sharedDetails + (a.action && a.action === b.action ? 1 : 0);
+};
+
+// Identify an evidence span by what it cites, regardless of its span_id
+const getSpanKey = (span) => JSON.stringify([
+  span.source || 'email_body', span.attachment_id, span.message_id, span.header_field,
+  span.type, span.field, span.start, span.end, span.xpath, span.relative_start, span.relative_end
+]);
+
+/**
+ * Counts the evidence spans two aligned predictions share
+ * @param {Object} a - Prediction of version A, or null
+ * @param {Object} b - Prediction of version B, or null
+ * @returns {Object} - { shared, onlyA, onlyB } counts
+ */
+const compareEvidence = (a, b) => {
+  const keysA = (a?.evidence_spans || []).map(getSpanKey);
+  const keysB = (b?.evidence_spans || []).map(getSpanKey);
+  const shared = keysA.filter(key => keysB.includes(key)).length;
+  return { shared, onlyA: keysA.length - shared, onlyB: keysB.length - shared };
+};
+
+/**
+ * Lines up the predictions of two versions on the same email. Predictions are paired
+ * greedily by alignment score; those left over exist in one version only.
+ * @param {Object} responseA - The API response of version A, e.g. the released model
+ * @param {Object} responseB - The API response of version B, e.g. the candidate
+ * @returns {Array} - Rows { key, status, a, b, changes, evidence } in version A's order, with
+ *   predictions only in B last. a and b are the predictions (with span_ids), changes are
+ *   diff rows of their labels and values (see diffValues) and evidence counts shared spans.
+ */
+export const comparePredictions = (responseA, responseB) => {
+  const predictionsA = assignSpanIds(responseA?.intent_parser_result?.predictions || []);
+  const predictionsB = assignSpanIds(responseB?.intent_parser_result?.predictions || []);
+
+  const candidates = predictionsA.flatMap((a, indexA) => predictionsB.map((b, indexB) => ({
+    indexA, indexB, score: getAlignmentScore(a, b)
+  }))).filter(candidate => candidate.score > 0);
+  candidates.sort((x, y) => y.score - x.score || x.indexA - y.indexA || x.indexB - y.indexB);
+
+  const pairs = {};
+  const pairedB = new Set();
+  candidates.forEach(({ indexA, indexB }) => {
+    if (pairs[indexA] !== undefined || pairedB.has(indexB)) return;
+    pairs[indexA] = indexB;
+    pairedB.add(indexB);
+  });
+
+  const createRow = (a, b, index) => {
+    const changes = diffValues(a ? getComparedValues(a) : null, b ? getComparedValues(b) : null);
+    let status = 'changed';
+    if (!b) status = 'removed';
+    else if (!a) status = 'added';
+    else if (changes.length === 0) status = 'unchanged';
+
+    return { key: `row-${index}`, status, a, b, changes, evidence: compareEvidence(a, b) };
+  };
+
+  const rows = predictionsA.map((a, indexA) => (
+    createRow(a, pairs[indexA] !== undefined ? predictionsB[pairs[indexA]] : null, indexA)
+  ));
+  predictionsB.forEach((b, indexB) => {
+    if (!pairedB.has(indexB)) rows.push(createRow(null, b, rows.length));
+  });
+
+  return rows;
+};
+
+/**
+ * Counts comparison rows by status
+ * @param {Array} rows - Rows from comparePredictions
+ * @returns {Object} - Map of each status to its number of rows
+ */
+export const summarizeComparison = (rows = []) => {
+  const counts = Object.fromEntries(COMPARISON_STATUSES.map(status => [status, 0]));
+  rows.forEach(row => { counts[row.status] += 1; });
+  return counts;
+};
+
+/**
+ * Lists the evidence spans to draw for comparison rows, each copy marked with its
+ * version and given a span_id unique across both versions
+ * @param {Array} rows - Rows from comparePredictions
+ * @returns {Array} - Evidence spans with compare_version 'a' or 'b'
+ */
+export const getComparisonSpans = (rows = []) => rows.flatMap(row => [
+  ...(row.a?.evidence_spans || []).map(span => ({ ...span, span_id: `a:${span.span_id}`, compare_version: 'a', prediction_id: row.a.prediction_id })),
+  ...(row.b?.evidence_spans || []).map(span => ({ ...span, span_id: `b:${span.span_id}`, compare_version: 'b', prediction_id: row.b.prediction_id }))
+]);
@@ -0,0 +1,304 @@
+// reviewQueue.js - Loads batches of API responses for review and tracks each email's review status
+
+// Review statuses, in the order a reviewed email moves through them
+export const REVIEW_STATUSES = ['unreviewed', 'in_progress', 'corrected', 'accepted'];
+
+export const REVIEW_STATUS_LABELS = {
+  unreviewed: 'Unreviewed',
+  in_progress: 'In progress',
+  corrected: 'Corrected',
+  accepted: 'Accepted as-is'
+};
+
+// Statuses that count as done in the progress bar
+const DONE_STATUSES = new Set(['corrected', 'accepted']);
+
+// Where the queue's progress and its emails are kept between sessions
+export const QUEUE_STORAGE_KEY = 'email-intent-visualizer:review-queue';
+const QUEUE_RESPONSES_STORAGE_KEY = `${QUEUE_STORAGE_KEY}:responses`;
+
+/**
+ * Checks that a parsed value looks like an API response the visualizer can show
+ * @param {*} value - The parsed value
+ * @returns {boolean} - True if the value has an email and a parser result
+ */
+const isApiResponse = (value) => (
+  Boolean(value) && typeof value === 'object' && Boolean(value.email) && Boolean(value.intent_parser_result)
+);
+
+// Check whether a line of text is a JSON value on its own
+const isJson = (text) => {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Reads the records of a file holding either a JSON document (an array of records or
+ * a single one) or JSONL with one record per line
+ * @param {string} text - The file contents
+ * @returns {Object} - { records, errors } where records are { line, record } and errors are
+ *   { line, error } for lines that are not valid JSON
+ */
+export const readJsonRecords = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return { records: [], errors: [{ line: null, error: 'The file is empty' }] };
+
+  // A JSON document holds an array of records or a single one; anything else is read as JSONL
+  try {
+    const parsed = JSON.parse(trimmed);
+    return {
+      records: (Array.isArray(parsed) ? parsed : [parsed]).map((record, index) => ({ line: index + 1, record })),
+      errors: []
+    };
+  } catch (error) {
+    // JSONL records may be arrays themselves, so text starting with '[' is only a broken
+    // JSON document if its first line is not a record of its own
+    if (trimmed.startsWith('[') && !isJson(trimmed.split('\n', 1)[0])) {
+      return { records: [], errors: [{ line: null, error: `Invalid JSON: ${error.message}` }] };
+    }
+  }
+
+  const records = [];
+  const errors = [];
+  trimmed.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    try {
+      records.push({ line: index + 1, record: JSON.parse(line) });
+    } catch (error) {
+      errors.push({ line: index + 1, error: `Invalid JSON: ${error.message}` });
+    }
+  });
+
+  return { records, errors };
+};
+
+/**
+ * Reads API responses from the contents of a queue file: either a JSON array of
+ * responses (or a single response) or JSONL with one response per line
+ * @param {string} text - The file contents
+ * @returns {Object} - { responses, errors } where errors are { line, error } for records that could not be read
+ */
+export const parseQueueFile = (text) => {
+  const { records, errors } = readJsonRecords(text);
+
+  const responses = [];
+  records.forEach(({ line, record }) => {
+    if (isApiResponse(record)) responses.push(record);
+    else errors.push({ line, error: 'Not an API response with email and intent_parser_result' });
+  });
+  errors.sort((a, b) => a.line - b.line);
+
+  return { responses, errors };
+};
+
+/**
+ * Creates a review queue, every email starting unreviewed. Emails are identified by
+ * request_id, made unique when a batch repeats one.
+ * @param {Array} responses - The API responses to review
+ * @param {string} name - Name of the batch, e.g. the file it was loaded from
+ * @returns {Object} - { name, position, items } where items are { id, status, response, corrections }
+ */
+export const createReviewQueue = (responses, name = 'Review queue') => {
+  const seen = {};
+  const items = responses.map((response, index) => {
+    const baseId = response.request_id || `email-${index + 1}`;
+    seen[baseId] = (seen[baseId] || 0) + 1;
+    const id = seen[baseId] > 1 ? `${baseId}#${seen[baseId]}` : baseId;
+    return { id, status: 'unreviewed', response, corrections: [] };
+  });
+
+  return { name, position: 0, items };
+};
+
+/**
+ * Sets the review status of one email
+ * @param {Object} queue - The review queue
+ * @param {number} index - Index of the email
+ * @param {string} status - One of REVIEW_STATUSES
+ * @returns {Object} - The updated queue
+ */
+export const setItemStatus = (queue, index, status) => ({
+  ...queue,
+  items: queue.items.map((item, itemIndex) => (itemIndex === index ? { ...item, status } : item))
+});
+
+/**
+ * Records corrections submitted for one email, after those submitted before, so
+ * that the reviewed emails can be exported with all their corrections applied
+ * @param {Object} queue - The review queue
+ * @param {number} index - Index of the email
+ * @param {Array} corrections - The submitted corrections, oldest first
+ * @returns {Object} - The updated queue
+ */
+export const addItemCorrections = (queue, index, corrections) => ({
+  ...queue,
+  items: queue.items.map((item, itemIndex) => (
+    itemIndex === index ? { ...item, corrections: [...(item.corrections || []), ...corrections] } : item
+  ))
+});
+
+/**
+ * Moves the queue to an email, marking it in progress if it had not been reviewed
+ * @param {Object} queue - The review queue
+ * @param {number} index - Index of the email to open
+ * @returns {Object} - The updated queue, or the queue unchanged if there is no such email
+ */
+export const openQueueItem = (queue, index) => {
+  const item = queue.items[index];
+  if (!item) return queue;
+
+  const opened = { ...queue, position: index };
+  return item.status === 'unreviewed' ? setItemStatus(opened, index, 'in_progress') : opened;
+};
+
+/**
+ * Lists the distinct intents predicted for an email
+ * @param {Object} item - A queue item
+ * @returns {Array} - The intents
+ */
+export const getItemIntents = (item) => [
+  ...new Set((item?.response?.intent_parser_result?.predictions || []).map(prediction => prediction.intent).filter(Boolean))
+];
+
+/**
+ * Lists every intent predicted across the queue, for the intent filter
+ * @param {Array} items - The queue items
+ * @returns {Array} - The intents, sorted
+ */
+export const getQueueIntents = (items = []) => [...new Set(items.flatMap(getItemIntents))].sort();
+
+/**
+ * Checks whether a queue item passes the status and intent filters
+ * @param {Object} item - A queue item
+ * @param {Object} filter - { status, intent }, either of which may be 'all'
+ * @returns {boolean} - True if the item is shown
+ */
+export const matchesQueueFilter = (item, { status = 'all', intent = 'all' } = {}) => (
+  (status === 'all' || item.status === status) && (intent === 'all' || getItemIntents(item).includes(intent))
+);
+
+/**
+ * Finds the next or previous item passing the filter
+ * @param {Array} items - The queue items
+ * @param {number} position - Index of the current item
+ * @param {number} direction - 1 for the next item, -1 for the previous one
+ * @param {Object} filter - { status, intent }
+ * @returns {number} - The item's index, or -1 if there is none
+ */
+export const findQueueItem = (items, position, direction, filter) => {
+  for (let index = position + direction; index >= 0 && index < items.length; index += direction) {
+    if (matchesQueueFilter(items[index], filter)) return index;
+  }
+  return -1;
+};
+
+/**
+ * Counts the queue's emails by status
+ * @param {Array} items - The queue items
+ * @returns {Object} - { total, done, counts } where counts maps each status to its number of emails
+ */
+export const getQueueProgress = (items = []) => {
+  const counts = Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+  items.forEach(item => { counts[item.status] = (counts[item.status] || 0) + 1; });
+
+  return {
+    total: items.length,
+    done: items.filter(item => DONE_STATUSES.has(item.status)).length,
+    counts
+  };
+};
+
+/**
+ * Lists the emails whose review is done, i.e. corrected or accepted as-is
+ * @param {Array} items - The queue items
+ * @returns {Array} - The reviewed items
+ */
+export const getReviewedItems = (items = []) => items.filter(item => DONE_STATUSES.has(item.status));
+
+/**
+ * Saves the queue's statuses, submitted corrections and position, so that a session can be resumed
+ * @param {Object} queue - The review queue
+ * @param {Storage} storage - Where to save them
+ */
+export const saveQueueProgress = (queue, storage = globalThis.localStorage) => {
+  if (!storage || !queue) return;
+
+  try {
+    storage.setItem(QUEUE_STORAGE_KEY, JSON.stringify({
+      name: queue.name,
+      position: queue.position,
+      items: queue.items.map(({ id, status, corrections }) => ({ id, status, corrections }))
+    }));
+  } catch (error) {
+    console.error('Error saving review progress:', error);
+  }
+};
+
+/**
+ * Saves the queue's emails so that a resumed session does not need its file again.
+ * Batches too large for the storage quota are not kept; reopening their file
+ * restores the saved progress instead.
+ * @param {Object} queue - The review queue
+ * @param {Storage} storage - Where to save them
+ * @returns {boolean} - True if the emails were saved
+ */
+export const saveQueueResponses = (queue, storage = globalThis.localStorage) => {
+  if (!storage || !queue) return false;
+
+  try {
+    storage.setItem(QUEUE_RESPONSES_STORAGE_KEY, JSON.stringify(queue.items.map(item => item.response)));
+    return true;
+  } catch {
+    storage.removeItem(QUEUE_RESPONSES_STORAGE_KEY);
+    return false;
+  }
+};
+
+/**
+ * Reads the session saved by saveQueueProgress and saveQueueResponses
+ * @param {Storage} storage - Where it was saved
+ * @returns {Object|null} - { progress, responses } where responses is null if the emails
+ *   were not kept, or null if no session was saved
+ */
+export const loadSavedQueue = (storage = globalThis.localStorage) => {
+  try {
+    const progress = JSON.parse(storage?.getItem(QUEUE_STORAGE_KEY) || 'null');
+    if (!progress || !Array.isArray(progress.items)) return null;
+
+    const responses = JSON.parse(storage.getItem(QUEUE_RESPONSES_STORAGE_KEY) || 'null');
+    return { progress, responses: Array.isArray(responses) ? responses : null };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Restores the statuses, submitted corrections and position of a saved session onto a queue holding the
+ * same emails, e.g. when its file is opened again
+ * @param {Object} queue - A freshly created queue
+ * @param {Object|null} saved - The saved progress, as returned in loadSavedQueue().progress
+ * @returns {Object} - The queue with the saved progress, or the queue unchanged if the emails differ
+ */
+export const restoreQueueProgress = (queue, saved) => {
+  const sameEmails = saved && saved.items.length === queue.items.length
+    && saved.items.every((item, index) => item.id === queue.items[index].id);
+  if (!sameEmails) return queue;
+
+  const position = Number.isInteger(saved.position) && saved.position >= 0 && saved.position < queue.items.length
+    ? saved.position
+    : 0;
+  return {
+    ...queue,
+    position,
+    items: queue.items.map((item, index) => ({
+      ...item,
+      status: REVIEW_STATUSES.includes(saved.items[index].status) ? saved.items[index].status : item.status,
+      corrections: Array.isArray(saved.items[index].corrections) ? saved.items[index].corrections : item.corrections
+    }))
+  };
+};
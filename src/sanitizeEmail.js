@@ -0,0 +1,201 @@
+// sanitizeEmail.js - Sanitizes HTML email bodies before they are rendered
+
+import DOMPurify from 'dompurify';
+
+// Default policy: strip active content and block anything that loads from a remote host
+export const DEFAULT_SANITIZE_POLICY = {
+  allowRemoteImages: false,
+  allowedImageHosts: [],
+  allowStyles: true
+};
+
+// Attributes that submit data or ping remote hosts even without scripts
+const FORBIDDEN_ATTRIBUTES = ['action', 'formaction', 'ping', 'background'];
+
+// Elements whose presence would let the email navigate or embed other documents
+const FORBIDDEN_TAGS = ['base', 'meta', 'link', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet'];
+
+// Attributes through which an element loads a resource as the email is displayed. href
+// only loads on elements other than links (e.g. SVG <image> and <use>); srcset lists URLs.
+const RESOURCE_ATTRIBUTES = ['src', 'srcset', 'poster', 'data', 'href', 'xlink:href'];
+const LINK_TAGS = new Set(['A', 'AREA']);
+
+// Elements whose src is an image, replaced by a placeholder when blocked rather than removed
+const IMAGE_SOURCE_TAGS = new Set(['IMG', 'INPUT']);
+
+// Transparent placeholder used in place of blocked images, so layout and structure are kept
+const BLOCKED_IMAGE_SRC = 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==';
+
+// Protocols that fetch from a host as the email is displayed
+const REMOTE_PROTOCOLS = new Set(['http:', 'https:']);
+
+/**
+ * Builds a pattern matching a CSS identifier however its letters are escaped, e.g.
+ * 'url' also matches 'u\72l' and 'U\RL', which the browser reads as url
+ * @param {string} name - The identifier, in lower case
+ * @returns {string} - Regular expression source, to be used case-insensitively
+ */
+const cssIdentifier = (name) => name.split('').map(char => {
+  const hex = char.charCodeAt(0).toString(16);
+  return `(?:${char}|\\\\0{0,${6 - hex.length}}${hex}(?:\\r\\n|[ \\t\\r\\n\\f])?|\\\\${char})`;
+}).join('');
+
+const CSS_URL_PATTERN = new RegExp(`${cssIdentifier('url')}\\(\\s*(?:"((?:\\\\.|[^"\\\\])*)"|'((?:\\\\.|[^'\\\\])*)'|((?:\\\\.|[^)'"\\\\])*))\\s*\\)`, 'gi');
+const CSS_IMAGE_SET_PATTERN = new RegExp(`(?:-webkit-)?${cssIdentifier('image-set')}\\(((?:[^()]|\\([^()]*\\))*)\\)`, 'gi');
+const CSS_STRING_PATTERN = /"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'/g;
+// An @import runs to its semicolon, or to the end of the CSS when it has none
+const CSS_IMPORT_PATTERN = new RegExp(`@${cssIdentifier('import')}[^;{]*(?:;|\\{[^}]*\\}|$)`, 'gi');
+
+/**
+ * Reads a CSS string or URL as the browser does, undoing backslash escapes
+ * @param {string} value - The escaped value
+ * @returns {string} - The value
+ */
+const unescapeCss = (value) => value.replace(/\\([0-9a-f]{1,6})(?:\r\n|[ \t\r\n\f])?|\\([^\r\n\f])/gi, (match, hex, char) => {
+  if (char !== undefined) return char;
+  const codePoint = parseInt(hex, 16);
+  return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '\ufffd';
+});
+
+/**
+ * Checks whether a URL loads from a remote host that the policy does not allow. The URL
+ * is resolved as the browser would resolve it, so forms such as 'https:host/x' and
+ * 'https:\\host/x' are recognised; anything that resolves to http(s) is remote.
+ * @param {string} url - The URL to check
+ * @param {Object} policy - The sanitize policy
+ * @returns {boolean} - True if the URL must be blocked
+ */
+const isBlockedRemoteUrl = (url, policy) => {
+  // Fragments refer to the email itself, e.g. SVG gradients in url(#id)
+  if (!url || policy.allowRemoteImages || url.trim().startsWith('#')) return false;
+
+  let resolved;
+  try {
+    resolved = new URL(url, window.document.baseURI);
+  } catch {
+    // A URL that cannot be resolved here cannot be shown to be safe either
+    return true;
+  }
+
+  return REMOTE_PROTOCOLS.has(resolved.protocol) && !policy.allowedImageHosts.includes(resolved.hostname);
+};
+
+/**
+ * Removes every @import and replaces remote url(...) references and image-set()
+ * candidates in CSS text, however their names and URLs are escaped
+ * @param {string} css - CSS text
+ * @param {Object} policy - The sanitize policy
+ * @returns {Object} - { css, blocked } with the rewritten CSS and the number of blocked URLs
+ */
+const blockRemoteCssUrls = (css, policy) => {
+  let blocked = 0;
+
+  const withoutImports = css.replace(CSS_IMPORT_PATTERN, () => {
+    blocked++;
+    return '';
+  });
+
+  const withoutUrls = withoutImports.replace(CSS_URL_PATTERN, (match, doubleQuoted, singleQuoted, unquoted) => {
+    if (!isBlockedRemoteUrl(unescapeCss(doubleQuoted ?? singleQuoted ?? unquoted), policy)) return match;
+
+    blocked++;
+    return 'none';
+  });
+
+  // image-set() also takes its candidates as plain strings
+  const rewritten = withoutUrls.replace(CSS_IMAGE_SET_PATTERN, (match, candidates) => {
+    const urls = [...candidates.matchAll(CSS_STRING_PATTERN)].map(([, doubleQuoted, singleQuoted]) => unescapeCss(doubleQuoted ?? singleQuoted));
+    if (!urls.some(url => isBlockedRemoteUrl(url, policy))) return match;
+
+    blocked++;
+    return 'none';
+  });
+
+  return { css: rewritten, blocked };
+};
+
+/**
+ * Sanitizes an HTML email body. Scripts, event handlers, javascript: URLs, embedded
+ * documents and (unless the policy allows them) remote images and other remote resources
+ * (video posters, media sources, image inputs, SVG references) are removed or neutralised.
+ * Elements with blocked resources are kept (images as placeholders) rather than removed,
+ * so the element structure that evidence span XPaths refer to is unchanged.
+ * @param {string} html - The raw HTML content
+ * @param {Object} policy - Sanitize policy, merged over DEFAULT_SANITIZE_POLICY
+ * @param {Object} options - { wholeDocument } to return a complete document, keeping the
+ *   email's own <head> styles, instead of the body content only
+ * @returns {Object} - { html, blockedImages, removed } with the sanitized HTML, the number of
+ *   blocked remote resources and the number of removed elements or attributes
+ */
+export const sanitizeEmailHtml = (html, policy = {}, { wholeDocument = false } = {}) => {
+  const effectivePolicy = { ...DEFAULT_SANITIZE_POLICY, ...policy };
+  let blockedImages = 0;
+
+  if (!html) return { html: '', blockedImages, removed: 0 };
+
+  // Use a dedicated instance so that hooks never leak between calls
+  const purifier = DOMPurify(window);
+
+  purifier.addHook('afterSanitizeAttributes', (node) => {
+    // Any element can load a remote resource (video posters, <source>, image inputs, SVG);
+    // blocked attributes are dropped or given a placeholder but the element stays, so
+    // XPaths into the body still resolve
+    RESOURCE_ATTRIBUTES.forEach(attribute => {
+      if (attribute.endsWith('href') && LINK_TAGS.has(node.nodeName)) return;
+
+      const value = node.getAttribute?.(attribute);
+      if (!value) return;
+
+      const urls = attribute === 'srcset' ? value.split(',').map(entry => entry.trim().split(/\s+/)[0]) : [value];
+      if (!urls.some(url => isBlockedRemoteUrl(url, effectivePolicy))) return;
+
+      node.setAttribute(`data-blocked-${attribute.replace(':', '-')}`, value);
+      if (attribute === 'src' && IMAGE_SOURCE_TAGS.has(node.nodeName)) {
+        node.setAttribute('src', BLOCKED_IMAGE_SRC);
+      } else {
+        node.removeAttribute(attribute);
+      }
+      node.classList.add('blocked-remote-image');
+      blockedImages++;
+    });
+
+    if (node.hasAttribute && node.hasAttribute('style')) {
+      if (!effectivePolicy.allowStyles) {
+        node.removeAttribute('style');
+      } else {
+        const { css, blocked } = blockRemoteCssUrls(node.getAttribute('style'), effectivePolicy);
+        node.setAttribute('style', css);
+        blockedImages += blocked;
+      }
+    }
+
+    // Links open outside the visualizer and never leak the referrer
+    if (node.nodeName === 'A' && node.hasAttribute('href')) {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer');
+    }
+  });
+
+  purifier.addHook('uponSanitizeElement', (node, data) => {
+    if (data.tagName !== 'style') return;
+
+    if (!effectivePolicy.allowStyles) {
+      node.textContent = '';
+      return;
+    }
+
+    const { css, blocked } = blockRemoteCssUrls(node.textContent, effectivePolicy);
+    node.textContent = css;
+    blockedImages += blocked;
+  });
+
+  const sanitized = purifier.sanitize(html, {
+    FORBID_TAGS: FORBIDDEN_TAGS,
+    FORBID_ATTR: FORBIDDEN_ATTRIBUTES,
+    ADD_ATTR: ['target'],
+    ALLOW_DATA_ATTR: false,
+    WHOLE_DOCUMENT: wholeDocument
+  });
+
+  return { html: sanitized, blockedImages, removed: purifier.removed.length };
+};
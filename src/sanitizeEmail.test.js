@@ -0,0 +1,100 @@
+// sanitizeEmail.test.js - Checks that the hostile sample email is neutralised and its evidence still resolves
+
+import { describe, it, expect } from 'vitest';
+import { sanitizeEmailHtml } from './sanitizeEmail';
+import { anchorHtmlSpan, ANCHOR_STRATEGIES } from './spanAnchoring';
+import hostileEmail from './example4.json';
+
+// Whether the browser would fetch a URL from a remote host
+const isRemote = (url) => ['http:', 'https:'].includes(new URL(url, document.baseURI).protocol);
+
+const sanitizeSample = () => {
+  const result = sanitizeEmailHtml(hostileEmail.email.body.content, {}, { wholeDocument: true });
+  const doc = new DOMParser().parseFromString(result.html, 'text/html');
+  return { ...result, doc };
+};
+
+describe('sanitizeEmailHtml on the hostile sample email', () => {
+  it('removes scripts, event handlers, javascript: URLs and embedded documents', () => {
+    const { doc } = sanitizeSample();
+
+    expect(doc.querySelectorAll('script, iframe')).toHaveLength(0);
+    doc.querySelectorAll('*').forEach(element => {
+      Array.from(element.attributes).forEach(attribute => {
+        expect(attribute.name.startsWith('on')).toBe(false);
+        expect(attribute.value).not.toMatch(/^\s*javascript:/i);
+      });
+    });
+  });
+
+  it('blocks every remote resource', () => {
+    const { doc, blockedImages } = sanitizeSample();
+
+    expect(blockedImages).toBeGreaterThan(0);
+    doc.querySelectorAll('*').forEach(element => {
+      ['src', 'srcset', 'poster', 'background', 'href'].forEach(attribute => {
+        const value = element.getAttribute(attribute);
+        if (value && element.tagName !== 'A') expect(isRemote(value)).toBe(false);
+      });
+      expect(element.getAttribute('style') || '').not.toMatch(/tracker/i);
+    });
+    doc.querySelectorAll('style').forEach(style => {
+      expect(style.textContent).not.toMatch(/tracker|@import/i);
+    });
+  });
+
+  it('keeps the element structure that evidence span XPaths refer to', () => {
+    const { doc } = sanitizeSample();
+    const spans = hostileEmail.intent_parser_result.predictions.flatMap(prediction => prediction.evidence_spans)
+      .filter(span => span.xpath);
+
+    expect(spans.length).toBeGreaterThan(0);
+    spans.forEach(span => {
+      const anchor = anchorHtmlSpan(span, doc.body);
+      expect([ANCHOR_STRATEGIES.XPATH, ANCHOR_STRATEGIES.XPATH_VARIATION]).toContain(anchor.strategy);
+      expect(anchor.node.textContent.slice(anchor.start, anchor.end)).toBe(span.text);
+    });
+  });
+});
+
+describe('sanitizeEmailHtml on disguised remote URLs', () => {
+  const sanitize = (html) => {
+    const result = sanitizeEmailHtml(html, {}, { wholeDocument: true });
+    return { ...result, doc: new DOMParser().parseFromString(result.html, 'text/html') };
+  };
+
+  it.each([
+    ['a scheme without slashes', '<img src="https:tracker.example/p.gif">'],
+    ['backslashes after the scheme', '<img src="https:\\\\tracker.example/p.gif">']
+  ])('blocks an image URL with %s', (description, html) => {
+    const { doc, blockedImages } = sanitize(html);
+
+    expect(blockedImages).toBe(1);
+    expect(isRemote(doc.querySelector('img').getAttribute('src'))).toBe(false);
+  });
+
+  it.each([
+    ['an @import without a semicolon', '<style>@import "https://tracker.example/x.css"</style>'],
+    ['an image-set() of strings', '<style>.a { background: image-set("https://tracker.example/a.png" 1x); }</style>'],
+    ['an escaped url()', '<style>.a { background: u\\72l(https://tracker.example/a.png); }</style>'],
+    ['an inline image-set()', '<p style="background: image-set(\'https://tracker.example/a.png\' 1x)">x</p>'],
+    ['an inline escaped url()', '<p style="background: U\\RL(https://tracker.example/a.png)">x</p>']
+  ])('removes %s', (description, html) => {
+    const { doc, blockedImages } = sanitize(html);
+    const css = [...doc.querySelectorAll('style')].map(style => style.textContent).join('')
+      + [...doc.querySelectorAll('[style]')].map(element => element.getAttribute('style')).join('');
+
+    expect(blockedImages).toBe(1);
+    expect(css).not.toMatch(/tracker/);
+  });
+
+  it('keeps fragment and data URLs, which load nothing remote', () => {
+    const { doc, blockedImages } = sanitize(
+      '<p style="fill: url(#gradient)">x</p><img src="data:image/gif;base64,R0lGODlhAQABAAAAACw=">'
+    );
+
+    expect(blockedImages).toBe(0);
+    expect(doc.querySelector('p').getAttribute('style')).toContain('url(#gradient)');
+    expect(doc.querySelector('img').getAttribute('src')).toMatch(/^data:/);
+  });
+});
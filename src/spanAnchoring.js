@@ -0,0 +1,284 @@
+// spanAnchoring.js - Locates evidence spans in the rendered email, re-anchoring them when their XPath or offsets are off
+
+import { normalizeXPath, resolveXPath } from './xpathUtils';
+import { getTextOffset, locateTextRange, trimTextRange } from './textRange';
+
+// How a span was anchored, from most to least trustworthy
+export const ANCHOR_STRATEGIES = {
+  XPATH: 'xpath',
+  XPATH_VARIATION: 'xpath_variation',
+  OFFSETS: 'offsets',
+  TEXT_QUOTE: 'text_quote',
+  FUZZY: 'fuzzy',
+  UNANCHORED: 'unanchored'
+};
+
+// Fuzzy matches may differ from the quote by at most this share of its characters
+const FUZZY_MAX_ERROR_RATE = 0.2;
+
+// Quotes shorter than this match too many places to be worth matching fuzzily
+const FUZZY_MIN_QUOTE_LENGTH = 5;
+
+// Upper bound on the edit-distance table, to keep very long emails responsive
+const FUZZY_MAX_CELLS = 5000000;
+
+/**
+ * Lowercases text and collapses whitespace runs, remembering where each
+ * normalized character came from
+ * @param {string} text - The text to normalize
+ * @returns {Object} - { text, map } where map[i] is the original index of normalized character i
+ */
+const normalizeWithMap = (text) => {
+  let normalized = '';
+  const map = [];
+  let previousSpace = true;
+
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) {
+      if (!previousSpace) {
+        normalized += ' ';
+        map.push(i);
+      }
+      previousSpace = true;
+    } else {
+      normalized += text[i].toLowerCase();
+      map.push(i);
+      previousSpace = false;
+    }
+  }
+
+  return { text: normalized, map };
+};
+
+/**
+ * Compares two strings ignoring case and whitespace differences
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if the strings are equivalent
+ */
+const isSameText = (a, b) => normalizeWithMap(a).text.trim() === normalizeWithMap(b).text.trim();
+
+/**
+ * Picks the candidate closest to where the span was expected to be
+ * @param {Array} candidates - Array of { start, end } ranges
+ * @param {number|null} expectedStart - Expected start offset, if known
+ * @returns {Object|null} - The closest candidate
+ */
+const pickClosest = (candidates, expectedStart) => {
+  if (candidates.length === 0) return null;
+  if (expectedStart === null || expectedStart === undefined) return candidates[0];
+
+  return candidates.reduce((best, candidate) => (
+    Math.abs(candidate.start - expectedStart) < Math.abs(best.start - expectedStart) ? candidate : best
+  ));
+};
+
+/**
+ * Finds an exact occurrence of a quote in a text. When the quote occurs more than once,
+ * the surrounding context (prefix/suffix) and then the expected position decide.
+ * @param {string} text - The text to search
+ * @param {string} quote - The exact text to find
+ * @param {Object} context - { prefix, suffix, expectedStart }
+ * @returns {Object|null} - { start, end } or null if the quote does not occur
+ */
+export const findTextQuote = (text, quote, { prefix = '', suffix = '', expectedStart = null } = {}) => {
+  if (!text || !quote) return null;
+
+  const candidates = [];
+  for (let index = text.indexOf(quote); index !== -1; index = text.indexOf(quote, index + 1)) {
+    candidates.push({ start: index, end: index + quote.length });
+  }
+  if (candidates.length <= 1 || (!prefix && !suffix)) return pickClosest(candidates, expectedStart);
+
+  // Score each occurrence by how much of the context surrounds it
+  const scoreContext = ({ start, end }) => {
+    let score = 0;
+    while (score < prefix.length && text[start - score - 1] === prefix[prefix.length - score - 1]) score++;
+
+    let suffixScore = 0;
+    while (suffixScore < suffix.length && text[end + suffixScore] === suffix[suffixScore]) suffixScore++;
+
+    return score + suffixScore;
+  };
+
+  const bestScore = Math.max(...candidates.map(scoreContext));
+  return pickClosest(candidates.filter(candidate => scoreContext(candidate) === bestScore), expectedStart);
+};
+
+/**
+ * Finds the closest approximate occurrence of a quote in a text, ignoring case and
+ * whitespace differences and allowing a small number of edits
+ * @param {string} text - The text to search
+ * @param {string} quote - The text to find
+ * @param {Object} context - { expectedStart }
+ * @returns {Object|null} - { start, end, distance } or null if nothing is close enough
+ */
+export const findFuzzyMatch = (text, quote, { expectedStart = null } = {}) => {
+  if (!text || !quote) return null;
+
+  const haystack = normalizeWithMap(text);
+  const needle = normalizeWithMap(quote).text.trim();
+  if (!needle) return null;
+
+  const toOriginal = (start, end, distance) => {
+    const range = trimTextRange(text, haystack.map[start], haystack.map[end - 1] + 1);
+    return { ...range, distance };
+  };
+
+  // Exact match once case and whitespace are ignored
+  const exact = [];
+  for (let index = haystack.text.indexOf(needle); index !== -1; index = haystack.text.indexOf(needle, index + 1)) {
+    exact.push(toOriginal(index, index + needle.length, 0));
+  }
+  if (exact.length > 0) return pickClosest(exact, expectedStart);
+
+  const m = needle.length;
+  const n = haystack.text.length;
+  if (m < FUZZY_MIN_QUOTE_LENGTH || m * n > FUZZY_MAX_CELLS) return null;
+
+  // Approximate substring matching: edit distance of the quote against every
+  // substring of the text, tracking where each best alignment starts
+  const maxDistance = Math.floor(m * FUZZY_MAX_ERROR_RATE);
+  let previousCost = Array.from({ length: m + 1 }, (_, i) => i);
+  let previousStart = new Array(m + 1).fill(0);
+  let candidates = [];
+  let bestDistance = maxDistance + 1;
+
+  for (let j = 1; j <= n; j++) {
+    const cost = [0];
+    const start = [j];
+
+    for (let i = 1; i <= m; i++) {
+      const substitution = previousCost[i - 1] + (needle[i - 1] === haystack.text[j - 1] ? 0 : 1);
+      const skipText = previousCost[i] + 1;
+      const skipQuote = cost[i - 1] + 1;
+
+      if (substitution <= skipText && substitution <= skipQuote) {
+        cost[i] = substitution;
+        start[i] = previousStart[i - 1];
+      } else if (skipText <= skipQuote) {
+        cost[i] = skipText;
+        start[i] = previousStart[i];
+      } else {
+        cost[i] = skipQuote;
+        start[i] = start[i - 1];
+      }
+    }
+
+    if (cost[m] < bestDistance) {
+      bestDistance = cost[m];
+      candidates = [];
+    }
+    if (cost[m] === bestDistance && start[m] < j) {
+      candidates.push({ start: start[m], end: j });
+    }
+
+    previousCost = cost;
+    previousStart = start;
+  }
+
+  const matches = candidates.map(({ start, end }) => toOriginal(start, end, bestDistance));
+  return pickClosest(matches.filter(match => match.end > match.start), expectedStart);
+};
+
+/**
+ * Searches a text for a span's quoted text, exactly and then fuzzily
+ * @param {string} text - The text to search
+ * @param {Object} span - The evidence span
+ * @param {number|null} expectedStart - Where the span was expected to start
+ * @returns {Object|null} - { strategy, start, end } or null if the text was not found
+ */
+const findSpanText = (text, span, expectedStart) => {
+  if (!span.text) return null;
+
+  const quote = findTextQuote(text, span.text, { prefix: span.prefix, suffix: span.suffix, expectedStart });
+  if (quote) return { strategy: ANCHOR_STRATEGIES.TEXT_QUOTE, ...quote };
+
+  const fuzzy = findFuzzyMatch(text, span.text, { expectedStart });
+  if (fuzzy) return { strategy: ANCHOR_STRATEGIES.FUZZY, start: fuzzy.start, end: fuzzy.end };
+
+  return null;
+};
+
+/**
+ * Anchors an HTML evidence span in the rendered email body. The XPath (and its
+ * variations) is trusted when the text at its offsets matches the span's text;
+ * otherwise the span's text is searched for, first inside the XPath target and then
+ * in the whole body, exactly and then fuzzily. Offsets that cannot be checked
+ * against any text are used as they are.
+ * @param {Object} span - Evidence span with xpath, relative_start, relative_end and text
+ * @param {Element} root - The element standing in for <body>
+ * @param {Function} isIgnored - Predicate for elements inserted by the visualizer
+ * @returns {Object} - { strategy, node, start, end } with offsets relative to node, or
+ *   { strategy: 'unanchored' } if the span could not be located
+ */
+export const anchorHtmlSpan = (span, root, isIgnored = () => false) => {
+  const unanchored = { strategy: ANCHOR_STRATEGIES.UNANCHORED, node: null, start: null, end: null };
+  if (!span || !root) return unanchored;
+
+  const { nodes, variation } = resolveXPath(normalizeXPath(span.xpath), root);
+  const target = nodes[0] || null;
+  const xpathStrategy = variation > 0 ? ANCHOR_STRATEGIES.XPATH_VARIATION : ANCHOR_STRATEGIES.XPATH;
+
+  const hasOffsets = span.relative_start !== undefined && span.relative_end !== undefined;
+  const relativeStart = Number(span.relative_start);
+  const relativeEnd = Number(span.relative_end);
+  const offsetsInRange = target && hasOffsets && relativeStart >= 0 && relativeEnd > relativeStart
+    && relativeEnd <= target.textContent.length;
+
+  if (offsetsInRange && (!span.text || isSameText(target.textContent.slice(relativeStart, relativeEnd), span.text))) {
+    return { strategy: xpathStrategy, node: target, start: relativeStart, end: relativeEnd };
+  }
+
+  // Search the XPath target first, so a span with wrong offsets stays in its element
+  if (target) {
+    const found = findSpanText(target.textContent, span, hasOffsets ? relativeStart : null);
+    if (found) {
+      const located = locateTextRange(target, found.start, found.end, isIgnored);
+      if (located) return { strategy: found.strategy, ...located };
+    }
+  }
+
+  const targetOffset = target ? getTextOffset(root, target, 0) : null;
+  const expectedStart = targetOffset !== null && hasOffsets ? targetOffset + relativeStart : null;
+  const found = findSpanText(root.textContent, span, expectedStart);
+  if (found) {
+    const located = locateTextRange(root, found.start, found.end, isIgnored);
+    if (located) return { strategy: found.strategy, ...located };
+  }
+
+  if (offsetsInRange) {
+    return { strategy: xpathStrategy, node: target, start: relativeStart, end: relativeEnd };
+  }
+
+  return unanchored;
+};
+
+/**
+ * Anchors a plain-text evidence span in the email text. The offsets are trusted when
+ * the text they cover matches the span's text; otherwise the span's text is searched
+ * for, exactly and then fuzzily.
+ * @param {Object} span - Evidence span with start, end and text
+ * @param {string} text - The plain-text email content
+ * @returns {Object} - { strategy, start, end }, or { strategy: 'unanchored' } if the span could not be located
+ */
+export const anchorTextSpan = (span, text) => {
+  const unanchored = { strategy: ANCHOR_STRATEGIES.UNANCHORED, start: null, end: null };
+  if (!span || typeof text !== 'string') return unanchored;
+
+  const hasOffsets = span.start !== undefined && span.end !== undefined;
+  const start = Number(span.start);
+  const end = Number(span.end);
+  const offsetsInRange = hasOffsets && start >= 0 && end > start && end <= text.length;
+
+  if (offsetsInRange && (!span.text || isSameText(text.slice(start, end), span.text))) {
+    return { strategy: ANCHOR_STRATEGIES.OFFSETS, start, end };
+  }
+
+  const found = findSpanText(text, span, hasOffsets ? start : null);
+  if (found) return found;
+
+  if (offsetsInRange) return { strategy: ANCHOR_STRATEGIES.OFFSETS, start, end };
+
+  return unanchored;
+};
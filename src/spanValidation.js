@@ -0,0 +1,226 @@
+// spanValidation.js - Checks the evidence spans of an API response against the email they cite
+
+import { assignSpanIds } from './corrections';
+import { normalizeXPath, resolveXPath } from './xpathUtils';
+import { getTextOffset } from './textRange';
+import { findTextQuote } from './spanAnchoring';
+import { isBodySpan, isHeaderSpan, getHeaderSpanPath, getHeaderValue } from './emailHeader';
+import { isThreadSpan, isHtmlBody, getThreadMessages } from './emailThread';
+import { isAttachmentSpan, getAttachments, getAttachmentLayout } from './attachments';
+
+// Kinds of problem a span can have
+export const SPAN_ISSUE_CODES = {
+  TEXT_MISMATCH: 'text_mismatch',
+  UNRESOLVABLE_XPATH: 'unresolvable_xpath',
+  OUT_OF_RANGE: 'out_of_range',
+  MISSING_OFFSETS: 'missing_offsets',
+  OVERLAPPING_SPANS: 'overlapping_spans',
+  UNRESOLVABLE_SOURCE: 'unresolvable_source'
+};
+
+// Issues that stop a span from being highlighted at all are errors, the rest warnings
+const ISSUE_SEVERITY = {
+  [SPAN_ISSUE_CODES.TEXT_MISMATCH]: 'warning',
+  [SPAN_ISSUE_CODES.UNRESOLVABLE_XPATH]: 'error',
+  [SPAN_ISSUE_CODES.OUT_OF_RANGE]: 'error',
+  [SPAN_ISSUE_CODES.MISSING_OFFSETS]: 'error',
+  [SPAN_ISSUE_CODES.OVERLAPPING_SPANS]: 'warning',
+  [SPAN_ISSUE_CODES.UNRESOLVABLE_SOURCE]: 'error'
+};
+
+/**
+ * Creates an issue record for a span
+ * @param {string} code - One of SPAN_ISSUE_CODES
+ * @param {Object} prediction - The prediction the span belongs to
+ * @param {Object} span - The span, with span_id
+ * @param {string} message - Human-readable description
+ * @param {Object} details - Extra properties, e.g. expected and actual text
+ * @returns {Object} - The issue
+ */
+const createIssue = (code, prediction, span, message, details = {}) => ({
+  code,
+  severity: ISSUE_SEVERITY[code],
+  prediction_id: prediction.prediction_id,
+  span_id: span.span_id,
+  span_type: span.type,
+  field: span.field || null,
+  source: span.source || 'email_body',
+  message,
+  ...details
+});
+
+/**
+ * Reads a span's offsets, relative offsets for HTML spans and absolute ones for text
+ * @param {Object} span - The evidence span
+ * @param {boolean} isHtml - Whether the email body is HTML
+ * @returns {Object|null} - { start, end } or null if the span carries no offsets
+ */
+const getSpanOffsets = (span, isHtml) => {
+  const start = isHtml ? span.relative_start : span.start;
+  const end = isHtml ? span.relative_end : span.end;
+  if (start === undefined || start === null || end === undefined || end === null) return null;
+
+  return { start: Number(start), end: Number(end) };
+};
+
+/**
+ * Describes the text a body, or a thread message's body, offers its spans. HTML is
+ * parsed into an inert document, so XPaths resolve as they would in the browser
+ * (including implicit <tbody> elements).
+ * @param {Object} emailBody - The body, with content and document_type
+ * @param {string} label - Names the body in issue messages
+ * @returns {Object} - { isHtml, text, body, label } where body is the parsed <body>, if HTML
+ */
+const createBodyContext = (emailBody, label) => {
+  const content = typeof emailBody?.content === 'string' ? emailBody.content : '';
+  if (!isHtmlBody(emailBody)) return { isHtml: false, text: content, body: null, label };
+
+  const body = new DOMParser().parseFromString(content, 'text/html').body;
+  return { isHtml: true, text: body.textContent, body, label };
+};
+
+/**
+ * Finds the text a span's offsets refer to: the body, the header value, attachment or
+ * thread message it cites
+ * @param {Object} span - The evidence span
+ * @param {Object} apiResponse - The NLP API response
+ * @returns {Object} - { key, context } where key identifies the source text and context is
+ *   as from createBodyContext, or { key, error } if the source is missing or unknown
+ */
+const getSpanSource = (span, apiResponse) => {
+  if (isBodySpan(span)) return { key: 'body', context: () => createBodyContext(apiResponse?.email?.body, 'email body') };
+
+  if (isHeaderSpan(span)) {
+    const path = getHeaderSpanPath(span);
+    const value = getHeaderValue(apiResponse?.email?.header, path);
+    if (value === null) {
+      return { key: `header:${path}`, error: path ? `The email has no header value ${path}` : 'Header span names no header_field' };
+    }
+    const label = path === 'subject' ? 'subject' : `header value ${path}`;
+    return { key: `header:${path}`, context: () => ({ isHtml: false, text: value, body: null, label }) };
+  }
+
+  if (isAttachmentSpan(span)) {
+    const attachment = getAttachments(apiResponse).find(item => item.attachment_id === span.attachment_id);
+    if (!attachment) return { key: `attachment:${span.attachment_id}`, error: `The email has no attachment ${span.attachment_id}` };
+    return {
+      key: `attachment:${span.attachment_id}`,
+      context: () => ({ isHtml: false, text: getAttachmentLayout(attachment).text, body: null, label: `attachment ${attachment.filename}` })
+    };
+  }
+
+  if (isThreadSpan(span)) {
+    const message = getThreadMessages(apiResponse).find(item => item.message_id === span.message_id);
+    if (!message) return { key: `message:${span.message_id}`, error: `The thread has no message ${span.message_id}` };
+    return { key: `message:${span.message_id}`, context: () => createBodyContext(message.body, `thread message ${message.message_id}`) };
+  }
+
+  return { key: `unknown:${span.source}`, error: `Span cites an unknown source "${span.source}", so it was not validated` };
+};
+
+/**
+ * Checks one span against the text of its source. Returns the issues found and, when
+ * the span could be placed, its range in that text for the overlap check.
+ * @param {Object} span - The evidence span
+ * @param {Object} prediction - The prediction it belongs to
+ * @param {Object} context - { isHtml, text, body, label } describing the source text
+ * @returns {Object} - { issues, range } where range is { start, end } in the source text or null
+ */
+const validateSpan = (span, prediction, { isHtml, text, body, label }) => {
+  const issues = [];
+  const offsets = getSpanOffsets(span, isHtml);
+
+  if (!offsets || Number.isNaN(offsets.start) || Number.isNaN(offsets.end)) {
+    issues.push(createIssue(SPAN_ISSUE_CODES.MISSING_OFFSETS, prediction, span,
+      isHtml ? 'Span has no relative_start/relative_end offsets' : 'Span has no start/end offsets'));
+    return { issues, range: null };
+  }
+
+  // HTML offsets are relative to the XPath target, text offsets to the whole source text
+  let targetText = text;
+  let targetOffset = 0;
+  if (isHtml) {
+    const { nodes } = resolveXPath(normalizeXPath(span.xpath), body);
+    if (nodes.length === 0) {
+      issues.push(createIssue(SPAN_ISSUE_CODES.UNRESOLVABLE_XPATH, prediction, span,
+        span.xpath ? `XPath ${span.xpath} does not match any element` : 'Span has no XPath',
+        { xpath: span.xpath || null }));
+      return { issues, range: null };
+    }
+    targetText = nodes[0].textContent;
+    targetOffset = getTextOffset(body, nodes[0], 0) || 0;
+  }
+
+  const { start, end } = offsets;
+  if (start < 0 || end <= start || end > targetText.length) {
+    issues.push(createIssue(SPAN_ISSUE_CODES.OUT_OF_RANGE, prediction, span,
+      `Offsets ${start}-${end} are outside the ${targetText.length} characters of the ${isHtml ? 'XPath target' : label}`,
+      { start, end, length: targetText.length }));
+    return { issues, range: null };
+  }
+
+  const actual = targetText.slice(start, end);
+  if (span.text !== undefined && actual !== span.text) {
+    // Point at where the text actually is, to help track down the offset bug
+    const found = findTextQuote(targetText, span.text, { expectedStart: start });
+    issues.push(createIssue(SPAN_ISSUE_CODES.TEXT_MISMATCH, prediction, span,
+      `Offsets ${start}-${end} cover "${actual}" instead of "${span.text}"`,
+      { start, end, expected: span.text, actual, found_at: found ? [found.start, found.end] : null }));
+  }
+
+  return { issues, range: { start: targetOffset + start, end: targetOffset + end } };
+};
+
+/**
+ * Validates every evidence span of an API response against the text it cites: the
+ * body, the subject or another header value, an attachment or a thread message. Finds
+ * text that does not match the offsets, XPaths that resolve to nothing, offsets outside
+ * the text they refer to, sources the email does not have and overlapping spans for
+ * the same field of a prediction.
+ * @param {Object} apiResponse - The NLP API response
+ * @returns {Object} - { spanCount, issues } with one issue object per problem found
+ */
+export const validateEvidenceSpans = (apiResponse) => {
+  const predictions = assignSpanIds(apiResponse?.intent_parser_result?.predictions || []);
+
+  // Each source is read, and HTML parsed, once
+  const contexts = new Map();
+  const getContext = ({ key, context }) => {
+    if (!contexts.has(key)) contexts.set(key, context());
+    return contexts.get(key);
+  };
+
+  const issues = [];
+  let spanCount = 0;
+
+  predictions.forEach(prediction => {
+    const ranges = [];
+
+    prediction.evidence_spans.forEach(span => {
+      spanCount++;
+      const source = getSpanSource(span, apiResponse);
+      if (source.error) {
+        issues.push(createIssue(SPAN_ISSUE_CODES.UNRESOLVABLE_SOURCE, prediction, span, source.error));
+        return;
+      }
+
+      const result = validateSpan(span, prediction, getContext(source));
+      issues.push(...result.issues);
+      if (result.range) ranges.push({ span, source: source.key, ...result.range });
+    });
+
+    // Two spans for the same field of one prediction should not cover the same text
+    ranges.forEach((a, i) => {
+      ranges.slice(i + 1).forEach(b => {
+        const sameField = a.span.type === b.span.type && (a.span.field || null) === (b.span.field || null);
+        if (!sameField || a.source !== b.source || a.start >= b.end || b.start >= a.end) return;
+
+        issues.push(createIssue(SPAN_ISSUE_CODES.OVERLAPPING_SPANS, prediction, b.span,
+          `Overlaps another ${b.span.field || b.span.type} span ("${a.span.text}")`,
+          { overlaps: a.span.span_id }));
+      });
+    });
+  });
+
+  return { spanCount, issues };
+};
@@ -0,0 +1,96 @@
+// spanValidation.test.js - Checks validateEvidenceSpans against sample responses with known span problems
+
+import { describe, it, expect } from 'vitest';
+import { validateEvidenceSpans, SPAN_ISSUE_CODES } from './spanValidation';
+import { mockApiResponse, mockApiResponseV2 } from './mockApiResponse';
+import example1 from './example1.json';
+import example2 from './example2.json';
+
+// A plain-text response whose single prediction cites the given spans
+const textResponse = (content, spans, header = { subject: 'Trade TRX1' }) => ({
+  email: { header, body: { content, document_type: 'text' } },
+  intent_parser_result: {
+    predictions: [{ prediction_id: 'p1', intent: 'cancel_trade', evidence_spans: spans }]
+  }
+});
+
+const findIssue = (issues, code, start) => issues.find(issue => issue.code === code && (start === undefined || issue.start === start));
+
+describe('validateEvidenceSpans', () => {
+  it('reports HTML span text that does not match its relative offsets', () => {
+    const issue = findIssue(validateEvidenceSpans(example1).issues, SPAN_ISSUE_CODES.TEXT_MISMATCH, 7);
+
+    expect(issue).toMatchObject({
+      severity: 'warning',
+      end: 44,
+      expected: 'provide an update on the following trade settlement',
+      actual: 'provide an update on the following tr'
+    });
+  });
+
+  it('reports plain-text span text that does not match its offsets, and where the text is', () => {
+    const { content } = mockApiResponse.email.body;
+    const issue = findIssue(validateEvidenceSpans(mockApiResponse).issues, SPAN_ISSUE_CODES.TEXT_MISMATCH, 13);
+
+    expect(issue).toMatchObject({ end: 39, expected: 'please provide an update', actual: content.slice(13, 39) });
+    expect(content.slice(...issue.found_at)).toBe('please provide an update');
+  });
+
+  it('reports offsets beyond the text of the XPath target', () => {
+    const issue = findIssue(validateEvidenceSpans(example2).issues, SPAN_ISSUE_CODES.OUT_OF_RANGE, 7);
+
+    expect(issue).toMatchObject({ severity: 'error', end: 54, length: 12 });
+  });
+
+  it('reports XPaths that match no element', () => {
+    const response = {
+      ...example1,
+      intent_parser_result: {
+        predictions: [{
+          prediction_id: 'p1',
+          evidence_spans: [{ type: 'intent', xpath: '/html/body/p[99]', relative_start: 0, relative_end: 5, text: 'Hello' }]
+        }]
+      }
+    };
+    const { spanCount, issues } = validateEvidenceSpans(response);
+
+    expect(spanCount).toBe(1);
+    expect(issues).toEqual([expect.objectContaining({ code: SPAN_ISSUE_CODES.UNRESOLVABLE_XPATH, severity: 'error', xpath: '/html/body/p[99]' })]);
+  });
+
+  it('reports overlapping spans for the same field only', () => {
+    const content = 'Please cancel trade TRX123456 today';
+    const { issues } = validateEvidenceSpans(textResponse(content, [
+      { type: 'artefact_detail', field: 'reference', start: 20, end: 29, text: 'TRX123456' },
+      { type: 'artefact_detail', field: 'reference', start: 23, end: 29, text: '123456' },
+      { type: 'intent', start: 7, end: 29, text: 'cancel trade TRX123456' }
+    ]));
+
+    expect(issues).toEqual([expect.objectContaining({ code: SPAN_ISSUE_CODES.OVERLAPPING_SPANS, span_id: 'p1:1', overlaps: 'p1:0' })]);
+  });
+
+  it('checks subject, header, attachment and thread spans against their own text', () => {
+    const { spanCount, issues } = validateEvidenceSpans(textResponse('Body text', [
+      { type: 'intent', source: 'email_subject', start: 0, end: 5, text: 'Trade' },
+      { type: 'intent', source: 'email_subject', start: 0, end: 40, text: 'Trade TRX1' },
+      { type: 'intent', source: 'email_header', header_field: 'from.name', start: 0, end: 4, text: 'Jane' },
+      { type: 'intent', source: 'attachment', attachment_id: 'missing', start: 0, end: 4, text: 'Jane' },
+      { type: 'intent', source: 'email_thread', message_id: 'missing', start: 0, end: 4, text: 'Jane' }
+    ]));
+
+    expect(spanCount).toBe(5);
+    expect(issues.map(issue => [issue.span_id, issue.code])).toEqual([
+      ['p1:1', SPAN_ISSUE_CODES.OUT_OF_RANGE],
+      ['p1:2', SPAN_ISSUE_CODES.UNRESOLVABLE_SOURCE],
+      ['p1:3', SPAN_ISSUE_CODES.UNRESOLVABLE_SOURCE],
+      ['p1:4', SPAN_ISSUE_CODES.UNRESOLVABLE_SOURCE]
+    ]);
+  });
+
+  it('finds no issues in a response whose spans all match', () => {
+    const { spanCount, issues } = validateEvidenceSpans(mockApiResponseV2);
+
+    expect(spanCount).toBeGreaterThan(0);
+    expect(issues).toEqual([]);
+  });
+});
@@ -0,0 +1,180 @@
+// textRange.js - Helpers for mapping character offsets onto DOM text nodes
+
+// Whitespace text nodes directly inside these elements are layout-only and must not be wrapped
+const STRUCTURAL_PARENTS = new Set(['TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'UL', 'OL', 'DL', 'SELECT']);
+
+/**
+ * Collects the text nodes below a root together with their character offsets
+ * relative to the root's textContent
+ * @param {Node} root - The node whose text is being indexed
+ * @returns {Array} - Array of { node, start, end } entries in document order
+ */
+export const collectTextNodes = (root) => {
+  if (!root) return [];
+
+  const doc = root.ownerDocument || root;
+  const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const segments = [];
+  let offset = 0;
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const length = node.nodeValue.length;
+    segments.push({ node, start: offset, end: offset + length });
+    offset += length;
+  }
+
+  return segments;
+};
+
+/**
+ * Wraps the characters between start and end (relative to the root's textContent)
+ * in wrapper elements. A range that crosses inline children such as <b>, <a> or <br>
+ * produces one wrapper per text node it touches.
+ * @param {Node} root - The node the offsets are relative to
+ * @param {number} start - Start offset (inclusive)
+ * @param {number} end - End offset (exclusive)
+ * @param {Function} createWrapper - Factory returning a fresh wrapper element
+ * @returns {Array} - The wrapper elements that were inserted, in document order
+ */
+export const wrapTextRange = (root, start, end, createWrapper) => {
+  if (!root || !(end > start)) return [];
+
+  const wrappers = [];
+
+  collectTextNodes(root).forEach(({ node, start: nodeStart, end: nodeEnd }) => {
+    if (nodeEnd <= start || nodeStart >= end) return;
+
+    const localStart = Math.max(start, nodeStart) - nodeStart;
+    const localEnd = Math.min(end, nodeEnd) - nodeStart;
+    const text = node.nodeValue.slice(localStart, localEnd);
+
+    if (text.trim() === '' && STRUCTURAL_PARENTS.has(node.parentNode?.nodeName)) return;
+
+    let target = node;
+    if (localEnd < node.nodeValue.length) target.splitText(localEnd);
+    if (localStart > 0) target = target.splitText(localStart);
+
+    const wrapper = createWrapper();
+    if (!wrapper) return;
+
+    target.parentNode.replaceChild(wrapper, target);
+    wrapper.appendChild(target);
+    wrappers.push(wrapper);
+  });
+
+  return wrappers;
+};
+
+/**
+ * Removes wrapper elements matching a selector, keeping their children in place
+ * @param {Node} root - The node to search below
+ * @param {string} selector - CSS selector for the wrappers to remove
+ */
+export const unwrapElements = (root, selector) => {
+  if (!root) return;
+
+  const parents = new Set();
+
+  root.querySelectorAll(selector).forEach(element => {
+    const parent = element.parentNode;
+    if (!parent) return;
+
+    while (element.firstChild) {
+      parent.insertBefore(element.firstChild, element);
+    }
+    parent.removeChild(element);
+    parents.add(parent);
+  });
+
+  // Merge the text nodes that were split when the wrappers were inserted
+  parents.forEach(parent => parent.normalize());
+};
+
+/**
+ * Converts a DOM position (container + offset, as found on a Range or Selection)
+ * into a character offset relative to the root's textContent
+ * @param {Node} root - The node the offset should be relative to
+ * @param {Node} container - The container of the DOM position
+ * @param {number} offset - The offset within the container
+ * @returns {number|null} - The character offset or null if the position is outside the root
+ */
+export const getTextOffset = (root, container, offset) => {
+  if (!root || !container || !root.contains(container)) return null;
+
+  const doc = root.ownerDocument || root;
+  const range = doc.createRange();
+  range.setStart(root, 0);
+  range.setEnd(container, offset);
+
+  return range.toString().length;
+};
+
+/**
+ * Finds the DOM position under a viewport coordinate
+ * @param {Document} doc - The document containing the point
+ * @param {number} x - Viewport x coordinate
+ * @param {number} y - Viewport y coordinate
+ * @returns {Object|null} - { node, offset } or null if no position could be found
+ */
+export const getCaretPosition = (doc, x, y) => {
+  if (doc.caretRangeFromPoint) {
+    const range = doc.caretRangeFromPoint(x, y);
+    return range ? { node: range.startContainer, offset: range.startOffset } : null;
+  }
+
+  if (doc.caretPositionFromPoint) {
+    const position = doc.caretPositionFromPoint(x, y);
+    return position ? { node: position.offsetNode, offset: position.offset } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Narrows a character range so that it neither starts nor ends on whitespace
+ * @param {string} text - The text the range applies to
+ * @param {number} start - Start offset (inclusive)
+ * @param {number} end - End offset (exclusive)
+ * @returns {Object} - The trimmed { start, end } range
+ */
+export const trimTextRange = (text, start, end) => {
+  let trimmedStart = start;
+  let trimmedEnd = end;
+
+  while (trimmedStart < trimmedEnd && /\s/.test(text[trimmedStart])) trimmedStart++;
+  while (trimmedEnd > trimmedStart && /\s/.test(text[trimmedEnd - 1])) trimmedEnd--;
+
+  return { start: trimmedStart, end: trimmedEnd };
+};
+
+/**
+ * Finds the innermost element holding a character range of a root, and the range's
+ * offsets relative to that element
+ * @param {Element} root - The node the offsets are relative to
+ * @param {number} start - Start offset (inclusive)
+ * @param {number} end - End offset (exclusive)
+ * @param {Function} isIgnored - Predicate for wrapper elements that should be skipped
+ * @returns {Object|null} - { node, start, end } or null if the range is outside the root
+ */
+export const locateTextRange = (root, start, end, isIgnored = () => false) => {
+  if (!root || !(end > start)) return null;
+
+  const segments = collectTextNodes(root);
+  const first = segments.find(segment => segment.end > start);
+  const last = [...segments].reverse().find(segment => segment.start < end);
+  if (!first || !last) return null;
+
+  const doc = root.ownerDocument || root;
+  const range = doc.createRange();
+  range.setStart(first.node, start - first.start);
+  range.setEnd(last.node, Math.min(end, last.end) - last.start);
+
+  let node = range.commonAncestorContainer;
+  if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+  while (node && node !== root && isIgnored(node)) node = node.parentElement;
+  if (!node || !root.contains(node)) node = root;
+
+  const nodeStart = getTextOffset(root, node, 0);
+  return { node, start: start - nodeStart, end: Math.min(end, last.end) - nodeStart };
+};
@@ -0,0 +1,82 @@
+// textSegments.js - Splits plain-text email content into segments at evidence span offsets
+
+/**
+ * Splits text into consecutive segments wherever an evidence span starts or ends.
+ * Each segment lists every span covering it, so overlapping spans produce
+ * segments with more than one entry.
+ * @param {string} text - The plain-text content
+ * @param {Array} spans - Evidence spans with start/end character offsets
+ * @returns {Array} - Array of { start, end, text, spans: [{ span, index }] } segments
+ */
+export const buildTextSegments = (text, spans = []) => {
+  if (typeof text !== 'string' || text.length === 0) return [];
+
+  // Keep only spans that carry usable offsets, clamped to the text
+  const ranges = [];
+  spans.forEach((span, index) => {
+    if (!span || span.start === undefined || span.end === undefined) return;
+
+    const start = Math.max(0, Math.min(text.length, Number(span.start)));
+    const end = Math.max(0, Math.min(text.length, Number(span.end)));
+    if (Number.isNaN(start) || Number.isNaN(end) || end <= start) return;
+
+    ranges.push({ span, index, start, end });
+  });
+
+  // Every span edge is a segment boundary
+  const boundaries = new Set([0, text.length]);
+  ranges.forEach(({ start, end }) => {
+    boundaries.add(start);
+    boundaries.add(end);
+  });
+  const points = [...boundaries].sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+
+    const covering = ranges
+      .filter(range => range.start <= start && range.end >= end)
+      .map(({ span, index, start: spanStart, end: spanEnd }) => ({ span, index, start: spanStart, end: spanEnd }));
+
+    segments.push({ start, end, text: text.slice(start, end), spans: covering });
+  }
+
+  return segments;
+};
+
+/**
+ * Picks the span a segment should primarily represent: the innermost (shortest)
+ * covering span, so that nested evidence stays clickable
+ * @param {Object} segment - A segment produced by buildTextSegments
+ * @returns {Object|null} - The { span, index, start, end } entry or null
+ */
+export const getPrimarySegmentSpan = (segment) => {
+  if (!segment?.spans?.length) return null;
+
+  return segment.spans.reduce((best, entry) => (
+    entry.end - entry.start < best.end - best.start ? entry : best
+  ));
+};
+
+/**
+ * Restricts segments to a character range, splitting those that cross its edges.
+ * Used to render text that is laid out in separate elements, such as table cells.
+ * @param {Array} segments - Segments produced by buildTextSegments
+ * @param {number} start - Start of the range
+ * @param {number} end - End of the range
+ * @returns {Array} - The segments within the range, with start, end and text adjusted
+ */
+export const sliceSegments = (segments, start, end) => segments
+  .filter(segment => segment.end > start && segment.start < end)
+  .map(segment => {
+    const sliceStart = Math.max(segment.start, start);
+    const sliceEnd = Math.min(segment.end, end);
+    return {
+      ...segment,
+      start: sliceStart,
+      end: sliceEnd,
+      text: segment.text.slice(sliceStart - segment.start, sliceEnd - segment.start)
+    };
+  });
@@ -0,0 +1,118 @@
+// xpathUtils.js - Builds and resolves XPath expressions for nodes inside a rendered email body
+
+/**
+ * Builds an absolute /html/body/... XPath for an element inside the email wrapper,
+ * in the same form the intent parser emits: positional predicates only where an
+ * element has same-named siblings, and no browser-inserted <tbody>.
+ * @param {Element} element - The element to describe
+ * @param {Element} root - The wrapper element that stands in for <body>
+ * @param {Function} isIgnored - Predicate for elements that were inserted by the visualizer
+ * @returns {string|null} - The XPath or null if the element is outside the root
+ */
+export const getXPathForNode = (element, root, isIgnored = () => false) => {
+  if (!element || !root || !root.contains(element)) return null;
+
+  const steps = [];
+  let current = element;
+
+  while (current && current !== root) {
+    const tagName = current.localName;
+
+    if (tagName !== 'tbody') {
+      const siblings = Array.from(current.parentNode.children).filter(
+        sibling => sibling.localName === tagName && !isIgnored(sibling)
+      );
+      const position = siblings.indexOf(current) + 1;
+      steps.unshift(siblings.length > 1 ? `${tagName}[${position}]` : tagName);
+    }
+
+    current = current.parentElement;
+  }
+
+  return ['/html/body', ...steps].join('/');
+};
+
+/**
+ * Normalizes a parser XPath into relative variations that can be evaluated against
+ * the element standing in for <body>. Absolute paths would resolve against the host
+ * document instead of the email, so every variation starts from the context node.
+ * Browsers insert an implicit <tbody> into tables, which the parser's paths usually
+ * omit, so variations with and without it are included.
+ * @param {string} xpath - The original XPath string
+ * @returns {Object|null} - { original, simplified, variations }, in the order they should be tried
+ */
+export const normalizeXPath = (xpath) => {
+  if (!xpath) return null;
+
+  let simplified = xpath.trim();
+  if (simplified.startsWith('/html/body')) {
+    simplified = `.${simplified.slice('/html/body'.length)}`;
+  } else if (simplified.startsWith('/html')) {
+    simplified = `.${simplified.slice('/html'.length)}`;
+  } else if (simplified.startsWith('/body')) {
+    simplified = `.${simplified.slice('/body'.length)}`;
+  } else if (simplified.startsWith('/')) {
+    simplified = `.${simplified}`;
+  }
+  if (simplified === '' || simplified === './') simplified = '.';
+
+  const variations = [
+    simplified,
+    // table/tr -> table/tbody/tr, as parsed by the browser
+    simplified.replace(/(\btable(?:\[\d+\])?)\/(tr\b)/g, '$1/tbody/$2'),
+    // A path taken from a browser DOM may name a <tbody> the raw HTML never had
+    simplified.replace(/\/tbody(?:\[\d+\])?(?=\/)/g, '')
+  ];
+
+  return {
+    original: xpath,
+    simplified,
+    variations: [...new Set(variations)]
+  };
+};
+
+/**
+ * Evaluates the variations of a normalized XPath in order until one matches
+ * @param {Object} xpathObj - Normalized XPath object from normalizeXPath
+ * @param {Node} contextNode - The node standing in for <body>
+ * @returns {Object} - { nodes, variation } with the matching nodes and the index of the
+ *   variation that produced them (-1 if none matched)
+ */
+export const resolveXPath = (xpathObj, contextNode) => {
+  if (!xpathObj || !contextNode) return { nodes: [], variation: -1 };
+
+  const doc = contextNode.ownerDocument || document;
+  const XPathResultType = doc.defaultView?.XPathResult || XPathResult;
+
+  for (let index = 0; index < xpathObj.variations.length; index++) {
+    const nodes = [];
+
+    try {
+      const snapshot = doc.evaluate(
+        xpathObj.variations[index],
+        contextNode,
+        null,
+        XPathResultType.ORDERED_NODE_SNAPSHOT_TYPE,
+        null
+      );
+
+      for (let i = 0; i < snapshot.snapshotLength; i++) {
+        nodes.push(snapshot.snapshotItem(i));
+      }
+    } catch (error) {
+      console.error('XPath evaluation error:', error);
+    }
+
+    if (nodes.length > 0) return { nodes, variation: index };
+  }
+
+  return { nodes: [], variation: -1 };
+};
+
+/**
+ * Evaluates an XPath expression and returns matching nodes
+ * @param {Object} xpathObj - Normalized XPath object with variations
+ * @param {Node} contextNode - The context node to evaluate against
+ * @returns {Array} - Array of matching DOM nodes
+ */
+export const getElementByXPath = (xpathObj, contextNode) => resolveXPath(xpathObj, contextNode).nodes;